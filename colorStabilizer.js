@@ -0,0 +1,174 @@
+/**
+ * Color Stabilizer Module
+ * Temporal smoothing of per-face color statistics, so the swapped face does not
+ * flicker in brightness when the sampled region changes from frame to frame,
+ * plus a frame-difference scene cut detector to know when to start over.
+ */
+
+(function () {
+    'use strict';
+
+    const DEFAULT_OPTIONS = {
+        timeConstant: 0.5,  // Seconds for the average to move ~63% towards a new value
+        maxGap: 0.5         // Time gap (seconds) after which state is dropped, e.g. after a seek
+    };
+
+    const DEFAULT_CUT_OPTIONS = {
+        gridWidth: 16,      // Frames are compared as a grid of block mean luminances
+        gridHeight: 9,
+        threshold: 0.12     // Mean absolute block difference (0-1) that counts as a cut
+    };
+
+    /**
+     * Move prev towards next by alpha, recursively through numbers, typed arrays and
+     * plain objects (e.g. LAB stats, cumulative histograms, per-region stats).
+     * Parts that are new or changed shape take the new value.
+     */
+    function blendValues(prev, next, alpha) {
+        if (typeof next === 'number') {
+            return typeof prev === 'number' ? prev + alpha * (next - prev) : next;
+        }
+        if (ArrayBuffer.isView(next)) {
+            if (!ArrayBuffer.isView(prev) || prev.length !== next.length) return next.slice();
+            const out = new next.constructor(next.length);
+            for (let i = 0; i < next.length; i++) {
+                out[i] = prev[i] + alpha * (next[i] - prev[i]);
+            }
+            return out;
+        }
+        if (next && typeof next === 'object') {
+            const out = {};
+            for (const key of Object.keys(next)) {
+                out[key] = blendValues(prev && typeof prev === 'object' ? prev[key] : undefined, next[key], alpha);
+            }
+            return out;
+        }
+        return next;
+    }
+
+    /**
+     * Create a per-face color statistics smoother (exponential moving average in time).
+     * State is kept per key (track ID) and dropped when time jumps backwards or forward
+     * by more than maxGap, or when the measurement's mode changes.
+     * @param {Object} options - {timeConstant, maxGap}
+     * @returns {Object} Stabilizer with stabilize(key, measurement, t), reset(key) and setOptions()
+     */
+    function createColorStabilizer(options = {}) {
+        let settings = { ...DEFAULT_OPTIONS, ...options };
+        const states = new Map(); // key -> { lastTime, lastOutput }
+
+        /**
+         * Smooth one face's color measurement at video time t
+         * @param {*} key - Face key
+         * @param {Object} measurement - Color statistics ({mode, ...}); left untouched
+         * @param {number} t - Video time in seconds
+         * @returns {Object} New smoothed measurement
+         */
+        function stabilize(key, measurement, t) {
+            if (!measurement) return measurement;
+
+            const state = states.get(key);
+            let alpha = 1;
+            if (state) {
+                if (t === state.lastTime) {
+                    return state.lastOutput;
+                }
+                const dt = t - state.lastTime;
+                const sameMode = state.lastOutput && state.lastOutput.mode === measurement.mode;
+                if (dt > 0 && dt <= settings.maxGap && sameMode) {
+                    alpha = settings.timeConstant > 0 ? 1 - Math.exp(-dt / settings.timeConstant) : 1;
+                }
+            }
+
+            const output = blendValues(alpha < 1 ? state.lastOutput : undefined, measurement, alpha);
+            states.set(key, { lastTime: t, lastOutput: output });
+            return output;
+        }
+
+        return {
+            stabilize,
+            reset(key) {
+                if (key === undefined) {
+                    states.clear();
+                } else {
+                    states.delete(key);
+                }
+            },
+            setOptions(next) {
+                settings = { ...settings, ...next };
+            },
+            getOptions() {
+                return { ...settings };
+            }
+        };
+    }
+
+    /**
+     * Create a scene cut detector comparing each frame with the previous one.
+     * Frames are reduced to a coarse grid of mean luminances, so motion within a shot
+     * changes little while a cut changes most blocks.
+     * @param {Object} options - {gridWidth, gridHeight, threshold}
+     * @returns {Object} Detector with update(frame) -> boolean, getLastDifference() and reset()
+     */
+    function createSceneCutDetector(options = {}) {
+        const settings = { ...DEFAULT_CUT_OPTIONS, ...options };
+        let previous = null;
+        let lastDifference = 0;
+
+        function toGrid(frame) {
+            const { gridWidth, gridHeight } = settings;
+            const sums = new Float64Array(gridWidth * gridHeight);
+            const counts = new Uint32Array(gridWidth * gridHeight);
+            const data = frame.data;
+            for (let y = 0; y < frame.height; y++) {
+                const gy = Math.min(gridHeight - 1, Math.floor(y * gridHeight / frame.height));
+                for (let x = 0; x < frame.width; x++) {
+                    const gx = Math.min(gridWidth - 1, Math.floor(x * gridWidth / frame.width));
+                    const i = (y * frame.width + x) * 4;
+                    sums[gy * gridWidth + gx] += (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) / 255;
+                    counts[gy * gridWidth + gx]++;
+                }
+            }
+            for (let i = 0; i < sums.length; i++) {
+                sums[i] = counts[i] > 0 ? sums[i] / counts[i] : 0;
+            }
+            return sums;
+        }
+
+        return {
+            /**
+             * Compare a frame with the previous one.
+             * @param {Object} frame - {width, height, data} RGBA pixels (a downscaled frame is enough)
+             * @returns {boolean} True if the frame starts a new shot
+             */
+            update(frame) {
+                const grid = toGrid(frame);
+                let isCut = false;
+                if (previous) {
+                    let total = 0;
+                    for (let i = 0; i < grid.length; i++) {
+                        total += Math.abs(grid[i] - previous[i]);
+                    }
+                    lastDifference = total / grid.length;
+                    isCut = lastDifference > settings.threshold;
+                }
+                previous = grid;
+                return isCut;
+            },
+            getLastDifference() {
+                return lastDifference;
+            },
+            reset() {
+                previous = null;
+                lastDifference = 0;
+            }
+        };
+    }
+
+    // Export module
+    window.ColorStabilizer = {
+        createColorStabilizer,
+        createSceneCutDetector
+    };
+
+})();
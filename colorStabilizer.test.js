@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+// Create a mock window object if it doesn't exist
+if (typeof window === 'undefined') {
+    global.window = {};
+}
+
+// Import the module
+import './colorStabilizer.js';
+
+// Mean/std measurement as produced for the swapped face (source and target stats)
+function measurement(meanL, mode = 'meanStd') {
+    const stats = { meanL, meanA: 5, meanB: 10, stdL: 8, stdA: 2, stdB: 3 };
+    return { mode, source: { ...stats, meanL: 60 }, target: stats };
+}
+
+// Flat gray frame, optionally with a bright square moving across it
+function makeFrame(gray, squareX = -1) {
+    const width = 64, height = 36;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const inSquare = x >= squareX && x < squareX + 6 && y >= 10 && y < 16;
+            data.set([inSquare ? 255 : gray, inSquare ? 255 : gray, inSquare ? 255 : gray, 255], (y * width + x) * 4);
+        }
+    }
+    return { width, height, data };
+}
+
+describe('ColorStabilizer', () => {
+    let ColorStabilizer;
+
+    beforeEach(() => {
+        ColorStabilizer = window.ColorStabilizer;
+    });
+
+    describe('createColorStabilizer', () => {
+        it('should damp frame-to-frame flicker of the target stats', () => {
+            const stabilizer = ColorStabilizer.createColorStabilizer({ timeConstant: 0.5 });
+            const smoothed = [];
+            for (let f = 0; f < 60; f++) {
+                // Brightness jumps by ±6 every other frame
+                smoothed.push(stabilizer.stabilize(1, measurement(50 + (f % 2 ? 6 : -6)), f / 30).target.meanL);
+            }
+            const late = smoothed.slice(30);
+            expect(Math.max(...late) - Math.min(...late)).toBeLessThan(1.5);
+            expect(late[late.length - 1]).toBeCloseTo(50, 0);
+        });
+
+        it('should follow a lasting change and keep the measurement shape', () => {
+            const stabilizer = ColorStabilizer.createColorStabilizer({ timeConstant: 0.2 });
+            stabilizer.stabilize(1, measurement(40), 0);
+            let output;
+            for (let f = 1; f <= 60; f++) {
+                output = stabilizer.stabilize(1, measurement(70), f / 30);
+            }
+            expect(output.target.meanL).toBeCloseTo(70, 2);
+            expect(output.mode).toBe('meanStd');
+            expect(output.source.meanL).toBe(60);
+        });
+
+        it('should smooth histograms as typed arrays', () => {
+            const stabilizer = ColorStabilizer.createColorStabilizer({ timeConstant: 1 });
+            const histogram = v => ({ mode: 'histogram', target: { L: Float64Array.from([v, 1]) } });
+            stabilizer.stabilize(1, histogram(0), 0);
+            const output = stabilizer.stabilize(1, histogram(1), 0.1);
+            expect(output.target.L).toBeInstanceOf(Float64Array);
+            expect(output.target.L[0]).toBeCloseTo(1 - Math.exp(-0.1), 6);
+            expect(output.target.L[1]).toBe(1);
+        });
+
+        it('should start over after a reset, a seek or a mode change', () => {
+            const stabilizer = ColorStabilizer.createColorStabilizer();
+            stabilizer.stabilize(1, measurement(40), 0);
+            stabilizer.stabilize(2, measurement(40), 0);
+
+            stabilizer.reset(1);
+            expect(stabilizer.stabilize(1, measurement(80), 1 / 30).target.meanL).toBe(80);
+            // Other faces keep their state
+            expect(stabilizer.stabilize(2, measurement(80), 1 / 30).target.meanL).toBeLessThan(80);
+            // Seek backwards
+            expect(stabilizer.stabilize(2, measurement(20), 0).target.meanL).toBe(20);
+            // Different transfer mode
+            expect(stabilizer.stabilize(2, measurement(30, 'histogram'), 1 / 30).target.meanL).toBe(30);
+        });
+
+        it('should be deterministic for the same sequence', () => {
+            const run = () => {
+                const stabilizer = ColorStabilizer.createColorStabilizer();
+                return [45, 52, 47, 60, 41].map((v, f) => stabilizer.stabilize(7, measurement(v), f / 25).target.meanL);
+            };
+            expect(run()).toEqual(run());
+        });
+    });
+
+    describe('createSceneCutDetector', () => {
+        it('should ignore motion within a shot and flag a cut', () => {
+            const detector = ColorStabilizer.createSceneCutDetector();
+            expect(detector.update(makeFrame(80, 0))).toBe(false);
+            for (let x = 2; x < 40; x += 2) {
+                expect(detector.update(makeFrame(80, x))).toBe(false);
+            }
+            expect(detector.update(makeFrame(200))).toBe(true);
+            expect(detector.getLastDifference()).toBeGreaterThan(0.4);
+            expect(detector.update(makeFrame(200))).toBe(false);
+        });
+
+        it('should not compare across a reset', () => {
+            const detector = ColorStabilizer.createSceneCutDetector();
+            detector.update(makeFrame(20));
+            detector.reset();
+            expect(detector.update(makeFrame(230))).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Expression Transfer Module
+ * Moves the source face's landmarks the way the video face moved away from its
+ * neutral reference frame, so the swapped face smiles, talks and raises its brows
+ * with its own proportions instead of being stretched onto the video face's shape.
+ * Head motion (translation, roll, scale) is factored out with similarity fits on
+ * rigid landmarks, so only the expression is transferred.
+ */
+
+(function () {
+    'use strict';
+
+    /**
+     * Least-squares similarity transform (rotation, uniform scale, translation) from one point set to another.
+     * In complex notation: q ≈ (a + ib)·p + t.
+     * @param {Array} from - Points [{x, y}, ...]
+     * @param {Array} to - Corresponding points [{x, y}, ...]
+     * @param {Array} indices - Indices of the points to fit (default all)
+     * @returns {Object|null} {a, b, tx, ty}, or null if the points are degenerate
+     */
+    function estimateSimilarity(from, to, indices = null) {
+        const ids = indices || from.map((_, i) => i);
+        if (ids.length < 2) return null;
+
+        let fromX = 0, fromY = 0, toX = 0, toY = 0;
+        for (const i of ids) {
+            fromX += from[i].x;
+            fromY += from[i].y;
+            toX += to[i].x;
+            toY += to[i].y;
+        }
+        fromX /= ids.length;
+        fromY /= ids.length;
+        toX /= ids.length;
+        toY /= ids.length;
+
+        let dot = 0, cross = 0, norm = 0;
+        for (const i of ids) {
+            const px = from[i].x - fromX;
+            const py = from[i].y - fromY;
+            const qx = to[i].x - toX;
+            const qy = to[i].y - toY;
+            dot += px * qx + py * qy;
+            cross += px * qy - py * qx;
+            norm += px * px + py * py;
+        }
+        if (norm < 1e-12) return null;
+
+        const a = dot / norm;
+        const b = cross / norm;
+        return {
+            a,
+            b,
+            tx: toX - (a * fromX - b * fromY),
+            ty: toY - (b * fromX + a * fromY)
+        };
+    }
+
+    /**
+     * Apply a similarity transform to a point.
+     * @param {Object} transform - {a, b, tx, ty} from estimateSimilarity
+     * @param {Object} p - Point {x, y}
+     * @param {boolean} linearOnly - Skip the translation (for displacements)
+     * @returns {Object} Transformed point {x, y}
+     */
+    function applySimilarity(transform, p, linearOnly = false) {
+        const { a, b } = transform;
+        return {
+            x: a * p.x - b * p.y + (linearOnly ? 0 : transform.tx),
+            y: b * p.x + a * p.y + (linearOnly ? 0 : transform.ty)
+        };
+    }
+
+    /**
+     * Transfer the expression of the current video face onto the source face.
+     * 1. Undo the head motion since the reference frame (current -> reference fit) and take
+     *    the remaining displacement of every landmark as the expression.
+     * 2. Rescale/rotate the displacements into the source photo (reference -> source fit)
+     *    and add them to the source landmarks.
+     * 3. Pose the expressive source face like the current video face (source -> current fit).
+     * All point sets must be in pixel coordinates and use the same landmark order.
+     * @param {Array} sourceLandmarks - Source photo landmarks [{x, y}, ...]
+     * @param {Array} referenceLandmarks - Video face in its neutral reference frame
+     * @param {Array} currentLandmarks - Video face in the current frame
+     * @param {Object} options - {strength: expression scale (default 1), alignIndices: rigid
+     *                           landmarks used for the fits (default all)}
+     * @returns {Array|null} Expressive source landmarks posed in the current frame [{x, y}, ...],
+     *   or null if the inputs do not match
+     */
+    function transferExpression(sourceLandmarks, referenceLandmarks, currentLandmarks, options = {}) {
+        if (!sourceLandmarks || !referenceLandmarks || !currentLandmarks) return null;
+        const n = sourceLandmarks.length;
+        if (referenceLandmarks.length !== n || currentLandmarks.length !== n) {
+            console.warn("ExpressionTransfer: Landmark count mismatch", n, referenceLandmarks.length, currentLandmarks.length);
+            return null;
+        }
+
+        const strength = options.strength === undefined ? 1 : options.strength;
+        const alignIndices = options.alignIndices ? options.alignIndices.filter(i => i < n) : null;
+
+        const currentToReference = estimateSimilarity(currentLandmarks, referenceLandmarks, alignIndices);
+        const referenceToSource = estimateSimilarity(referenceLandmarks, sourceLandmarks, alignIndices);
+        const sourceToCurrent = estimateSimilarity(sourceLandmarks, currentLandmarks, alignIndices);
+        if (!currentToReference || !referenceToSource || !sourceToCurrent) return null;
+
+        return sourceLandmarks.map((src, i) => {
+            const aligned = applySimilarity(currentToReference, currentLandmarks[i]);
+            const delta = applySimilarity(referenceToSource, {
+                x: aligned.x - referenceLandmarks[i].x,
+                y: aligned.y - referenceLandmarks[i].y
+            }, true);
+            return applySimilarity(sourceToCurrent, {
+                x: src.x + delta.x * strength,
+                y: src.y + delta.y * strength
+            });
+        });
+    }
+
+    // Export module
+    window.ExpressionTransfer = {
+        estimateSimilarity,
+        applySimilarity,
+        transferExpression
+    };
+
+})();
@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Create a mock window object if it doesn't exist
+if (typeof window === 'undefined') {
+    global.window = {};
+}
+
+// Import the module
+import './expressionTransfer.js';
+
+// Small "face": four rigid points (eyes, nose bridge, nose tip) and two mouth corners
+const RIGID = [0, 1, 2, 3];
+const reference = [
+    { x: 100, y: 100 }, { x: 160, y: 100 }, { x: 130, y: 110 }, { x: 130, y: 140 },
+    { x: 110, y: 170 }, { x: 150, y: 170 }
+];
+
+// Rotate by angle, scale by s around the origin, then translate
+function pose(points, angle, s, tx, ty) {
+    const c = Math.cos(angle) * s;
+    const sn = Math.sin(angle) * s;
+    return points.map(p => ({ x: c * p.x - sn * p.y + tx, y: sn * p.x + c * p.y + ty }));
+}
+
+function expectPointsClose(actual, expected) {
+    expect(actual).toHaveLength(expected.length);
+    actual.forEach((p, i) => {
+        expect(p.x).toBeCloseTo(expected[i].x, 6);
+        expect(p.y).toBeCloseTo(expected[i].y, 6);
+    });
+}
+
+describe('ExpressionTransfer', () => {
+    let ExpressionTransfer;
+
+    beforeEach(() => {
+        ExpressionTransfer = window.ExpressionTransfer;
+    });
+
+    it('should recover a similarity transform exactly', () => {
+        const moved = pose(reference, 0.4, 1.7, -20, 35);
+        const transform = ExpressionTransfer.estimateSimilarity(reference, moved);
+        expectPointsClose(reference.map(p => ExpressionTransfer.applySimilarity(transform, p)), moved);
+    });
+
+    it('should pose the neutral source face when the video face only moves its head', () => {
+        // Source photo: a differently proportioned face at another scale
+        const source = pose(reference.map((p, i) => ({ x: p.x * (i === 2 ? 1.1 : 1), y: p.y })), 0.1, 2, 50, -40);
+        const current = pose(reference, -0.3, 0.8, 12, 30);
+
+        const result = ExpressionTransfer.transferExpression(source, reference, current, { alignIndices: RIGID });
+        const sourceToCurrent = ExpressionTransfer.estimateSimilarity(source, current, RIGID);
+        expectPointsClose(result, source.map(p => ExpressionTransfer.applySimilarity(sourceToCurrent, p)));
+    });
+
+    it('should carry the expression over through head motion', () => {
+        const source = pose(reference, 0.2, 2, 50, -40);
+        // Mouth opens by 10px (corners drop) while the head rolls and shrinks
+        const opened = reference.map((p, i) => (i >= 4 ? { x: p.x, y: p.y + 10 } : p));
+        const current = pose(opened, -0.3, 0.5, 12, 30);
+
+        const result = ExpressionTransfer.transferExpression(source, reference, current, { alignIndices: RIGID });
+        // The source is the reference up to a similarity, so its posed expressive face is the current face
+        expectPointsClose(result, current);
+    });
+
+    it('should scale the expression by the strength', () => {
+        const opened = reference.map((p, i) => (i >= 4 ? { x: p.x, y: p.y + 10 } : p));
+        const half = ExpressionTransfer.transferExpression(reference, reference, opened, { alignIndices: RIGID, strength: 0.5 });
+        expect(half[4].y).toBeCloseTo(175, 6);
+        expect(half[0].y).toBeCloseTo(100, 6);
+    });
+
+    it('should reject mismatched landmark sets', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+        expect(ExpressionTransfer.transferExpression(reference, reference.slice(1), reference)).toBeNull();
+        warn.mockRestore();
+        expect(ExpressionTransfer.transferExpression(null, reference, reference)).toBeNull();
+    });
+});
@@ -1,6 +1,7 @@
 /**
  * FaceBlender Module
- * Edge-based feathering with controllable falloff
+ * Edge-based feathering with controllable falloff, seamless (Poisson) cloning
+ * and multi-band (Laplacian pyramid) blending
  */
 
 (function () {
@@ -64,68 +65,148 @@
     }
 
     /**
-     * Create edge-feathered mask with controllable falloff
+     * Euclidean distance transform (Felzenszwalb & Huttenlocher), in place.
+     * @param {Float32Array} grid - 0 at feature pixels, a large value elsewhere; replaced by
+     *                              the distance to the nearest feature pixel
+     * @param {number} width - Grid width
+     * @param {number} height - Grid height
+     */
+    function distanceTransform(grid, width, height) {
+        const n = Math.max(width, height);
+        const f = new Float32Array(n);
+        const d = new Float32Array(n);
+        const v = new Int32Array(n);
+        const z = new Float32Array(n + 1);
+
+        // Squared distances along one line (lower envelope of parabolas)
+        const transformLine = (length) => {
+            let k = 0;
+            v[0] = 0;
+            z[0] = -Infinity;
+            z[1] = Infinity;
+            for (let q = 1; q < length; q++) {
+                let sep = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+                while (sep <= z[k]) {
+                    k--;
+                    sep = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+                }
+                k++;
+                v[k] = q;
+                z[k] = sep;
+                z[k + 1] = Infinity;
+            }
+            k = 0;
+            for (let q = 0; q < length; q++) {
+                while (z[k + 1] < q) k++;
+                d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+            }
+        };
+
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < height; y++) f[y] = grid[y * width + x];
+            transformLine(height);
+            for (let y = 0; y < height; y++) grid[y * width + x] = d[y];
+        }
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) f[x] = grid[y * width + x];
+            transformLine(width);
+            for (let x = 0; x < width; x++) grid[y * width + x] = Math.sqrt(d[x]);
+        }
+    }
+
+    /**
+     * Build a face mask from a contour polygon with a distance-based fade, so the
+     * edge fades by the same number of pixels all around the outline, whatever the face's shape.
+     * @param {Array} polygon - Face contour [{x, y}, ...] in pixel coordinates
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @param {number} edgeBlur - Fade distance inside the contour (px); 0 = hard edge
+     * @param {number} falloff - 0-100; higher fades over a shorter distance (half to one and a half edgeBlur)
+     * @param {Object} options - {offset: px to grow (> 0) or shrink (< 0) the contour before fading}
+     * @returns {Object|null} {x, y, width, height, data}: opacity 0-1 per pixel of the
+     *   contour's bounding box (zero outside it), or null for a degenerate polygon
+     */
+    function createContourMask(polygon, width, height, edgeBlur, falloff = 70, options = {}) {
+        if (!polygon || polygon.length < 3) return null;
+        const offset = options.offset || 0;
+
+        // Bounding box with room for the grown contour and a ring of outside pixels
+        const margin = Math.ceil(Math.max(offset, 0)) + 2;
+        const x0 = Math.max(0, Math.floor(Math.min(...polygon.map(p => p.x))) - margin);
+        const y0 = Math.max(0, Math.floor(Math.min(...polygon.map(p => p.y))) - margin);
+        const x1 = Math.min(width, Math.ceil(Math.max(...polygon.map(p => p.x))) + margin);
+        const y1 = Math.min(height, Math.ceil(Math.max(...polygon.map(p => p.y))) + margin);
+        const w = x1 - x0;
+        const h = y1 - y0;
+        if (w <= 0 || h <= 0) return null;
+
+        const inside = createPolygonMask(polygon, x0, y0, w, h);
+        const far = 1e20;
+        const toOutside = new Float32Array(w * h);
+        const toInside = new Float32Array(w * h);
+        for (let p = 0; p < inside.length; p++) {
+            toOutside[p] = inside[p] ? far : 0;
+            toInside[p] = inside[p] ? 0 : far;
+        }
+        distanceTransform(toOutside, w, h);
+        distanceTransform(toInside, w, h);
+
+        const fade = edgeBlur * (1.5 - falloff / 100);
+        const data = new Float32Array(w * h);
+        for (let p = 0; p < data.length; p++) {
+            // Signed distance into the (grown or shrunk) contour
+            const depth = (inside[p] ? toOutside[p] : -toInside[p]) + offset;
+            if (depth <= 0) continue;
+            if (fade <= 0 || depth >= fade) {
+                data[p] = 1;
+            } else {
+                const t = depth / fade;
+                data[p] = t * t * (3 - 2 * t);
+            }
+        }
+        return { x: x0, y: y0, width: w, height: h, data };
+    }
+
+    /**
+     * Pick the polygon a face mask is built from: the face outline when there is one
+     * (see FaceLandmarkerModule.getFaceOutline), else the convex hull of the landmarks.
+     * @param {Array} landmarks - Face landmarks in pixel coordinates
+     * @param {Array} [outline] - Face outline in pixel coordinates; empty if the ring was incomplete
+     * @returns {Array} Contour polygon [{x, y}, ...]
+     */
+    function getMaskContour(landmarks, outline) {
+        return outline && outline.length >= 3 ? outline : computeConvexHull([...landmarks]);
+    }
+
+    /**
+     * Create the blend mask canvas for a face: its outline (or the landmarks' convex hull
+     * without one) with a distance-based edge fade (see createContourMask).
      * @param {Array} landmarks - Face landmarks in pixel coordinates
      * @param {number} width - Canvas width
-     * @param {number} height - Canvas height  
-     * @param {number} edgeBlur - Amount of blur at edges (px)
+     * @param {number} height - Canvas height
+     * @param {number} edgeBlur - Fade distance (px)
      * @param {number} falloff - 0-100, controls how abrupt the transparency change is
      *                           Lower = gradual fade, Higher = abrupt/sharp transition
+     * @param {Object} options - {offset: px to grow (> 0) or shrink (< 0) the mask,
+     *                           outline: face outline in pixel coordinates (see getMaskContour)}
+     * @returns {HTMLCanvasElement|null} White mask with the opacity in its alpha channel
      */
-    function createEdgeFeatheredMask(landmarks, width, height, edgeBlur, falloff = 70) {
-        if (edgeBlur <= 0) return null;
+    function createEdgeFeatheredMask(landmarks, width, height, edgeBlur, falloff = 70, options = {}) {
+        const polygon = getMaskContour(landmarks, options.outline);
+        const contour = createContourMask(polygon, width, height, edgeBlur, falloff, options);
+        if (!contour) return null;
 
         const canvas = document.createElement('canvas');
         canvas.width = width;
         canvas.height = height;
-        const ctx = canvas.getContext('2d');
-
-        // Get convex hull of landmarks
-        const hull = computeConvexHull([...landmarks]);
-        if (hull.length < 3) return null;
-
-        // Compute centroid for radial gradient
-        const centroid = computeCentroid(landmarks);
-
-        // Find maximum distance from centroid to hull
-        let maxDist = 0;
-        for (const p of hull) {
-            const dist = Math.sqrt((p.x - centroid.x) ** 2 + (p.y - centroid.y) ** 2);
-            if (dist > maxDist) maxDist = dist;
-        }
-
-        // Falloff controls the gradient stops
-        // falloff = 0: very gradual (solid starts at 0%, fades over long distance)
-        // falloff = 100: very abrupt (solid until 90%, then quick fade)
-        const solidEnd = (falloff / 100) * 0.85;  // Where solid white ends (0 to 0.85)
-        const fadeStart = solidEnd;
-
-        // Create radial gradient with controllable falloff
-        const gradient = ctx.createRadialGradient(
-            centroid.x, centroid.y, 0,
-            centroid.x, centroid.y, maxDist * 1.05
-        );
-
-        gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');           // Center: fully opaque
-        gradient.addColorStop(solidEnd, 'rgba(255, 255, 255, 1)');    // Solid until falloff point
-        gradient.addColorStop(Math.min(solidEnd + 0.15, 0.98), 'rgba(255, 255, 255, 0.3)'); // Quick transition
-        gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');           // Edge: transparent
-
-        // Draw hull shape with gradient fill
-        ctx.fillStyle = gradient;
-        ctx.beginPath();
-        ctx.moveTo(hull[0].x, hull[0].y);
-        for (let i = 1; i < hull.length; i++) {
-            ctx.lineTo(hull[i].x, hull[i].y);
-        }
-        ctx.closePath();
-        ctx.fill();
-
-        // Apply blur to soften edges
-        if (edgeBlur > 3) {
-            applyBlur(canvas, edgeBlur * 0.4);
+        const imageData = new ImageData(contour.width, contour.height);
+        for (let p = 0; p < contour.data.length; p++) {
+            imageData.data[p * 4] = 255;
+            imageData.data[p * 4 + 1] = 255;
+            imageData.data[p * 4 + 2] = 255;
+            imageData.data[p * 4 + 3] = Math.round(contour.data[p] * 255);
         }
-
+        canvas.getContext('2d').putImageData(imageData, contour.x, contour.y);
         return canvas;
     }
 
@@ -143,11 +224,64 @@
         ctx.drawImage(temp, 0, 0);
     }
 
+    /**
+     * Cut feathered holes into a mask so the target shows through (e.g. its eyes and inner mouth).
+     * Holes are grown by half the feather and blurred by the other half, so the
+     * polygon itself stays fully transparent.
+     * @param {HTMLCanvasElement} mask - Mask canvas (alpha = warped face opacity)
+     * @param {Array} holes - Polygons in pixel coordinates [[{x, y}, ...], ...]
+     * @param {number} feather - Width of the soft edge (px)
+     */
+    function cutFeatureHoles(mask, holes, feather = 4) {
+        const holeCanvas = document.createElement('canvas');
+        holeCanvas.width = mask.width;
+        holeCanvas.height = mask.height;
+        const holeCtx = holeCanvas.getContext('2d');
+
+        holeCtx.fillStyle = 'white';
+        holeCtx.strokeStyle = 'white';
+        holeCtx.lineJoin = 'round';
+        holeCtx.lineWidth = feather;
+        for (const hole of holes) {
+            if (hole.length < 3) continue;
+            holeCtx.beginPath();
+            holeCtx.moveTo(hole[0].x, hole[0].y);
+            for (let i = 1; i < hole.length; i++) {
+                holeCtx.lineTo(hole[i].x, hole[i].y);
+            }
+            holeCtx.closePath();
+            holeCtx.fill();
+            if (feather > 0) {
+                holeCtx.stroke();
+            }
+        }
+
+        if (feather > 1) {
+            applyBlur(holeCanvas, feather / 2);
+        }
+
+        const maskCtx = mask.getContext('2d');
+        maskCtx.globalCompositeOperation = 'destination-out';
+        maskCtx.drawImage(holeCanvas, 0, 0);
+        maskCtx.globalCompositeOperation = 'source-over';
+    }
+
     /**
      * Apply edge-feathered blending to warped face
+     * @param {CanvasRenderingContext2D} ctx - Destination context (the target frame)
+     * @param {HTMLCanvasElement} warpedCanvas - Warped face, same size as the destination
+     * @param {Array} landmarks - Face landmarks in pixel coordinates
+     * @param {number} edgeBlur - Amount of blur at edges (px)
+     * @param {number} falloff - 0-100, see createEdgeFeatheredMask
+     * @param {Object} options - {holes, holeFeather}: target regions to keep (polygons in pixel
+     *                           coordinates, see cutFeatureHoles) and the width of their soft edge;
+     *                           {maskOffset}: px to grow (> 0) or shrink (< 0) the face mask;
+     *                           {outline}: face outline the mask follows (see getMaskContour)
      */
-    function applyFeatheredBlend(ctx, warpedCanvas, landmarks, edgeBlur, falloff = 70) {
-        if (edgeBlur <= 0) {
+    function applyFeatheredBlend(ctx, warpedCanvas, landmarks, edgeBlur, falloff = 70, options = {}) {
+        const holes = options.holes || [];
+        const maskOffset = options.maskOffset || 0;
+        if (edgeBlur <= 0 && maskOffset === 0 && holes.length === 0) {
             ctx.drawImage(warpedCanvas, 0, 0);
             return;
         }
@@ -156,11 +290,28 @@
         const height = warpedCanvas.height;
 
         // Create edge-feathered mask with falloff
-        const mask = createEdgeFeatheredMask(landmarks, width, height, edgeBlur, falloff);
+        let mask = edgeBlur > 0 || maskOffset !== 0
+            ? createEdgeFeatheredMask(landmarks, width, height, Math.max(edgeBlur, 0), falloff, {
+                offset: maskOffset,
+                outline: options.outline
+            })
+            : null;
+        if (!mask && holes.length > 0) {
+            // No feathering: the whole warped face, minus the holes
+            mask = document.createElement('canvas');
+            mask.width = width;
+            mask.height = height;
+            const maskCtx = mask.getContext('2d');
+            maskCtx.fillStyle = 'white';
+            maskCtx.fillRect(0, 0, width, height);
+        }
         if (!mask) {
             ctx.drawImage(warpedCanvas, 0, 0);
             return;
         }
+        if (holes.length > 0) {
+            cutFeatureHoles(mask, holes, options.holeFeather);
+        }
 
         // Apply mask to warped canvas
         const tempCanvas = document.createElement('canvas');
@@ -179,6 +330,379 @@
         ctx.drawImage(tempCanvas, 0, 0);
     }
 
+    /**
+     * Rasterize a polygon into a coverage mask (even-odd scanline fill at pixel centres).
+     * @param {Array} polygon - Points [{x, y}, ...] in pixel coordinates
+     * @param {number} x0 - Left edge of the mask in the same coordinates
+     * @param {number} y0 - Top edge of the mask
+     * @param {number} width - Mask width
+     * @param {number} height - Mask height
+     * @param {Uint8Array} mask - Mask to fill into (default a new one)
+     * @param {number} value - Value to write inside the polygon (1 to add, 0 to cut out)
+     * @returns {Uint8Array} width * height mask
+     */
+    function createPolygonMask(polygon, x0, y0, width, height, mask = new Uint8Array(width * height), value = 1) {
+        if (!polygon || polygon.length < 3) return mask;
+
+        const crossings = [];
+        for (let y = 0; y < height; y++) {
+            const py = y0 + y + 0.5;
+            crossings.length = 0;
+            for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+                const a = polygon[j];
+                const b = polygon[i];
+                if ((a.y > py) !== (b.y > py)) {
+                    crossings.push(a.x + (py - a.y) * (b.x - a.x) / (b.y - a.y));
+                }
+            }
+            crossings.sort((m, n) => m - n);
+            for (let k = 0; k + 1 < crossings.length; k += 2) {
+                // Pixels whose centre lies between the two crossings
+                const start = Math.max(0, Math.ceil(crossings[k] - x0 - 0.5));
+                const end = Math.min(width - 1, Math.floor(crossings[k + 1] - x0 - 0.5));
+                for (let x = start; x <= end; x++) {
+                    mask[y * width + x] = value;
+                }
+            }
+        }
+        return mask;
+    }
+
+    /**
+     * Gradient-domain (Poisson) blend: inside the mask, solve for pixels whose gradients
+     * match the source and whose values meet the target at the mask border, so the
+     * source's texture takes on the target's lighting. Solved per RGB channel with a
+     * fixed number of successive over-relaxation sweeps, starting from the source shifted
+     * by the mean border difference. Pure and deterministic.
+     * @param {Object} target - {width, height, data} RGBA target (the frame)
+     * @param {Object} source - {width, height, data} RGBA source of the same size (the warped face)
+     * @param {Uint8Array} mask - Clone region (1 = solve); the outermost pixels are always kept from the target
+     * @param {Object} options - {iterations: sweeps (default 100), omega: relaxation factor (default 1.9)}
+     * @returns {Object} {width, height, data}: the target with the region replaced
+     */
+    function poissonBlend(target, source, mask, options = {}) {
+        const width = target.width;
+        const height = target.height;
+        const iterations = options.iterations === undefined ? 100 : options.iterations;
+        const omega = options.omega === undefined ? 1.9 : options.omega;
+        const result = new Uint8ClampedArray(target.data);
+
+        const inRegion = new Uint8Array(width * height);
+        const region = [];
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const p = y * width + x;
+                if (mask[p]) {
+                    inRegion[p] = 1;
+                    region.push(p);
+                }
+            }
+        }
+        if (region.length === 0) return { width, height, data: result };
+
+        const t = target.data;
+        const s = source.data;
+        const f = new Float32Array(width * height);
+        const rhs = new Float32Array(region.length);
+        const offsets = [-1, 1, -width, width];
+
+        for (let c = 0; c < 3; c++) {
+            // Mean difference across the border, to start close to the solution
+            let borderSum = 0, borderCount = 0;
+            for (const p of region) {
+                for (const o of offsets) {
+                    if (!inRegion[p + o]) {
+                        borderSum += t[(p + o) * 4 + c] - s[p * 4 + c];
+                        borderCount++;
+                    }
+                }
+            }
+            const shift = borderCount > 0 ? borderSum / borderCount : 0;
+
+            // Right-hand side: source gradients plus the fixed target values at the border
+            region.forEach((p, k) => {
+                const sp = s[p * 4 + c];
+                let sum = 0;
+                for (const o of offsets) {
+                    const q = p + o;
+                    // No guidance towards transparent source pixels
+                    if (s[q * 4 + 3] > 0) sum += sp - s[q * 4 + c];
+                    if (!inRegion[q]) sum += t[q * 4 + c];
+                }
+                rhs[k] = sum;
+                f[p] = sp + shift;
+            });
+
+            for (let iter = 0; iter < iterations; iter++) {
+                for (let k = 0; k < region.length; k++) {
+                    const p = region[k];
+                    let sum = rhs[k];
+                    if (inRegion[p - 1]) sum += f[p - 1];
+                    if (inRegion[p + 1]) sum += f[p + 1];
+                    if (inRegion[p - width]) sum += f[p - width];
+                    if (inRegion[p + width]) sum += f[p + width];
+                    f[p] += omega * (sum / 4 - f[p]);
+                }
+            }
+
+            for (const p of region) {
+                result[p * 4 + c] = Math.round(f[p]);
+            }
+        }
+
+        return { width, height, data: result };
+    }
+
+    /**
+     * Apply seamless (Poisson) cloning of the warped face onto the target.
+     * The clone region is the convex hull of the landmarks, minus transparent warp pixels and any holes.
+     * @param {CanvasRenderingContext2D} ctx - Destination context (the target frame)
+     * @param {HTMLCanvasElement} warpedCanvas - Warped face, same size as the destination
+     * @param {Array} landmarks - Face landmarks in pixel coordinates
+     * @param {Object} options - {holes: target regions to keep (polygons, see cutFeatureHoles),
+     *                           iterations, omega: see poissonBlend}
+     */
+    function applyPoissonBlend(ctx, warpedCanvas, landmarks, options = {}) {
+        const hull = computeConvexHull([...landmarks]);
+        if (hull.length < 3) {
+            ctx.drawImage(warpedCanvas, 0, 0);
+            return;
+        }
+
+        // Hull bounding box plus a border row/column of target pixels
+        const xs = hull.map(p => p.x);
+        const ys = hull.map(p => p.y);
+        const x0 = Math.max(0, Math.floor(Math.min(...xs)) - 1);
+        const y0 = Math.max(0, Math.floor(Math.min(...ys)) - 1);
+        const x1 = Math.min(warpedCanvas.width, Math.ceil(Math.max(...xs)) + 2);
+        const y1 = Math.min(warpedCanvas.height, Math.ceil(Math.max(...ys)) + 2);
+        const width = x1 - x0;
+        const height = y1 - y0;
+        if (width < 3 || height < 3) return;
+
+        const target = ctx.getImageData(x0, y0, width, height);
+        const source = warpedCanvas.getContext('2d').getImageData(x0, y0, width, height);
+
+        const mask = createPolygonMask(hull, x0, y0, width, height);
+        for (const hole of options.holes || []) {
+            createPolygonMask(hole, x0, y0, width, height, mask, 0);
+        }
+        for (let p = 0; p < mask.length; p++) {
+            if (source.data[p * 4 + 3] === 0) mask[p] = 0;
+        }
+
+        const blended = poissonBlend(target, source, mask, options);
+
+        // Only the clone region is drawn, so the context's globalAlpha still applies
+        const output = new ImageData(blended.data, width, height);
+        for (let p = 0; p < mask.length; p++) {
+            output.data[p * 4 + 3] = mask[p] ? 255 : 0;
+        }
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = width;
+        tempCanvas.height = height;
+        tempCanvas.getContext('2d').putImageData(output, 0, 0);
+        ctx.drawImage(tempCanvas, x0, y0);
+    }
+
+    // 5-tap binomial kernel for the image pyramids
+    const PYRAMID_KERNEL = [1 / 16, 4 / 16, 6 / 16, 4 / 16, 1 / 16];
+
+    /**
+     * Blur with the pyramid kernel (mirrored borders) and keep every second pixel.
+     * @param {Float32Array} src - Interleaved pixels
+     * @param {number} width - Width of src
+     * @param {number} height - Height of src
+     * @param {number} channels - Values per pixel
+     * @returns {Object} {data, width, height}
+     */
+    function pyramidDown(src, width, height, channels) {
+        const mirror = (i, n) => (i < 0 ? Math.min(-i, n - 1) : (i >= n ? Math.max(2 * n - 2 - i, 0) : i));
+        const outWidth = Math.ceil(width / 2);
+        const outHeight = Math.ceil(height / 2);
+
+        // Horizontal pass on every row, only at the kept columns
+        const rows = new Float32Array(outWidth * height * channels);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < outWidth; x++) {
+                for (let k = 0; k < 5; k++) {
+                    const from = (y * width + mirror(2 * x + k - 2, width)) * channels;
+                    const to = (y * outWidth + x) * channels;
+                    for (let c = 0; c < channels; c++) {
+                        rows[to + c] += PYRAMID_KERNEL[k] * src[from + c];
+                    }
+                }
+            }
+        }
+
+        // Vertical pass at the kept rows
+        const data = new Float32Array(outWidth * outHeight * channels);
+        for (let y = 0; y < outHeight; y++) {
+            for (let k = 0; k < 5; k++) {
+                const row = mirror(2 * y + k - 2, height);
+                for (let x = 0; x < outWidth; x++) {
+                    const from = (row * outWidth + x) * channels;
+                    const to = (y * outWidth + x) * channels;
+                    for (let c = 0; c < channels; c++) {
+                        data[to + c] += PYRAMID_KERNEL[k] * rows[from + c];
+                    }
+                }
+            }
+        }
+        return { data, width: outWidth, height: outHeight };
+    }
+
+    /**
+     * Bilinearly upsample a pyramid level to the size of the level below it.
+     * Coarse pixel j sits on fine pixel 2j, matching pyramidDown.
+     */
+    function pyramidUp(src, width, height, outWidth, outHeight, channels) {
+        const data = new Float32Array(outWidth * outHeight * channels);
+        for (let y = 0; y < outHeight; y++) {
+            const y0 = Math.min(y >> 1, height - 1);
+            const y1 = Math.min(y0 + 1, height - 1);
+            const ty = (y & 1) && y1 !== y0 ? 0.5 : 0;
+            for (let x = 0; x < outWidth; x++) {
+                const x0 = Math.min(x >> 1, width - 1);
+                const x1 = Math.min(x0 + 1, width - 1);
+                const tx = (x & 1) && x1 !== x0 ? 0.5 : 0;
+                const i00 = (y0 * width + x0) * channels;
+                const i10 = (y0 * width + x1) * channels;
+                const i01 = (y1 * width + x0) * channels;
+                const i11 = (y1 * width + x1) * channels;
+                const to = (y * outWidth + x) * channels;
+                for (let c = 0; c < channels; c++) {
+                    data[to + c] = (1 - ty) * ((1 - tx) * src[i00 + c] + tx * src[i10 + c]) +
+                        ty * ((1 - tx) * src[i01 + c] + tx * src[i11 + c]);
+                }
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Gaussian pyramid: level 0 is the input, each further level half the size.
+     * Stops early once a level is a single pixel wide or high.
+     */
+    function buildGaussianPyramid(data, width, height, channels, levels) {
+        const pyramid = [{ data, width, height }];
+        while (pyramid.length < levels) {
+            const top = pyramid[pyramid.length - 1];
+            if (top.width <= 1 || top.height <= 1) break;
+            pyramid.push(pyramidDown(top.data, top.width, top.height, channels));
+        }
+        return pyramid;
+    }
+
+    /**
+     * Multi-band blend: split source and target into Laplacian pyramids and mix each
+     * frequency band with a correspondingly blurred mask, so coarse lighting blends over
+     * a wide seam while fine detail switches over a narrow one. Pure and deterministic.
+     * @param {Object} target - {width, height, data} RGBA target (the frame)
+     * @param {Object} source - {width, height, data} RGBA source of the same size (the warped face)
+     * @param {Float32Array} mask - Source weight per pixel, 0-1
+     * @param {number} levels - Number of pyramid levels (1 = plain mask blend)
+     * @returns {Object} {width, height, data}: the blended RGBA image (alpha from the target)
+     */
+    function multiBandBlend(target, source, mask, levels = 5) {
+        const width = target.width;
+        const height = target.height;
+        const pixels = width * height;
+
+        // Transparent source pixels take the target's colour, so they don't bleed dark into the low bands
+        const sourceRGB = new Float32Array(pixels * 3);
+        const targetRGB = new Float32Array(pixels * 3);
+        const weights = new Float32Array(pixels);
+        for (let p = 0; p < pixels; p++) {
+            const hasSource = source.data[p * 4 + 3] > 0;
+            for (let c = 0; c < 3; c++) {
+                targetRGB[p * 3 + c] = target.data[p * 4 + c];
+                sourceRGB[p * 3 + c] = hasSource ? source.data[p * 4 + c] : target.data[p * 4 + c];
+            }
+            weights[p] = hasSource ? mask[p] : 0;
+        }
+
+        const sourcePyramid = buildGaussianPyramid(sourceRGB, width, height, 3, Math.max(1, levels));
+        const targetPyramid = buildGaussianPyramid(targetRGB, width, height, 3, sourcePyramid.length);
+        const maskPyramid = buildGaussianPyramid(weights, width, height, 1, sourcePyramid.length);
+
+        // Blend the coarsest Gaussian level, then add back each blended Laplacian band
+        const top = sourcePyramid.length - 1;
+        let blended = new Float32Array(sourcePyramid[top].data.length);
+        for (let i = 0; i < blended.length; i++) {
+            const m = maskPyramid[top].data[Math.floor(i / 3)];
+            blended[i] = m * sourcePyramid[top].data[i] + (1 - m) * targetPyramid[top].data[i];
+        }
+        for (let level = top - 1; level >= 0; level--) {
+            const { width: w, height: h } = sourcePyramid[level];
+            const { width: cw, height: ch } = sourcePyramid[level + 1];
+            const upSource = pyramidUp(sourcePyramid[level + 1].data, cw, ch, w, h, 3);
+            const upTarget = pyramidUp(targetPyramid[level + 1].data, cw, ch, w, h, 3);
+            const upBlended = pyramidUp(blended, cw, ch, w, h, 3);
+            const s = sourcePyramid[level].data;
+            const t = targetPyramid[level].data;
+            const m = maskPyramid[level].data;
+            blended = new Float32Array(s.length);
+            for (let i = 0; i < s.length; i++) {
+                const weight = m[Math.floor(i / 3)];
+                blended[i] = upBlended[i] + weight * (s[i] - upSource[i]) + (1 - weight) * (t[i] - upTarget[i]);
+            }
+        }
+
+        const data = new Uint8ClampedArray(target.data);
+        for (let p = 0; p < pixels; p++) {
+            for (let c = 0; c < 3; c++) {
+                data[p * 4 + c] = Math.round(blended[p * 3 + c]);
+            }
+        }
+        return { width, height, data };
+    }
+
+    /**
+     * Apply multi-band blending of the warped face onto the target over the landmark hull.
+     * @param {CanvasRenderingContext2D} ctx - Destination context (the target frame)
+     * @param {HTMLCanvasElement} warpedCanvas - Warped face, same size as the destination
+     * @param {Array} landmarks - Face landmarks in pixel coordinates
+     * @param {Object} options - {levels: pyramid levels (default 5), holes: target regions to keep
+     *                           (polygons, see cutFeatureHoles)}
+     */
+    function applyMultiBandBlend(ctx, warpedCanvas, landmarks, options = {}) {
+        const levels = options.levels || 5;
+        const hull = computeConvexHull([...landmarks]);
+        if (hull.length < 3) {
+            ctx.drawImage(warpedCanvas, 0, 0);
+            return;
+        }
+
+        // The coarsest band spreads about 2^levels pixels beyond the hull
+        const margin = Math.pow(2, levels);
+        const xs = hull.map(p => p.x);
+        const ys = hull.map(p => p.y);
+        const x0 = Math.max(0, Math.floor(Math.min(...xs)) - margin);
+        const y0 = Math.max(0, Math.floor(Math.min(...ys)) - margin);
+        const x1 = Math.min(warpedCanvas.width, Math.ceil(Math.max(...xs)) + margin);
+        const y1 = Math.min(warpedCanvas.height, Math.ceil(Math.max(...ys)) + margin);
+        const width = x1 - x0;
+        const height = y1 - y0;
+        if (width < 1 || height < 1) return;
+
+        const target = ctx.getImageData(x0, y0, width, height);
+        const source = warpedCanvas.getContext('2d').getImageData(x0, y0, width, height);
+
+        const region = createPolygonMask(hull, x0, y0, width, height);
+        for (const hole of options.holes || []) {
+            createPolygonMask(hole, x0, y0, width, height, region, 0);
+        }
+
+        const blended = multiBandBlend(target, source, Float32Array.from(region), levels);
+
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = width;
+        tempCanvas.height = height;
+        tempCanvas.getContext('2d').putImageData(new ImageData(blended.data, width, height), 0, 0);
+        ctx.drawImage(tempCanvas, x0, y0);
+    }
+
     /**
      * Convert RGB to LAB color space
      * LAB separates luminance (L) from chrominance (a,b) for better color matching
@@ -271,67 +795,226 @@
         };
     }
 
+    /**
+     * Collect the LAB colors of the opaque pixels in a face region.
+     * @param {CanvasRenderingContext2D} ctx - Context to sample
+     * @param {Array} landmarks - Face landmarks in pixel coordinates (their hull is the default region)
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @param {Object} options - {region: polygon to sample instead of the hull,
+     *                           exclude: polygons to leave out (eyes, brows, lips)}
+     * @returns {Object|null} {L, a, b} sample arrays, or null if the region is empty
+     */
+    function collectLabSamples(ctx, landmarks, width, height, options = {}) {
+        const region = options.region || computeConvexHull([...landmarks]);
+        if (!region || region.length < 3) return null;
+
+        const x0 = Math.max(0, Math.floor(Math.min(...region.map(p => p.x))));
+        const y0 = Math.max(0, Math.floor(Math.min(...region.map(p => p.y))));
+        const x1 = Math.min(width, Math.ceil(Math.max(...region.map(p => p.x))) + 1);
+        const y1 = Math.min(height, Math.ceil(Math.max(...region.map(p => p.y))) + 1);
+        const w = x1 - x0;
+        const h = y1 - y0;
+        if (w <= 0 || h <= 0) return null;
+
+        const mask = createPolygonMask(region, x0, y0, w, h);
+        for (const polygon of options.exclude || []) {
+            createPolygonMask(polygon, x0, y0, w, h, mask, 0);
+        }
+
+        const data = ctx.getImageData(x0, y0, w, h).data;
+        const L = new Float32Array(w * h);
+        const a = new Float32Array(w * h);
+        const b = new Float32Array(w * h);
+        let count = 0;
+        for (let p = 0; p < mask.length; p++) {
+            if (mask[p] && data[p * 4 + 3] > 0) {
+                const lab = rgbToLab(data[p * 4], data[p * 4 + 1], data[p * 4 + 2]);
+                L[count] = lab.L;
+                a[count] = lab.a;
+                b[count] = lab.b;
+                count++;
+            }
+        }
+        if (count === 0) return null;
+        return { L: L.subarray(0, count), a: a.subarray(0, count), b: b.subarray(0, count) };
+    }
+
     /**
      * Get color statistics in LAB color space for face region
      * LAB provides better perceptual uniformity for color matching
+     * @param {Object} options - {region, exclude}, see collectLabSamples
      */
-    function getColorStats(ctx, landmarks, width, height) {
-        const imageData = ctx.getImageData(0, 0, width, height);
-        const data = imageData.data;
+    function getColorStats(ctx, landmarks, width, height, options = {}) {
+        const samples = collectLabSamples(ctx, landmarks, width, height, options);
+        if (!samples) return null;
+
+        const meanStd = values => {
+            let sum = 0, sqSum = 0;
+            for (const v of values) {
+                sum += v;
+                sqSum += v * v;
+            }
+            const mean = sum / values.length;
+            return [mean, Math.sqrt(Math.max(0, sqSum / values.length - mean * mean))];
+        };
+        const [meanL, stdL] = meanStd(samples.L);
+        const [meanA, stdA] = meanStd(samples.a);
+        const [meanB, stdB] = meanStd(samples.b);
 
-        // Create a mask for the face region to only sample face pixels
-        const maskCanvas = document.createElement('canvas');
-        maskCanvas.width = width;
-        maskCanvas.height = height;
-        const maskCtx = maskCanvas.getContext('2d');
+        return { meanL, meanA, meanB, stdL, stdA, stdB };
+    }
 
-        const hull = computeConvexHull([...landmarks]);
-        if (hull.length < 3) return null;
+    // Histogram bins and value ranges of the LAB channels
+    const HISTOGRAM_BINS = 256;
+    const LAB_RANGES = { L: [0, 100], a: [-128, 128], b: [-128, 128] };
 
-        maskCtx.fillStyle = 'white';
-        maskCtx.beginPath();
-        maskCtx.moveTo(hull[0].x, hull[0].y);
-        for (let i = 1; i < hull.length; i++) {
-            maskCtx.lineTo(hull[i].x, hull[i].y);
+    /**
+     * Get the cumulative LAB histograms of a face region, for histogram matching.
+     * @param {Object} options - {region, exclude}, see collectLabSamples
+     * @returns {Object|null} {L, a, b}: cumulative distributions (HISTOGRAM_BINS values, ending at 1)
+     */
+    function getColorHistograms(ctx, landmarks, width, height, options = {}) {
+        const samples = collectLabSamples(ctx, landmarks, width, height, options);
+        if (!samples) return null;
+
+        const histograms = {};
+        for (const channel of ['L', 'a', 'b']) {
+            const [min, max] = LAB_RANGES[channel];
+            const cdf = new Float64Array(HISTOGRAM_BINS);
+            for (const v of samples[channel]) {
+                const bin = Math.min(HISTOGRAM_BINS - 1, Math.max(0, Math.floor((v - min) / (max - min) * HISTOGRAM_BINS)));
+                cdf[bin]++;
+            }
+            for (let i = 1; i < HISTOGRAM_BINS; i++) cdf[i] += cdf[i - 1];
+            for (let i = 0; i < HISTOGRAM_BINS; i++) cdf[i] /= samples[channel].length;
+            histograms[channel] = cdf;
         }
-        maskCtx.closePath();
-        maskCtx.fill();
+        return histograms;
+    }
 
-        const maskData = maskCtx.getImageData(0, 0, width, height).data;
+    /**
+     * Build the lookup table mapping each source bin to the target value at the same quantile.
+     */
+    function buildHistogramLut(sourceCdf, targetCdf, min, max) {
+        const binWidth = (max - min) / HISTOGRAM_BINS;
+        const lut = new Float32Array(HISTOGRAM_BINS);
+        let j = 0;
+        for (let i = 0; i < HISTOGRAM_BINS; i++) {
+            // Quantile at the middle of the source bin's mass
+            const quantile = (sourceCdf[i] + (i > 0 ? sourceCdf[i - 1] : 0)) / 2;
+            while (j < HISTOGRAM_BINS - 1 && targetCdf[j] < quantile) j++;
+            // Interpolate within the target bin by how far into it the quantile falls
+            const below = j > 0 ? targetCdf[j - 1] : 0;
+            const span = targetCdf[j] - below;
+            const t = span > 0 ? Math.min(1, Math.max(0, (quantile - below) / span)) : 0.5;
+            lut[i] = min + (j + t) * binWidth;
+        }
+        return lut;
+    }
 
-        // Collect LAB values
-        let lSum = 0, aSum = 0, bSum = 0;
-        let lSqSum = 0, aSqSum = 0, bSqSum = 0;
-        let count = 0;
+    /**
+     * Match the LAB histograms of the source to the target, per channel.
+     * Handles highlights and strongly colored light better than mean/std transfer.
+     * @param {CanvasRenderingContext2D} sourceCtx - Context to recolor (the warped face)
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @param {Object} sourceHistograms - From getColorHistograms on the source
+     * @param {Object} targetHistograms - From getColorHistograms on the target
+     */
+    function matchColorHistograms(sourceCtx, width, height, sourceHistograms, targetHistograms) {
+        if (!sourceHistograms || !targetHistograms) return;
+
+        const luts = {};
+        for (const channel of ['L', 'a', 'b']) {
+            const [min, max] = LAB_RANGES[channel];
+            luts[channel] = buildHistogramLut(sourceHistograms[channel], targetHistograms[channel], min, max);
+        }
+        const map = (channel, value) => {
+            const [min, max] = LAB_RANGES[channel];
+            const bin = Math.min(HISTOGRAM_BINS - 1, Math.max(0, Math.floor((value - min) / (max - min) * HISTOGRAM_BINS)));
+            return luts[channel][bin];
+        };
 
+        const imageData = sourceCtx.getImageData(0, 0, width, height);
+        const data = imageData.data;
         for (let i = 0; i < data.length; i += 4) {
-            // Check if pixel is inside face mask
-            if (maskData[i + 3] > 128) {
+            if (data[i + 3] > 0) {
                 const lab = rgbToLab(data[i], data[i + 1], data[i + 2]);
-
-                lSum += lab.L;
-                aSum += lab.a;
-                bSum += lab.b;
-
-                lSqSum += lab.L * lab.L;
-                aSqSum += lab.a * lab.a;
-                bSqSum += lab.b * lab.b;
-
-                count++;
+                const rgb = labToRgb(map('L', lab.L), map('a', lab.a), map('b', lab.b));
+                data[i] = rgb.r;
+                data[i + 1] = rgb.g;
+                data[i + 2] = rgb.b;
             }
         }
+        sourceCtx.putImageData(imageData, 0, 0);
+    }
 
-        if (count === 0) return null;
+    /**
+     * Get color statistics for each named skin region (forehead, cheeks, chin).
+     * @param {CanvasRenderingContext2D} ctx - Context to sample
+     * @param {Object} regions - {name: polygon} in pixel coordinates
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @param {Object} options - {exclude}, see collectLabSamples
+     * @returns {Object} {name: {centroid, stats}} for the regions with any samples
+     */
+    function getRegionalColorStats(ctx, regions, width, height, options = {}) {
+        const result = {};
+        for (const [name, polygon] of Object.entries(regions || {})) {
+            const stats = getColorStats(ctx, polygon, width, height, { region: polygon, exclude: options.exclude });
+            if (stats) {
+                result[name] = { centroid: computeCentroid(polygon), stats };
+            }
+        }
+        return result;
+    }
 
-        const meanL = lSum / count;
-        const meanA = aSum / count;
-        const meanB = bSum / count;
+    /**
+     * Regional mean/std color transfer: each skin region is matched separately, and every
+     * pixel blends the regions' transfers by inverse squared distance to their centroids,
+     * so e.g. a lit forehead and a shadowed chin are both corrected without seams.
+     * @param {CanvasRenderingContext2D} sourceCtx - Context to recolor (the warped face)
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @param {Object} sourceRegions - From getRegionalColorStats on the source
+     * @param {Object} targetRegions - From getRegionalColorStats on the target
+     * @returns {boolean} False if no region could be matched (nothing changed)
+     */
+    function matchColorRegional(sourceCtx, width, height, sourceRegions, targetRegions) {
+        const pairs = Object.keys(sourceRegions || {})
+            .filter(name => targetRegions && targetRegions[name])
+            .map(name => ({
+                centroid: targetRegions[name].centroid,
+                source: sourceRegions[name].stats,
+                target: targetRegions[name].stats
+            }));
+        if (pairs.length === 0) return false;
 
-        const stdL = Math.sqrt(Math.max(0, lSqSum / count - meanL * meanL));
-        const stdA = Math.sqrt(Math.max(0, aSqSum / count - meanA * meanA));
-        const stdB = Math.sqrt(Math.max(0, bSqSum / count - meanB * meanB));
+        const imageData = sourceCtx.getImageData(0, 0, width, height);
+        const data = imageData.data;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                if (data[i + 3] === 0) continue;
 
-        return { meanL, meanA, meanB, stdL, stdA, stdB };
+                const lab = rgbToLab(data[i], data[i + 1], data[i + 2]);
+                let L = 0, a = 0, b = 0, total = 0;
+                for (const { centroid, source, target } of pairs) {
+                    const weight = 1 / ((x + 0.5 - centroid.x) ** 2 + (y + 0.5 - centroid.y) ** 2 + 1);
+                    L += weight * ((lab.L - source.meanL) * (target.stdL / (source.stdL || 1)) + target.meanL);
+                    a += weight * ((lab.a - source.meanA) * (target.stdA / (source.stdA || 1)) + target.meanA);
+                    b += weight * ((lab.b - source.meanB) * (target.stdB / (source.stdB || 1)) + target.meanB);
+                    total += weight;
+                }
+                const rgb = labToRgb(L / total, a / total, b / total);
+                data[i] = rgb.r;
+                data[i + 1] = rgb.g;
+                data[i + 2] = rgb.b;
+            }
+        }
+        sourceCtx.putImageData(imageData, 0, 0);
+        return true;
     }
 
     /**
@@ -410,9 +1093,21 @@
     // Export module
     window.FaceBlender = {
         createEdgeFeatheredMask,
+        getMaskContour,
+        createContourMask,
         applyFeatheredBlend,
+        cutFeatureHoles,
+        createPolygonMask,
+        poissonBlend,
+        applyPoissonBlend,
+        multiBandBlend,
+        applyMultiBandBlend,
         getColorStats,
         matchColorStats,
+        getColorHistograms,
+        matchColorHistograms,
+        getRegionalColorStats,
+        matchColorRegional,
         adjustColor,
         computeConvexHull,
         computeCentroid
@@ -0,0 +1,342 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+// Create a mock window object if it doesn't exist
+if (typeof window === 'undefined') {
+    global.window = {};
+}
+
+// Import the module
+import './faceBlender.js';
+
+const SIZE = 24;
+
+// Opaque image from a per-pixel value (same value in R, G and B)
+function makeImage(valueAt) {
+    const data = new Uint8ClampedArray(SIZE * SIZE * 4);
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            const i = (y * SIZE + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = valueAt(x, y);
+            data[i + 3] = 255;
+        }
+    }
+    return { width: SIZE, height: SIZE, data };
+}
+
+// Lighting ramp across the target frame
+const ramp = (x, y) => 60 + 4 * x + y;
+// Smooth blob in the middle of the clone region (zero well before its border)
+const bump = (x, y) => {
+    const r2 = (x - 12) ** 2 + (y - 12) ** 2;
+    return r2 < 16 ? 40 * (1 - r2 / 16) ** 2 : 0;
+};
+
+function squareMask(from, to) {
+    const mask = new Uint8Array(SIZE * SIZE);
+    for (let y = from; y < to; y++) {
+        for (let x = from; x < to; x++) {
+            mask[y * SIZE + x] = 1;
+        }
+    }
+    return mask;
+}
+
+// Minimal 2D context over an RGBA buffer (getImageData/putImageData only)
+function makeContext(image) {
+    return {
+        getImageData(x0, y0, width, height) {
+            const data = new Uint8ClampedArray(width * height * 4);
+            for (let y = 0; y < height; y++) {
+                const from = ((y0 + y) * image.width + x0) * 4;
+                data.set(image.data.subarray(from, from + width * 4), y * width * 4);
+            }
+            return { width, height, data };
+        },
+        putImageData(imageData, x0, y0) {
+            for (let y = 0; y < imageData.height; y++) {
+                image.data.set(imageData.data.subarray(y * imageData.width * 4, (y + 1) * imageData.width * 4), ((y0 + y) * image.width + x0) * 4);
+            }
+        }
+    };
+}
+
+// Opaque image from a per-pixel [r, g, b] color
+function makeColorImage(colorAt) {
+    const image = makeImage(() => 0);
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            image.data.set([...colorAt(x, y), 255], (y * SIZE + x) * 4);
+        }
+    }
+    return image;
+}
+
+const fullFrame = [{ x: 0, y: 0 }, { x: SIZE, y: 0 }, { x: SIZE, y: SIZE }, { x: 0, y: SIZE }];
+const leftHalf = [{ x: 0, y: 0 }, { x: SIZE / 2, y: 0 }, { x: SIZE / 2, y: SIZE }, { x: 0, y: SIZE }];
+const rightHalf = [{ x: SIZE / 2, y: 0 }, { x: SIZE, y: 0 }, { x: SIZE, y: SIZE }, { x: SIZE / 2, y: SIZE }];
+
+describe('FaceBlender', () => {
+    let FaceBlender;
+
+    beforeEach(() => {
+        FaceBlender = window.FaceBlender;
+    });
+
+    describe('createPolygonMask', () => {
+        it('should cover the pixels whose centres are inside the polygon', () => {
+            const square = [{ x: 2, y: 2 }, { x: 6, y: 2 }, { x: 6, y: 5 }, { x: 2, y: 5 }];
+            const mask = FaceBlender.createPolygonMask(square, 0, 0, 8, 8);
+            expect(mask.reduce((sum, v) => sum + v, 0)).toBe(12);
+            expect(mask[2 * 8 + 2]).toBe(1);
+            expect(mask[5 * 8 + 5]).toBe(0);
+        });
+
+        it('should offset the polygon and cut out holes', () => {
+            const square = [{ x: 12, y: 12 }, { x: 20, y: 12 }, { x: 20, y: 20 }, { x: 12, y: 20 }];
+            const hole = [{ x: 14, y: 14 }, { x: 16, y: 14 }, { x: 16, y: 16 }, { x: 14, y: 16 }];
+            const mask = FaceBlender.createPolygonMask(square, 10, 10, 12, 12);
+            FaceBlender.createPolygonMask(hole, 10, 10, 12, 12, mask, 0);
+            expect(mask.reduce((sum, v) => sum + v, 0)).toBe(64 - 4);
+            expect(mask[2 * 12 + 2]).toBe(1);
+            expect(mask[4 * 12 + 4]).toBe(0);
+        });
+    });
+
+    describe('createContourMask', () => {
+        // Long, thin face: 60 x 20 px
+        const wide = [{ x: 10, y: 10 }, { x: 70, y: 10 }, { x: 70, y: 30 }, { x: 10, y: 30 }];
+        const at = (mask, x, y) => mask.data[(y - mask.y) * mask.width + (x - mask.x)] || 0;
+
+        it('should fade by the same distance from every side of the contour', () => {
+            const mask = FaceBlender.createContourMask(wide, 100, 50, 8, 50);
+            // 3 px in from the left edge and 3 px in from the top edge
+            expect(at(mask, 13, 20)).toBeCloseTo(at(mask, 40, 13), 6);
+            expect(at(mask, 13, 20)).toBeGreaterThan(0);
+            expect(at(mask, 13, 20)).toBeLessThan(1);
+            // Solid beyond the fade distance, empty outside
+            expect(at(mask, 40, 20)).toBe(1);
+            expect(at(mask, 8, 20)).toBe(0);
+            expect(at(mask, 40, 32)).toBe(0);
+        });
+
+        it('should increase monotonically towards the inside', () => {
+            const mask = FaceBlender.createContourMask(wide, 100, 50, 8, 50);
+            for (let x = 10; x < 40; x++) {
+                expect(at(mask, x + 1, 20)).toBeGreaterThanOrEqual(at(mask, x, 20));
+            }
+        });
+
+        it('should fade over a shorter distance with a higher falloff', () => {
+            const gradual = FaceBlender.createContourMask(wide, 100, 50, 8, 0);
+            const abrupt = FaceBlender.createContourMask(wide, 100, 50, 8, 100);
+            expect(at(abrupt, 13, 20)).toBeGreaterThan(at(gradual, 13, 20));
+        });
+
+        it('should grow and shrink the contour', () => {
+            const grown = FaceBlender.createContourMask(wide, 100, 50, 0, 70, { offset: 3 });
+            const shrunk = FaceBlender.createContourMask(wide, 100, 50, 0, 70, { offset: -3 });
+            expect(at(grown, 8, 20)).toBe(1);
+            expect(at(grown, 5, 20)).toBe(0);
+            expect(at(shrunk, 11, 20)).toBe(0);
+            expect(at(shrunk, 14, 20)).toBe(1);
+        });
+
+        it('should clip to the canvas and reject degenerate contours', () => {
+            const mask = FaceBlender.createContourMask([{ x: -20, y: -20 }, { x: 20, y: -20 }, { x: 20, y: 20 }], 50, 50, 4);
+            expect(mask.x).toBe(0);
+            expect(mask.y).toBe(0);
+            expect(FaceBlender.createContourMask([{ x: 0, y: 0 }, { x: 5, y: 5 }], 50, 50, 4)).toBeNull();
+        });
+    });
+
+    describe('getMaskContour', () => {
+        // Profile-like outline with a notch under the chin (x 20-40, y 20-40 is outside)
+        const outline = [
+            { x: 10, y: 10 }, { x: 50, y: 10 }, { x: 50, y: 40 },
+            { x: 40, y: 40 }, { x: 30, y: 20 }, { x: 20, y: 40 }, { x: 10, y: 40 }
+        ];
+        const at = (mask, x, y) => mask.data[(y - mask.y) * mask.width + (x - mask.x)] || 0;
+
+        it('should keep concave parts of the face outline out of the mask', () => {
+            const contour = FaceBlender.getMaskContour(outline, outline);
+            expect(contour).toBe(outline);
+            const mask = FaceBlender.createContourMask(contour, 64, 64, 0);
+            expect(at(mask, 30, 36)).toBe(0);
+            expect(at(mask, 15, 36)).toBe(1);
+        });
+
+        it('should fall back to the convex hull without a complete outline', () => {
+            for (const missing of [undefined, []]) {
+                const contour = FaceBlender.getMaskContour(outline, missing);
+                expect(contour).not.toBe(outline);
+                expect(at(FaceBlender.createContourMask(contour, 64, 64, 0), 30, 36)).toBe(1);
+            }
+        });
+    });
+
+    describe('poissonBlend', () => {
+        it('should move the source texture into the target lighting', () => {
+            // Source: the same blob on flat, much brighter skin
+            const target = makeImage(ramp);
+            const source = makeImage((x, y) => 180 + bump(x, y));
+            const mask = squareMask(4, 20);
+
+            const result = FaceBlender.poissonBlend(target, source, mask, { iterations: 400 });
+            for (let y = 0; y < SIZE; y++) {
+                for (let x = 0; x < SIZE; x++) {
+                    const i = (y * SIZE + x) * 4;
+                    expect(Math.abs(result.data[i] - (ramp(x, y) + bump(x, y)))).toBeLessThanOrEqual(1);
+                    expect(result.data[i + 3]).toBe(255);
+                }
+            }
+        });
+
+        it('should leave pixels outside the mask untouched and be deterministic', () => {
+            const target = makeImage(ramp);
+            const source = makeImage((x, y) => (x * 7 + y * 13) % 256);
+            const mask = squareMask(6, 14);
+
+            const first = FaceBlender.poissonBlend(target, source, mask, { iterations: 20 });
+            const second = FaceBlender.poissonBlend(target, source, mask, { iterations: 20 });
+            expect(first.data).toEqual(second.data);
+            expect(first.data[(2 * SIZE + 2) * 4]).toBe(target.data[(2 * SIZE + 2) * 4]);
+            expect(first.data[(20 * SIZE + 15) * 4]).toBe(target.data[(20 * SIZE + 15) * 4]);
+            // The target itself is not modified
+            expect(target.data[(10 * SIZE + 10) * 4]).toBe(ramp(10, 10));
+        });
+
+        it('should return a copy of the target for an empty mask', () => {
+            const target = makeImage(ramp);
+            const result = FaceBlender.poissonBlend(target, makeImage(() => 0), new Uint8Array(SIZE * SIZE));
+            expect(result.data).toEqual(target.data);
+            expect(result.data).not.toBe(target.data);
+        });
+    });
+
+    describe('multiBandBlend', () => {
+        // Left half from the source
+        function halfMask() {
+            const mask = new Float32Array(SIZE * SIZE);
+            for (let y = 0; y < SIZE; y++) {
+                for (let x = 0; x < SIZE / 2; x++) mask[y * SIZE + x] = 1;
+            }
+            return mask;
+        }
+
+        it('should reconstruct the source or target exactly for a solid mask', () => {
+            const target = makeImage(ramp);
+            const source = makeImage((x, y) => (x * 7 + y * 13) % 256);
+            const all = FaceBlender.multiBandBlend(target, source, new Float32Array(SIZE * SIZE).fill(1), 4);
+            const none = FaceBlender.multiBandBlend(target, source, new Float32Array(SIZE * SIZE), 4);
+            expect(Array.from(all.data)).toEqual(Array.from(source.data));
+            expect(Array.from(none.data)).toEqual(Array.from(target.data));
+        });
+
+        it('should spread the brightness step over a wider seam with more levels', () => {
+            const target = makeImage(() => 100);
+            const source = makeImage(() => 200);
+            const maxStep = result => {
+                let step = 0;
+                for (let x = 1; x < SIZE; x++) {
+                    const row = 12 * SIZE;
+                    step = Math.max(step, Math.abs(result.data[(row + x) * 4] - result.data[(row + x - 1) * 4]));
+                }
+                return step;
+            };
+
+            const single = FaceBlender.multiBandBlend(target, source, halfMask(), 1);
+            const multi = FaceBlender.multiBandBlend(target, source, halfMask(), 4);
+            expect(maxStep(single)).toBe(100);
+            expect(maxStep(multi)).toBeLessThan(40);
+            // Far from the seam each side keeps its own image
+            expect(multi.data[(12 * SIZE) * 4]).toBeGreaterThan(180);
+            expect(multi.data[(12 * SIZE + SIZE - 1) * 4]).toBeLessThan(120);
+        });
+
+        it('should keep fine detail sharp next to the seam', () => {
+            // Checkerboard texture in the source only
+            const target = makeImage(() => 100);
+            const source = makeImage((x, y) => ((x + y) % 2 ? 160 : 40));
+            const result = FaceBlender.multiBandBlend(target, source, halfMask(), 4);
+            const row = 12 * SIZE;
+            expect(Math.abs(result.data[(row + 8) * 4] - result.data[(row + 9) * 4])).toBeGreaterThan(100);
+        });
+
+        it('should not take colour from transparent source pixels', () => {
+            const target = makeImage(() => 100);
+            const source = makeImage(() => 100);
+            for (let p = 0; p < SIZE * SIZE; p++) {
+                if (p % SIZE < 4) source.data.set([0, 0, 0, 0], p * 4);
+            }
+            const result = FaceBlender.multiBandBlend(target, source, halfMask(), 4);
+            expect(Array.from(result.data)).toEqual(Array.from(target.data));
+        });
+    });
+
+    describe('color transfer', () => {
+        it('should leave excluded features out of the color statistics', () => {
+            // Skin on the left, dark "brows" on the right
+            const ctx = makeContext(makeColorImage(x => (x < SIZE / 2 ? [200, 150, 120] : [30, 20, 20])));
+            const all = FaceBlender.getColorStats(ctx, fullFrame, SIZE, SIZE);
+            const skin = FaceBlender.getColorStats(ctx, fullFrame, SIZE, SIZE, { exclude: [rightHalf] });
+            const skinOnly = FaceBlender.getColorStats(ctx, leftHalf, SIZE, SIZE, { region: leftHalf });
+            expect(all.stdL).toBeGreaterThan(10);
+            expect(skin.meanL).toBeCloseTo(skinOnly.meanL, 6);
+            expect(skin.stdL).toBeCloseTo(0, 3);
+        });
+
+        it('should match histograms so the source takes on the target tones', () => {
+            // Source: two grays; target: a dark and a light gray in the same proportions
+            const source = makeColorImage(x => (x < SIZE / 2 ? [90, 90, 90] : [160, 160, 160]));
+            const target = makeColorImage(x => (x < SIZE / 2 ? [40, 40, 40] : [220, 220, 220]));
+            const sourceCtx = makeContext(source);
+
+            FaceBlender.matchColorHistograms(sourceCtx, SIZE, SIZE,
+                FaceBlender.getColorHistograms(sourceCtx, fullFrame, SIZE, SIZE),
+                FaceBlender.getColorHistograms(makeContext(target), fullFrame, SIZE, SIZE));
+
+            expect(Math.abs(source.data[0] - 40)).toBeLessThanOrEqual(2);
+            expect(Math.abs(source.data[(SIZE - 1) * 4] - 220)).toBeLessThanOrEqual(2);
+        });
+
+        it('should take on the target tint in histogram matching', () => {
+            const source = makeColorImage(x => (x < SIZE / 2 ? [90, 90, 90] : [160, 160, 160]));
+            const target = makeColorImage(() => [200, 150, 120]);
+            const sourceCtx = makeContext(source);
+
+            FaceBlender.matchColorHistograms(sourceCtx, SIZE, SIZE,
+                FaceBlender.getColorHistograms(sourceCtx, fullFrame, SIZE, SIZE),
+                FaceBlender.getColorHistograms(makeContext(target), fullFrame, SIZE, SIZE));
+
+            const pixel = Array.from(source.data.subarray(0, 3));
+            [200, 150, 120].forEach((v, c) => expect(Math.abs(pixel[c] - v)).toBeLessThanOrEqual(3));
+        });
+
+        it('should correct each region towards its own target lighting', () => {
+            // Uniform source; target lit from the left and shadowed on the right
+            const source = makeColorImage(() => [150, 120, 100]);
+            const target = makeColorImage(x => (x < SIZE / 2 ? [220, 190, 170] : [90, 70, 60]));
+            const sourceCtx = makeContext(source);
+            const targetCtx = makeContext(target);
+            const regions = { left: leftHalf, right: rightHalf };
+
+            const sourceRegions = FaceBlender.getRegionalColorStats(sourceCtx, regions, SIZE, SIZE);
+            const targetRegions = FaceBlender.getRegionalColorStats(targetCtx, regions, SIZE, SIZE);
+            expect(targetRegions.left.centroid).toEqual({ x: 6, y: 12 });
+            expect(FaceBlender.matchColorRegional(sourceCtx, SIZE, SIZE, sourceRegions, targetRegions)).toBe(true);
+
+            const at = x => source.data[(12 * SIZE + x) * 4];
+            expect(Math.abs(at(6) - 220)).toBeLessThanOrEqual(20);
+            expect(Math.abs(at(18) - 90)).toBeLessThanOrEqual(20);
+            // Smooth transition between the region centres
+            for (let x = 7; x <= 18; x++) {
+                expect(at(x)).toBeLessThanOrEqual(at(x - 1));
+            }
+        });
+
+        it('should report when no region can be matched', () => {
+            const ctx = makeContext(makeColorImage(() => [100, 100, 100]));
+            expect(FaceBlender.matchColorRegional(ctx, SIZE, SIZE, {}, {})).toBe(false);
+        });
+    });
+});
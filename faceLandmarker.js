@@ -3,50 +3,363 @@
  * Handles MediaPipe Face Landmarker initialization, detection, and debug drawing.
  */
 
-let faceLandmarker = null;
+// One Face Landmarker per running mode, so IMAGE detection never reconfigures
+// the VIDEO instance used by the render loop. IMAGE is created on first use.
+const landmarkers = { VIDEO: null, IMAGE: null };
+const pendingLandmarkers = { VIDEO: null, IMAGE: null };
+let createLandmarkerForMode = null;
 let isInitialized = false;
 
+// Serialises IMAGE detections (photo loading, frame caching, export)
+let detectionQueue = Promise.resolve();
+let pendingDetections = 0;
+let imageNumFaces = null; // Face limit the IMAGE instance is currently configured with
+let activeAssetSource = null;
+let activeDelegate = null;
+let delegateFallback = false; // A preferred delegate failed before activeDelegate worked
+
+// Head poses from MediaPipe's facial transformation matrices, keyed by the detected landmark arrays
+const detectedPoses = new WeakMap();
+
+// Version of @mediapipe/tasks-vision served by the CDN fallback
+const CDN_TASKS_VISION_VERSION = "0.10.8";
+
+// Version of the bundled @mediapipe/tasks-vision package; package.json pins exactly this
+// version (faceLandmarker.test.js checks both against node_modules)
+const BUNDLED_TASKS_VISION_VERSION = "0.10.22-rc.20250304";
+
+// Delegates tried in order: GPU needs WebGL, CPU works everywhere
+const DELEGATE_ORDER = ["GPU", "CPU"];
+
+// Face limit of the VIDEO instance and of video frames detected in IMAGE mode
+// (group clips); change it with init({maxVideoFaces}) or setMaxVideoFaces
+const DEFAULT_MAX_VIDEO_FACES = 6;
+let maxVideoFaces = DEFAULT_MAX_VIDEO_FACES;
+
+// Options shared by every Face Landmarker instance (runningMode is set per instance)
+const LANDMARKER_OPTIONS = {
+    numFaces: 2, // Default limit for still images (IMAGE instance)
+    outputFaceBlendshapes: false,
+    outputFacialTransformationMatrixes: true, // Head pose (see getFacePose)
+};
+
+/**
+ * Known locations for the tasks-vision bundle, its WASM fileset and the model.
+ * - bundled: the @mediapipe/tasks-vision package copied into the build (see vite.config.js)
+ * - local: files dropped into public/models (see public/models/README.md)
+ * - cdn: jsDelivr + Google Storage, only tried when explicitly allowed
+ */
+const ASSET_SOURCES = {
+    bundled: {
+        moduleUrl: "vendor/tasks-vision/vision_bundle.mjs",
+        wasmUrl: "vendor/tasks-vision/wasm",
+        modelUrl: "models/face_landmarker.task",
+        version: BUNDLED_TASKS_VISION_VERSION,
+    },
+    local: {
+        moduleUrl: "models/tasks-vision/vision_bundle.mjs",
+        wasmUrl: "models/tasks-vision/wasm",
+        modelUrl: "models/face_landmarker.task",
+        version: null,
+    },
+    cdn: {
+        moduleUrl: `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${CDN_TASKS_VISION_VERSION}`,
+        wasmUrl: `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${CDN_TASKS_VISION_VERSION}/wasm`,
+        modelUrl: "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task",
+        version: CDN_TASKS_VISION_VERSION,
+    },
+};
+
+const DEFAULT_ASSET_BASES = ["bundled", "local"];
+
+/**
+ * Error thrown when the Face Landmarker could not be created from any asset source.
+ * `attempts` lists every source that was tried together with the error it produced.
+ */
+class FaceLandmarkerInitError extends Error {
+    constructor(message, attempts = []) {
+        super(message);
+        this.name = "FaceLandmarkerInitError";
+        this.attempts = attempts;
+    }
+}
+
+/**
+ * Build a custom asset source from a base URL containing vision_bundle.mjs,
+ * the wasm/ directory and face_landmarker.task.
+ * @param {string} baseUrl - Base URL of the asset directory.
+ * @returns {Object} Asset source descriptor.
+ */
+function createCustomAssetSource(baseUrl) {
+    const base = baseUrl.endsWith("/") ? baseUrl : `${baseUrl}/`;
+    return {
+        name: "custom",
+        moduleUrl: `${base}vision_bundle.mjs`,
+        wasmUrl: `${base}wasm`,
+        modelUrl: `${base}face_landmarker.task`,
+        version: null,
+    };
+}
+
+/**
+ * Resolve the ordered list of asset sources to try during initialization.
+ * @param {Object} options - Asset options.
+ * @param {string|Array<string>} [options.assetBase] - "bundled", "local", "cdn" or a custom
+ *        base URL (or an ordered list of them). Defaults to bundled, then local.
+ * @param {boolean} [options.allowCdnFallback=false] - Append the CDN as a last resort.
+ * @returns {Array<Object>} Asset source descriptors {name, moduleUrl, wasmUrl, modelUrl}.
+ */
+function resolveAssetSources(options = {}) {
+    const bases = options.assetBase
+        ? [].concat(options.assetBase)
+        : DEFAULT_ASSET_BASES;
+
+    const sources = bases.map(base => ASSET_SOURCES[base]
+        ? { name: base, ...ASSET_SOURCES[base] }
+        : createCustomAssetSource(base));
+
+    if (options.allowCdnFallback && !sources.some(source => source.name === "cdn")) {
+        sources.push({ name: "cdn", ...ASSET_SOURCES.cdn });
+    }
+
+    return sources;
+}
+
+/**
+ * Resolve a possibly relative asset URL against the current document.
+ * @param {string} url - Asset URL.
+ * @returns {string} Absolute URL.
+ */
+function toAbsoluteUrl(url) {
+    return new URL(url, document.baseURI).href;
+}
+
+/**
+ * Load the tasks-vision bundle and WASM fileset from a single asset source.
+ * @param {Object} source - Asset source descriptor.
+ * @returns {Promise<Object>} The FaceLandmarker class and the resolved fileset.
+ */
+async function loadVisionFileset(source) {
+    const { FaceLandmarker, FilesetResolver } = await import(
+        /* @vite-ignore */ toAbsoluteUrl(source.moduleUrl)
+    );
+
+    const vision = await FilesetResolver.forVisionTasks(toAbsoluteUrl(source.wasmUrl));
+    return { FaceLandmarker, vision };
+}
+
+/**
+ * Create a Face Landmarker instance with the given delegate and running mode.
+ * @param {Object} FaceLandmarker - FaceLandmarker class from tasks-vision.
+ * @param {Object} vision - Resolved WASM fileset.
+ * @param {Object} source - Asset source descriptor.
+ * @param {string} delegate - "GPU" or "CPU".
+ * @param {string} runningMode - "VIDEO" or "IMAGE".
+ * @returns {Promise<Object>} The created FaceLandmarker instance.
+ */
+function createLandmarker(FaceLandmarker, vision, source, delegate, runningMode) {
+    return FaceLandmarker.createFromOptions(vision, {
+        baseOptions: {
+            modelAssetPath: toAbsoluteUrl(source.modelUrl),
+            delegate: delegate,
+        },
+        runningMode: runningMode,
+        ...LANDMARKER_OPTIONS,
+        numFaces: runningMode === "VIDEO" ? maxVideoFaces : LANDMARKER_OPTIONS.numFaces,
+    });
+}
+
+/**
+ * Get the Face Landmarker for a running mode, creating it on first use.
+ * Concurrent callers share the same pending creation.
+ * @param {string} runningMode - "VIDEO" or "IMAGE".
+ * @returns {Promise<Object>} The FaceLandmarker instance.
+ */
+function getLandmarker(runningMode) {
+    if (landmarkers[runningMode]) {
+        return Promise.resolve(landmarkers[runningMode]);
+    }
+
+    if (!pendingLandmarkers[runningMode]) {
+        pendingLandmarkers[runningMode] = createLandmarkerForMode(runningMode)
+            .then(instance => {
+                landmarkers[runningMode] = instance;
+                if (runningMode === "IMAGE") {
+                    imageNumFaces = LANDMARKER_OPTIONS.numFaces;
+                }
+                return instance;
+            })
+            .finally(() => {
+                pendingLandmarkers[runningMode] = null;
+            });
+    }
+
+    return pendingLandmarkers[runningMode];
+}
+
+/**
+ * Run a detection task after every previously queued one has finished.
+ * @param {Function} task - Async function performing the detection.
+ * @returns {Promise<*>} Result of the task.
+ */
+function enqueueDetection(task) {
+    pendingDetections++;
+    const run = detectionQueue.then(task).finally(() => {
+        pendingDetections--;
+    });
+    detectionQueue = run.catch(() => { });
+    return run;
+}
+
+/**
+ * Copy a canvas so a queued detection sees the pixels present at call time,
+ * even if the caller draws the next frame before the detection runs.
+ * @param {HTMLCanvasElement} canvas - Canvas to copy.
+ * @returns {HTMLCanvasElement} Snapshot canvas.
+ */
+function snapshotCanvas(canvas) {
+    const copy = document.createElement("canvas");
+    copy.width = canvas.width;
+    copy.height = canvas.height;
+    copy.getContext("2d").drawImage(canvas, 0, 0);
+    return copy;
+}
+
 /**
  * Initialize the Face Landmarker model asynchronously.
- * @returns {Promise<boolean>} True if initialization succeeded.
+ * Asset sources are tried in order until one of them loads; for each source the
+ * GPU delegate is tried first and the CPU delegate is used when GPU creation fails.
+ * @param {Object} [options] - Asset options, see resolveAssetSources.
+ * @param {string} [options.delegate] - Force "GPU" or "CPU" instead of trying both.
+ * @param {Object} [options.fileset] - Already loaded {FaceLandmarker, vision} (e.g. from a
+ *        page that imports tasks-vision itself); only the model is then loaded from the sources.
+ * @param {number} [options.maxVideoFaces=6] - Face limit for video detection.
+ * @returns {Promise<boolean>} True once initialization succeeded.
+ * @throws {FaceLandmarkerInitError} If no asset source could be loaded.
  */
-async function initFaceLandmarker() {
+async function initFaceLandmarker(options = {}) {
     if (isInitialized) {
         console.log("FaceLandmarker already initialized.");
         return true;
     }
 
-    try {
-        console.log("Initializing FaceLandmarker...");
-        const { FaceLandmarker, FilesetResolver } = await import(
-            "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.8"
-        );
-
-        const vision = await FilesetResolver.forVisionTasks(
-            "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.8/wasm"
-        );
-
-        faceLandmarker = await FaceLandmarker.createFromOptions(vision, {
-            baseOptions: {
-                modelAssetPath:
-                    "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task",
-                delegate: "GPU",
-            },
-            runningMode: "VIDEO",
-            numFaces: 2, // Detect up to 2 faces (video + face image)
-            outputFaceBlendshapes: false,
-            outputFacialTransformationMatrixes: false,
-        });
-
-        isInitialized = true;
-        console.log("FaceLandmarker initialized successfully.");
-        return true;
-    } catch (error) {
-        console.error("Failed to initialize FaceLandmarker:", error);
-        return false;
+    const delegates = options.delegate ? [options.delegate] : DELEGATE_ORDER;
+    if (options.maxVideoFaces > 0) {
+        maxVideoFaces = Math.round(options.maxVideoFaces);
+    }
+    const attempts = [];
+
+    for (const source of resolveAssetSources(options)) {
+        let fileset;
+        try {
+            console.log(`Initializing FaceLandmarker from "${source.name}" assets...`);
+            fileset = options.fileset || await loadVisionFileset(source);
+        } catch (error) {
+            console.warn(`FaceLandmarker assets "${source.name}" unavailable:`, error);
+            attempts.push({ source, delegate: null, error });
+            continue;
+        }
+
+        for (const delegate of delegates) {
+            try {
+                landmarkers.VIDEO = await createLandmarker(fileset.FaceLandmarker, fileset.vision, source, delegate, "VIDEO");
+                createLandmarkerForMode = runningMode =>
+                    createLandmarker(fileset.FaceLandmarker, fileset.vision, source, delegate, runningMode);
+                activeAssetSource = source;
+                activeDelegate = delegate;
+                delegateFallback = attempts.some(attempt => attempt.source === source && attempt.delegate);
+                isInitialized = true;
+                console.log(`FaceLandmarker initialized successfully from "${source.name}" assets (${delegate} delegate).`);
+                return true;
+            } catch (error) {
+                console.warn(`FaceLandmarker ${delegate} delegate failed with "${source.name}" assets:`, error);
+                attempts.push({ source, delegate, error });
+            }
+        }
+    }
+
+    const tried = [...new Set(attempts.map(attempt => attempt.source.name))].join(", ") || "none";
+    throw new FaceLandmarkerInitError(
+        `Could not load the face landmark model from any asset source (tried: ${tried}).`,
+        attempts
+    );
+}
+
+/**
+ * Describe the running detector.
+ * runningModes lists the landmarker instances that currently exist, so "IMAGE"
+ * only appears once a still image has been detected. fallback is true when a
+ * preferred delegate (GPU) failed and a later one is used instead.
+ * @returns {Object|null} {delegate, fallback, numFaces, runningModes, version, assetSource}
+ *          or null if the detector is not initialized.
+ */
+function getCapabilities() {
+    if (!isInitialized) {
+        return null;
+    }
+
+    return {
+        delegate: activeDelegate,
+        fallback: delegateFallback,
+        numFaces: maxVideoFaces,
+        // Only the instances created so far (IMAGE is created on first use)
+        runningModes: Object.keys(landmarkers).filter(mode => landmarkers[mode]),
+        version: activeAssetSource.version,
+        assetSource: activeAssetSource.name,
+    };
+}
+
+/**
+ * Get the face limit for video detection.
+ * @returns {number} Maximum number of faces detected per video frame.
+ */
+function getMaxVideoFaces() {
+    return maxVideoFaces;
+}
+
+/**
+ * Change the face limit for video detection. The VIDEO instance is reconfigured
+ * right away; video frames detected in IMAGE mode pick it up on their next call.
+ * @param {number} numFaces - Maximum number of faces per video frame (at least 1).
+ * @returns {Promise<void>} Resolves once the VIDEO instance uses the new limit.
+ */
+async function setMaxVideoFaces(numFaces) {
+    const limit = Math.max(1, Math.round(numFaces) || DEFAULT_MAX_VIDEO_FACES);
+    if (limit === maxVideoFaces) {
+        return;
+    }
+    maxVideoFaces = limit;
+    if (landmarkers.VIDEO) {
+        try {
+            await landmarkers.VIDEO.setOptions({ numFaces: limit });
+        } catch (error) {
+            console.warn("Could not change the video face limit:", error);
+        }
     }
 }
 
+/**
+ * Get the asset source the Face Landmarker was loaded from.
+ * @returns {Object|null} Asset source descriptor or null if not initialized.
+ */
+function getAssetSource() {
+    return activeAssetSource;
+}
+
+/**
+ * Store the pose from each face's transformation matrix for getFacePose.
+ * @param {Object} result - FaceLandmarkerResult.
+ */
+function rememberPoses(result) {
+    const faces = result.faceLandmarks || [];
+    const matrices = result.facialTransformationMatrixes || [];
+    faces.forEach((landmarks, i) => {
+        if (matrices[i] && matrices[i].data) {
+            detectedPoses.set(landmarks, poseFromMatrix(matrices[i].data));
+        }
+    });
+}
+
 /**
  * Detect landmarks from a video frame.
  * @param {HTMLVideoElement} video - The video element.
@@ -54,12 +367,13 @@ async function initFaceLandmarker() {
  * @returns {Array|null} Array of face landmarks or null if detection failed.
  */
 function detectLandmarksVideo(video, timestamp) {
-    if (!faceLandmarker || !isInitialized) {
+    if (!landmarkers.VIDEO || !isInitialized) {
         return null;
     }
 
     try {
-        const result = faceLandmarker.detectForVideo(video, timestamp);
+        const result = landmarkers.VIDEO.detectForVideo(video, timestamp);
+        rememberPoses(result);
         return result.faceLandmarks || null;
     } catch (error) {
         console.error("Landmark detection failed:", error);
@@ -68,27 +382,42 @@ function detectLandmarksVideo(video, timestamp) {
 }
 
 /**
- * Detect landmarks from a static image.
- * Note: This temporarily switches the running mode to IMAGE.
- * @param {HTMLImageElement} image - The image element.
+ * Detect landmarks from a static image using the dedicated IMAGE instance.
+ * Calls are queued, so concurrent callers never run detections side by side.
+ * @param {HTMLImageElement|HTMLCanvasElement} image - The image or canvas.
+ * @param {Object} [options]
+ * @param {number} [options.numFaces] - Maximum faces for this detection only (e.g. group photos
+ *        or video frames, see getMaxVideoFaces); other calls use the still-image default.
  * @returns {Promise<Array|null>} Array of face landmarks or null if detection failed.
  */
-async function detectLandmarksImage(image) {
-    if (!faceLandmarker || !isInitialized) {
-        return null;
+function detectLandmarksImage(image, options = {}) {
+    if (!isInitialized) {
+        return Promise.resolve(null);
     }
 
-    try {
-        // Switch to IMAGE mode for static image detection
-        await faceLandmarker.setOptions({ runningMode: "IMAGE" });
-        const result = faceLandmarker.detect(image);
-        // Switch back to VIDEO mode
-        await faceLandmarker.setOptions({ runningMode: "VIDEO" });
-        return result.faceLandmarks || null;
-    } catch (error) {
-        console.error("Image landmark detection failed:", error);
-        return null;
-    }
+    const input = pendingDetections > 0 && image instanceof HTMLCanvasElement
+        ? snapshotCanvas(image)
+        : image;
+    const numFaces = options.numFaces || LANDMARKER_OPTIONS.numFaces;
+
+    return enqueueDetection(async () => {
+        try {
+            const landmarker = await getLandmarker("IMAGE");
+            // Reconfigure only when the limit changes, so runs of video frames
+            // (caching, export) do not rebuild the graph on every frame
+            if (numFaces !== imageNumFaces) {
+                imageNumFaces = null;
+                await landmarker.setOptions({ numFaces });
+                imageNumFaces = numFaces;
+            }
+            const result = landmarker.detect(input);
+            rememberPoses(result);
+            return result.faceLandmarks || null;
+        } catch (error) {
+            console.error("Image landmark detection failed:", error);
+            return null;
+        }
+    });
 }
 
 /**
@@ -134,9 +463,8 @@ function drawFaceMesh(ctx, landmarks, width, height, color = "rgba(0, 255, 0, 0.
     ctx.strokeStyle = color;
     ctx.lineWidth = 1;
 
-    // Draw key facial feature outlines (simplified)
-    // Face oval indices (approximate)
-    const faceOval = [10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377, 152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109, 10];
+    // Draw key facial feature outlines (simplified): the closed face oval
+    const faceOval = [...FACE_OVAL_INDICES, FACE_OVAL_INDICES[0]];
 
     ctx.beginPath();
     for (let i = 0; i < faceOval.length; i++) {
@@ -154,6 +482,9 @@ function drawFaceMesh(ctx, landmarks, width, height, color = "rgba(0, 255, 0, 0.
     ctx.stroke();
 }
 
+// Face oval ring of the MediaPipe face mesh, starting at the top of the forehead
+const FACE_OVAL_INDICES = [10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377, 152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109];
+
 // Canonical points for stable alignment (Dlib 68-style mapping)
 const STABLE_LANDMARK_INDICES = [
     // Jawline
@@ -184,6 +515,256 @@ function getStableLandmarks(allLandmarks) {
     return STABLE_LANDMARK_INDICES.map(index => allLandmarks[index]).filter(Boolean);
 }
 
+// Upper face oval from temple to temple; forehead extension points are pushed up from these
+const FOREHEAD_OVAL_INDICES = [127, 162, 21, 54, 103, 67, 109, 10, 338, 297, 332, 284, 251, 389, 356];
+const FOREHEAD_TOP_INDEX = 10;
+const NOSE_BRIDGE_INDEX = 168;
+
+// Share of the full extension kept at the temples (the centre of the forehead gets all of it)
+const FOREHEAD_TEMPLE_WEIGHT = 0.35;
+
+/**
+ * Synthesize forehead/hairline points above the upper face oval.
+ * Each oval point moves along the face's up direction (nose bridge -> top of the oval),
+ * so the extension follows head roll and pitch; the shift tapers towards the temples.
+ * @param {Array} allLandmarks - Array of all detected face landmarks.
+ * @param {number} height - Extension as a multiple of the nose bridge to oval top distance.
+ * @returns {Array} Extension points in the same coordinates as the landmarks, or [] if unavailable.
+ */
+function getForeheadLandmarks(allLandmarks, height) {
+    if (!allLandmarks || !(height > 0)) return [];
+    const top = allLandmarks[FOREHEAD_TOP_INDEX];
+    const bridge = allLandmarks[NOSE_BRIDGE_INDEX];
+    if (!top || !bridge || FOREHEAD_OVAL_INDICES.some(index => !allLandmarks[index])) return [];
+
+    const upX = top.x - bridge.x;
+    const upY = top.y - bridge.y;
+    const last = FOREHEAD_OVAL_INDICES.length - 1;
+
+    return FOREHEAD_OVAL_INDICES.map((index, i) => {
+        const t = (2 * i) / last - 1; // -1 at one temple, 0 at the centre, 1 at the other
+        const weight = FOREHEAD_TEMPLE_WEIGHT + (1 - FOREHEAD_TEMPLE_WEIGHT) * Math.cos(t * Math.PI / 2);
+        const lm = allLandmarks[index];
+        return {
+            x: lm.x + upX * height * weight,
+            y: lm.y + upY * height * weight,
+            z: lm.z || 0
+        };
+    });
+}
+
+/**
+ * Closed outline of the face: the face oval ring, with its upper part (temple to temple)
+ * replaced by the forehead extension points when height > 0 (see getForeheadLandmarks).
+ * Unlike a convex hull it follows concave parts of the outline, e.g. under the chin in profile.
+ * @param {Array} allLandmarks - Array of all detected face landmarks.
+ * @param {number} [foreheadHeight=0] - Forehead extension, see getForeheadLandmarks.
+ * @returns {Array} Outline points in the same coordinates as the landmarks, or [] if the ring is incomplete.
+ */
+function getFaceOutline(allLandmarks, foreheadHeight = 0) {
+    if (!allLandmarks || FACE_OVAL_INDICES.some(index => !allLandmarks[index])) return [];
+    const forehead = getForeheadLandmarks(allLandmarks, foreheadHeight);
+    if (forehead.length === 0) {
+        return FACE_OVAL_INDICES.map(index => allLandmarks[index]);
+    }
+
+    // Lower ring from one temple to the other, then back over the extended forehead
+    const first = FACE_OVAL_INDICES.indexOf(FOREHEAD_OVAL_INDICES[FOREHEAD_OVAL_INDICES.length - 1]) + 1;
+    const last = FACE_OVAL_INDICES.indexOf(FOREHEAD_OVAL_INDICES[0]);
+    return FACE_OVAL_INDICES.slice(first, last).map(index => allLandmarks[index]).concat(forehead);
+}
+
+// Points that barely move with expressions (eye corners, nose, forehead, cheekbones): head pose fits use these
+const RIGID_LANDMARK_INDICES = [33, 133, 362, 263, 168, 6, 197, 195, 5, 4, 1, 10, 151, 9, 234, 454];
+
+// Closed outlines of the features that can be kept from the target (MediaPipe face mesh rings)
+const LEFT_EYE_INDICES = [263, 466, 388, 387, 386, 385, 384, 398, 362, 382, 381, 380, 374, 373, 390, 249];
+const RIGHT_EYE_INDICES = [33, 246, 161, 160, 159, 158, 157, 173, 133, 155, 154, 153, 145, 144, 163, 7];
+const INNER_MOUTH_INDICES = [78, 191, 80, 81, 82, 13, 312, 311, 310, 415, 308, 324, 318, 402, 317, 14, 87, 178, 88, 95];
+
+/**
+ * Get the eye openings and the inner mouth (lips, teeth, tongue) as polygons.
+ * @param {Array} allLandmarks - Array of all detected face landmarks.
+ * @returns {Object} {eyes: [polygon, ...], mouth: [polygon, ...]} in the same coordinates as the
+ *   landmarks; features with missing landmarks are left out.
+ */
+function getFeatureRegions(allLandmarks) {
+    const outline = indices => (allLandmarks && indices.every(index => allLandmarks[index]))
+        ? [indices.map(index => ({ x: allLandmarks[index].x, y: allLandmarks[index].y }))]
+        : [];
+    return {
+        eyes: [...outline(LEFT_EYE_INDICES), ...outline(RIGHT_EYE_INDICES)],
+        mouth: outline(INNER_MOUTH_INDICES)
+    };
+}
+
+// Non-skin features that skew skin color statistics (closed rings)
+const LEFT_BROW_INDICES = [300, 293, 334, 296, 336, 285, 295, 282, 283, 276];
+const RIGHT_BROW_INDICES = [70, 63, 105, 66, 107, 55, 65, 52, 53, 46];
+const OUTER_LIPS_INDICES = [61, 185, 40, 39, 37, 0, 267, 269, 270, 409, 291, 375, 321, 405, 314, 17, 84, 181, 91, 146];
+
+// Skin regions color-matched separately in regional color transfer (closed rings)
+const SKIN_REGION_INDICES = {
+    forehead: [103, 67, 109, 10, 338, 297, 332, 293, 334, 296, 336, 9, 107, 66, 105, 63],
+    rightCheek: [234, 33, 129, 61, 58, 132, 93],
+    leftCheek: [454, 263, 358, 291, 288, 361, 323],
+    chin: [61, 291, 365, 379, 378, 400, 377, 152, 148, 176, 149, 150, 136]
+};
+
+/**
+ * Get the skin regions of a face for color statistics.
+ * @param {Array} allLandmarks - All landmarks of one face (normalized).
+ * @returns {Object} {exclude: [polygon, ...] eyes, brows and lips to leave out of the statistics,
+ *   regions: {forehead, rightCheek, leftCheek, chin} polygons}; polygons with missing
+ *   landmarks are left out.
+ */
+function getSkinRegions(allLandmarks) {
+    const outline = indices => (allLandmarks && indices.every(index => allLandmarks[index]))
+        ? indices.map(index => ({ x: allLandmarks[index].x, y: allLandmarks[index].y }))
+        : null;
+
+    const exclude = [LEFT_EYE_INDICES, RIGHT_EYE_INDICES, LEFT_BROW_INDICES, RIGHT_BROW_INDICES, OUTER_LIPS_INDICES]
+        .map(outline)
+        .filter(Boolean);
+    const regions = {};
+    for (const [name, indices] of Object.entries(SKIN_REGION_INDICES)) {
+        const polygon = outline(indices);
+        if (polygon) regions[name] = polygon;
+    }
+    return { exclude, regions };
+}
+
+// Landmarks spanning the face for pose estimation: eye outer corners (right/left), forehead top, chin
+const POSE_RIGHT_EYE_INDEX = 33;
+const POSE_LEFT_EYE_INDEX = 263;
+const POSE_FOREHEAD_INDEX = 10;
+const POSE_CHIN_INDEX = 152;
+const POSE_NOSE_TIP_INDEX = 1;
+
+function normalize3(v) {
+    const length = Math.hypot(v.x, v.y, v.z) || 1;
+    return { x: v.x / length, y: v.y / length, z: v.z / length };
+}
+
+/**
+ * Convert the face's axes to pose angles.
+ * Image coordinates: x right, y down, z away from the camera.
+ * @param {Object} right - Direction from the face's right side to its left side.
+ * @param {Object} down - Direction from the forehead to the chin.
+ * @returns {Object} {yaw, pitch, roll} in degrees plus the orthonormal axes {right, down, forward}.
+ *   yaw > 0: nose turned towards the image's right; pitch > 0: nose up; roll > 0: clockwise tilt.
+ */
+function poseFromAxes(right, down) {
+    const r = normalize3(right);
+    const along = down.x * r.x + down.y * r.y + down.z * r.z;
+    const d = normalize3({ x: down.x - r.x * along, y: down.y - r.y * along, z: down.z - r.z * along });
+    // Towards the camera for a frontal face (down x right)
+    const forward = {
+        x: d.y * r.z - d.z * r.y,
+        y: d.z * r.x - d.x * r.z,
+        z: d.x * r.y - d.y * r.x
+    };
+    const toDegrees = 180 / Math.PI;
+    return {
+        yaw: Math.atan2(r.z, Math.hypot(r.x, r.y)) * toDegrees,
+        pitch: Math.atan2(-d.z, Math.hypot(d.x, d.y)) * toDegrees,
+        roll: Math.atan2(r.y, r.x) * toDegrees,
+        axes: { right: r, down: d, forward }
+    };
+}
+
+/**
+ * Get the head pose from a MediaPipe facial transformation matrix.
+ * @param {Array|Float32Array} data - 4x4 column-major matrix (canonical face model -> camera space,
+ *   x right, y up, z towards the viewer).
+ * @returns {Object} Pose (see poseFromAxes) with source 'matrix'.
+ */
+function poseFromMatrix(data) {
+    const pose = poseFromAxes(
+        { x: data[0], y: -data[1], z: -data[2] },
+        { x: -data[4], y: data[5], z: data[6] }
+    );
+    pose.source = 'matrix';
+    return pose;
+}
+
+/**
+ * Solve the head pose from the 3D landmarks (eye line and forehead-chin line).
+ * @param {Array} landmarks - Normalized landmarks of one face (z on the same scale as x).
+ * @param {number} width - Frame width, to undo the normalization's aspect ratio.
+ * @param {number} height - Frame height.
+ * @returns {Object|null} Pose (see poseFromAxes) with source 'landmarks', or null if landmarks are missing.
+ */
+function estimatePoseFromLandmarks(landmarks, width = 1, height = 1) {
+    const rightEye = landmarks && landmarks[POSE_RIGHT_EYE_INDEX];
+    const leftEye = landmarks && landmarks[POSE_LEFT_EYE_INDEX];
+    const top = landmarks && landmarks[POSE_FOREHEAD_INDEX];
+    const chin = landmarks && landmarks[POSE_CHIN_INDEX];
+    if (!rightEye || !leftEye || !top || !chin) return null;
+
+    const direction = (from, to) => ({
+        x: (to.x - from.x) * width,
+        y: (to.y - from.y) * height,
+        z: ((to.z || 0) - (from.z || 0)) * width
+    });
+    const pose = poseFromAxes(direction(rightEye, leftEye), direction(top, chin));
+    pose.source = 'landmarks';
+    return pose;
+}
+
+/**
+ * Get the head pose of a face: from MediaPipe's transformation matrix when the landmarks
+ * come straight from a detection, otherwise solved from the landmarks (loaded tracks, smoothing).
+ * @param {Array} landmarks - Normalized landmarks of one face.
+ * @param {number} width - Frame width.
+ * @param {number} height - Frame height.
+ * @returns {Object|null} {yaw, pitch, roll, axes, source}, or null if unavailable.
+ */
+function getFacePose(landmarks, width = 1, height = 1) {
+    if (!landmarks) return null;
+    return detectedPoses.get(landmarks) || estimatePoseFromLandmarks(landmarks, width, height);
+}
+
+/**
+ * Draw a head pose as an axis gizmo at the nose tip (x red, y green, z blue towards the viewer).
+ * @param {CanvasRenderingContext2D} ctx - The canvas context.
+ * @param {Object} pose - Pose from getFacePose.
+ * @param {Array} landmarks - Normalized landmarks of the face.
+ * @param {number} width - Canvas width.
+ * @param {number} height - Canvas height.
+ * @param {number} size - Axis length in pixels.
+ */
+function drawPoseAxes(ctx, pose, landmarks, width, height, size = 60) {
+    const nose = landmarks && landmarks[POSE_NOSE_TIP_INDEX];
+    if (!pose || !nose) return;
+
+    const x = nose.x * width;
+    const y = nose.y * height;
+    const { right, down, forward } = pose.axes;
+    const axes = [
+        [right, "#FF3B30"],
+        [{ x: -down.x, y: -down.y }, "#34C759"],
+        [forward, "#0A84FF"]
+    ];
+
+    ctx.save();
+    ctx.lineWidth = 3;
+    for (const [axis, color] of axes) {
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + axis.x * size, y + axis.y * size);
+        ctx.stroke();
+    }
+    ctx.fillStyle = "#FFFFFF";
+    ctx.font = "12px sans-serif";
+    ctx.fillText(
+        `yaw ${pose.yaw.toFixed(0)}° pitch ${pose.pitch.toFixed(0)}° roll ${pose.roll.toFixed(0)}°`,
+        x + size * 0.3, y + size * 1.2
+    );
+    ctx.restore();
+}
+
 // Export functions for use in script.js
 window.FaceLandmarkerModule = {
     init: initFaceLandmarker,
@@ -192,5 +773,20 @@ window.FaceLandmarkerModule = {
     drawLandmarks: drawLandmarks,
     drawFaceMesh: drawFaceMesh,
     getStableLandmarks: getStableLandmarks,
+    getForeheadLandmarks: getForeheadLandmarks,
+    getFaceOutline: getFaceOutline,
+    getFeatureRegions: getFeatureRegions,
+    getSkinRegions: getSkinRegions,
+    RIGID_LANDMARK_INDICES: RIGID_LANDMARK_INDICES,
+    getFacePose: getFacePose,
+    estimatePoseFromLandmarks: estimatePoseFromLandmarks,
+    poseFromMatrix: poseFromMatrix,
+    drawPoseAxes: drawPoseAxes,
+    resolveAssetSources: resolveAssetSources,
+    getAssetSource: getAssetSource,
+    getCapabilities: getCapabilities,
+    getMaxVideoFaces: getMaxVideoFaces,
+    setMaxVideoFaces: setMaxVideoFaces,
+    InitError: FaceLandmarkerInitError,
     isReady: () => isInitialized,
 };
@@ -1,4 +1,6 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
 
 // Create a mock window object if it doesn't exist
 if (typeof window === 'undefined') {
@@ -38,6 +40,450 @@ describe('FaceLandmarkerModule', () => {
         });
     });
 
+    describe('getForeheadLandmarks', () => {
+        // Upright face: top of the oval (10) 0.2 above the nose bridge (168)
+        function makeFace() {
+            const face = new Array(478).fill(null).map(() => ({ x: 0.5, y: 0.4, z: 0 }));
+            face[168] = { x: 0.5, y: 0.4, z: 0 };
+            face[10] = { x: 0.5, y: 0.2, z: 0 };
+            face[127] = { x: 0.3, y: 0.35, z: 0 };
+            return face;
+        }
+
+        it('should push the oval up, fully at the centre and less at the temples', () => {
+            const face = makeFace();
+            const forehead = FaceLandmarkerModule.getForeheadLandmarks(face, 0.5);
+
+            expect(forehead).toHaveLength(15);
+            const centre = forehead[7];
+            expect(centre.x).toBeCloseTo(0.5, 6);
+            expect(centre.y).toBeCloseTo(0.2 - 0.1, 6);
+            const temple = forehead[0];
+            expect(temple.x).toBeCloseTo(0.3, 6);
+            expect(temple.y).toBeCloseTo(0.35 - 0.1 * 0.35, 6);
+        });
+
+        it('should follow head roll', () => {
+            // Face rolled 90 degrees: up points towards -x
+            const face = makeFace();
+            face[10] = { x: 0.3, y: 0.4, z: 0 };
+            const forehead = FaceLandmarkerModule.getForeheadLandmarks(face, 1);
+            expect(forehead[7].x).toBeCloseTo(0.1, 6);
+            expect(forehead[7].y).toBeCloseTo(0.4, 6);
+        });
+
+        it('should return nothing when disabled or the mesh is incomplete', () => {
+            expect(FaceLandmarkerModule.getForeheadLandmarks(makeFace(), 0)).toEqual([]);
+            expect(FaceLandmarkerModule.getForeheadLandmarks(makeFace().slice(0, 68), 0.5)).toEqual([]);
+            expect(FaceLandmarkerModule.getForeheadLandmarks(null, 0.5)).toEqual([]);
+        });
+    });
+
+    describe('getFaceOutline', () => {
+        // Landmark i of the face oval sits at angle i on a circle, so the ring order is visible
+        const ring = [10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377, 152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109];
+        function makeFace() {
+            const face = new Array(478).fill(null).map(() => ({ x: 0.5, y: 0.5, z: 0 }));
+            ring.forEach((index, i) => {
+                const angle = (i / ring.length) * 2 * Math.PI;
+                face[index] = { x: 0.5 + 0.2 * Math.sin(angle), y: 0.5 - 0.2 * Math.cos(angle), z: 0 };
+            });
+            return face;
+        }
+
+        it('should follow the face oval ring', () => {
+            const face = makeFace();
+            expect(FaceLandmarkerModule.getFaceOutline(face)).toEqual(ring.map(index => face[index]));
+        });
+
+        it('should replace the upper oval with the forehead extension', () => {
+            const face = makeFace();
+            const outline = FaceLandmarkerModule.getFaceOutline(face, 0.5);
+            const forehead = FaceLandmarkerModule.getForeheadLandmarks(face, 0.5);
+            expect(outline).toHaveLength(ring.length);
+            // Temple (454) round the chin to the other temple (234), then over the forehead
+            expect(outline[0]).toBe(face[454]);
+            expect(outline[20]).toBe(face[234]);
+            expect(outline.slice(21)).toEqual(forehead);
+        });
+
+        it('should return nothing when the ring is incomplete', () => {
+            const face = makeFace();
+            face[152] = undefined;
+            expect(FaceLandmarkerModule.getFaceOutline(face, 0.5)).toEqual([]);
+            expect(FaceLandmarkerModule.getFaceOutline(null)).toEqual([]);
+        });
+    });
+
+    describe('getFeatureRegions', () => {
+        const face = Array.from({ length: 478 }, (_, i) => ({ x: i / 1000, y: 1 - i / 1000, z: 0.1 }));
+
+        it('should outline both eyes and the inner mouth as closed rings', () => {
+            const regions = FaceLandmarkerModule.getFeatureRegions(face);
+            expect(regions.eyes).toHaveLength(2);
+            expect(regions.mouth).toHaveLength(1);
+            // Left eye ring starts at its outer corner; points keep only x/y
+            expect(regions.eyes[0][0]).toEqual({ x: 0.263, y: 1 - 0.263 });
+            expect(regions.mouth[0]).toHaveLength(20);
+            expect(regions.mouth[0].map(p => Math.round(p.x * 1000))).toContain(13);
+        });
+
+        it('should leave out features whose landmarks are missing', () => {
+            // A truncated mesh has no eye lids or inner lips
+            expect(FaceLandmarkerModule.getFeatureRegions(face.slice(0, 100))).toEqual({ eyes: [], mouth: [] });
+            expect(FaceLandmarkerModule.getFeatureRegions(null)).toEqual({ eyes: [], mouth: [] });
+        });
+    });
+
+    describe('getSkinRegions', () => {
+        const face = Array.from({ length: 478 }, (_, i) => ({ x: i / 1000, y: 1 - i / 1000, z: 0.1 }));
+
+        it('should exclude eyes, brows and lips and outline four skin regions', () => {
+            const { exclude, regions } = FaceLandmarkerModule.getSkinRegions(face);
+            expect(exclude).toHaveLength(5);
+            expect(Object.keys(regions)).toEqual(['forehead', 'rightCheek', 'leftCheek', 'chin']);
+            expect(regions.forehead[3]).toEqual({ x: 0.01, y: 1 - 0.01 });
+            // Outer lips include the mouth corners
+            expect(exclude[4].map(p => Math.round(p.x * 1000))).toEqual(expect.arrayContaining([61, 291]));
+        });
+
+        it('should leave out polygons whose landmarks are missing', () => {
+            const { exclude, regions } = FaceLandmarkerModule.getSkinRegions(face.slice(0, 300));
+            // Only the right eye and brow, and the right cheek remain
+            expect(exclude).toHaveLength(2);
+            expect(Object.keys(regions)).toEqual(['rightCheek']);
+            expect(FaceLandmarkerModule.getSkinRegions(null)).toEqual({ exclude: [], regions: {} });
+        });
+    });
+
+    describe('head pose', () => {
+        // Frontal face: eye corners 33/263, forehead 10, chin 152; z grows away from the camera
+        function makeFace(transform = p => p) {
+            const face = Array.from({ length: 478 }, () => ({ x: 0, y: 0, z: 0 }));
+            face[33] = { x: -0.1, y: 0, z: 0 };
+            face[263] = { x: 0.1, y: 0, z: 0 };
+            face[10] = { x: 0, y: -0.15, z: 0 };
+            face[152] = { x: 0, y: 0.15, z: 0 };
+            face[1] = { x: 0, y: 0.02, z: -0.05 };
+            return face.map(transform);
+        }
+
+        // Turn the head about the vertical axis; positive angles move the nose to the image's right
+        const yawBy = degrees => p => {
+            const t = degrees * Math.PI / 180;
+            return { x: p.x * Math.cos(t) - p.z * Math.sin(t), y: p.y, z: p.x * Math.sin(t) + p.z * Math.cos(t) };
+        };
+
+        it('should report a frontal face as zero angles', () => {
+            const pose = FaceLandmarkerModule.estimatePoseFromLandmarks(makeFace());
+            expect(pose.yaw).toBeCloseTo(0, 6);
+            expect(pose.pitch).toBeCloseTo(0, 6);
+            expect(pose.roll).toBeCloseTo(0, 6);
+            expect(pose.source).toBe('landmarks');
+            // Forward axis points at the camera
+            expect(pose.axes.forward.z).toBeCloseTo(-1, 6);
+        });
+
+        it('should solve yaw and roll from the landmarks', () => {
+            const turned = makeFace(yawBy(40));
+            expect(turned[1].x).toBeGreaterThan(0);
+            expect(FaceLandmarkerModule.estimatePoseFromLandmarks(turned).yaw).toBeCloseTo(40, 6);
+
+            // Head tilted clockwise by 30 degrees
+            const t = 30 * Math.PI / 180;
+            const tilted = makeFace(p => ({ x: p.x * Math.cos(t) - p.y * Math.sin(t), y: p.x * Math.sin(t) + p.y * Math.cos(t), z: p.z }));
+            const pose = FaceLandmarkerModule.estimatePoseFromLandmarks(tilted);
+            expect(pose.roll).toBeCloseTo(30, 6);
+            expect(pose.yaw).toBeCloseTo(0, 6);
+        });
+
+        it('should undo the frame aspect ratio of normalized landmarks', () => {
+            // A 45 degree roll in pixels looks steeper in normalized coordinates of a 2:1 frame
+            const face = makeFace();
+            face[33] = { x: 0.5, y: 0.5, z: 0 };
+            face[263] = { x: 0.55, y: 0.6, z: 0 };
+            expect(FaceLandmarkerModule.estimatePoseFromLandmarks(face, 200, 100).roll).toBeCloseTo(45, 6);
+        });
+
+        it('should read the pose from a transformation matrix', () => {
+            const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, -50, 1];
+            const frontal = FaceLandmarkerModule.poseFromMatrix(identity);
+            expect(frontal.yaw).toBeCloseTo(0, 6);
+            expect(frontal.pitch).toBeCloseTo(0, 6);
+            expect(frontal.roll).toBeCloseTo(0, 6);
+            expect(frontal.source).toBe('matrix');
+
+            // Rotation about the camera's vertical axis turns the nose (+z) towards +x
+            const t = 25 * Math.PI / 180;
+            const turned = [Math.cos(t), 0, -Math.sin(t), 0, 0, 1, 0, 0, Math.sin(t), 0, Math.cos(t), 0, 0, 0, -50, 1];
+            expect(FaceLandmarkerModule.poseFromMatrix(turned).yaw).toBeCloseTo(25, 6);
+        });
+
+        it('should fall back to the landmarks for faces without a detected matrix', () => {
+            const pose = FaceLandmarkerModule.getFacePose(makeFace(yawBy(-70)));
+            expect(pose.source).toBe('landmarks');
+            expect(pose.yaw).toBeCloseTo(-70, 6);
+            expect(FaceLandmarkerModule.getFacePose(null)).toBeNull();
+            expect(FaceLandmarkerModule.getFacePose([])).toBeNull();
+        });
+    });
+
+    describe('resolveAssetSources', () => {
+        it('should default to bundled then local assets without the CDN', () => {
+            const sources = FaceLandmarkerModule.resolveAssetSources();
+            expect(sources.map(s => s.name)).toEqual(['bundled', 'local']);
+        });
+
+        it('should only append the CDN when the fallback is allowed', () => {
+            const sources = FaceLandmarkerModule.resolveAssetSources({ assetBase: 'local', allowCdnFallback: true });
+            expect(sources.map(s => s.name)).toEqual(['local', 'cdn']);
+            expect(sources[1].moduleUrl).toContain('cdn.jsdelivr.net');
+        });
+
+        it('should build a custom source from a base URL', () => {
+            const [source] = FaceLandmarkerModule.resolveAssetSources({ assetBase: 'https://intranet.example/mediapipe' });
+            expect(source).toEqual({
+                name: 'custom',
+                moduleUrl: 'https://intranet.example/mediapipe/vision_bundle.mjs',
+                wasmUrl: 'https://intranet.example/mediapipe/wasm',
+                modelUrl: 'https://intranet.example/mediapipe/face_landmarker.task',
+                version: null
+            });
+        });
+    });
+
+    describe('init', () => {
+        it('should reject with an InitError listing every unreachable source', async () => {
+            vi.spyOn(console, 'warn').mockImplementation(() => { });
+            const error = await FaceLandmarkerModule.init({ assetBase: ['/missing-a/', '/missing-b/'] })
+                .catch(e => e);
+
+            expect(error).toBeInstanceOf(FaceLandmarkerModule.InitError);
+            expect(error.attempts.map(a => a.source.name)).toEqual(['custom', 'custom']);
+            expect(FaceLandmarkerModule.isReady()).toBe(false);
+            expect(FaceLandmarkerModule.getAssetSource()).toBeNull();
+            console.warn.mockRestore();
+        });
+
+        it('should report no capabilities while uninitialized', () => {
+            expect(FaceLandmarkerModule.getCapabilities()).toBeNull();
+        });
+    });
+
+    describe('detection queue', () => {
+        let log;
+        let instances;
+        let creations;
+
+        // Mocked tasks-vision FaceLandmarker: setOptions and createFromOptions resolve
+        // after a timer, so unserialised detections would interleave in the log.
+        // Creation rejects for the delegates in failDelegates, like GPU without WebGL.
+        function makeFileset({ failDelegates = [] } = {}) {
+            const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+            const FaceLandmarker = {
+                async createFromOptions(vision, options) {
+                    await tick();
+                    const mode = options.runningMode;
+                    const delegate = options.baseOptions.delegate;
+                    creations.push(`${mode}:${delegate}`);
+                    if (failDelegates.includes(delegate)) {
+                        throw new Error(`${delegate} delegate unavailable`);
+                    }
+                    let numFaces = options.numFaces;
+                    const instance = {
+                        setOptions: vi.fn(async next => {
+                            log.push(`${mode}:setOptions(${next.numFaces})`);
+                            await tick();
+                            numFaces = next.numFaces;
+                        }),
+                        detect: vi.fn(input => {
+                            log.push(`${mode}:detect(${input.id}, ${numFaces})`);
+                            return { faceLandmarks: [[{ x: 0.5, y: 0.5, z: 0 }]], facialTransformationMatrixes: [] };
+                        }),
+                        detectForVideo: vi.fn(() => {
+                            log.push(`${mode}:detectForVideo`);
+                            return { faceLandmarks: [] };
+                        })
+                    };
+                    instances.push({ mode, options, instance });
+                    return instance;
+                }
+            };
+            return { FaceLandmarker, vision: {} };
+        }
+
+        async function initModule(options = {}) {
+            vi.resetModules();
+            await import('./faceLandmarker.js');
+            vi.spyOn(console, 'log').mockImplementation(() => { });
+            await window.FaceLandmarkerModule.init({ fileset: makeFileset(), delegate: 'CPU', ...options });
+            console.log.mockRestore();
+            return window.FaceLandmarkerModule;
+        }
+
+        beforeEach(() => {
+            log = [];
+            instances = [];
+            creations = [];
+        });
+
+        it('should retry on the CPU delegate when GPU creation fails', async () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+            const module = await initModule({ fileset: makeFileset({ failDelegates: ['GPU'] }), delegate: undefined });
+            expect(module.isReady()).toBe(true);
+            expect(creations).toEqual(['VIDEO:GPU', 'VIDEO:CPU']);
+            expect(module.getCapabilities()).toMatchObject({ delegate: 'CPU', fallback: true });
+            expect(warn).toHaveBeenCalledTimes(1);
+            expect(warn.mock.calls[0][0]).toMatch(/GPU delegate failed with "bundled" assets/);
+
+            // The IMAGE instance goes straight to the delegate that worked
+            await module.detectImage({ id: 'a' });
+            expect(creations).toEqual(['VIDEO:GPU', 'VIDEO:CPU', 'IMAGE:CPU']);
+            warn.mockRestore();
+        });
+
+        it('should not report a fallback when GPU works or CPU was requested', async () => {
+            let module = await initModule({ delegate: undefined });
+            expect(creations).toEqual(['VIDEO:GPU']);
+            expect(module.getCapabilities()).toMatchObject({ delegate: 'GPU', fallback: false });
+
+            creations = [];
+            module = await initModule({ fileset: makeFileset({ failDelegates: ['GPU'] }) });
+            expect(creations).toEqual(['VIDEO:CPU']);
+            expect(module.getCapabilities()).toMatchObject({ delegate: 'CPU', fallback: false });
+        });
+
+        it('should reject with every delegate attempt when no delegate works', async () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+            vi.resetModules();
+            await import('./faceLandmarker.js');
+            vi.spyOn(console, 'log').mockImplementation(() => { });
+            const error = await window.FaceLandmarkerModule.init({
+                fileset: makeFileset({ failDelegates: ['GPU', 'CPU'] }),
+                assetBase: 'bundled'
+            }).catch(e => e);
+            console.log.mockRestore();
+
+            expect(error).toBeInstanceOf(window.FaceLandmarkerModule.InitError);
+            expect(error.attempts.map(a => a.delegate)).toEqual(['GPU', 'CPU']);
+            expect(warn).toHaveBeenCalledTimes(2);
+            expect(window.FaceLandmarkerModule.getCapabilities()).toBeNull();
+            warn.mockRestore();
+        });
+
+        it('should report the installed tasks-vision version for bundled assets', async () => {
+            const module = await initModule();
+            const readJSON = file => JSON.parse(readFileSync(path.join(__dirname, file), 'utf8'));
+            const installed = readJSON('node_modules/@mediapipe/tasks-vision/package.json').version;
+            expect(module.getCapabilities()).toMatchObject({ assetSource: 'bundled', version: installed });
+            // Pinned exactly, so a lockfile update cannot make the reported version stale
+            expect(readJSON('package.json').dependencies['@mediapipe/tasks-vision']).toBe(installed);
+        });
+
+        it('should create the IMAGE landmarker once, on first use', async () => {
+            const module = await initModule();
+            expect(instances.map(i => i.mode)).toEqual(['VIDEO']);
+            expect(module.getCapabilities().runningModes).toEqual(['VIDEO']);
+
+            await Promise.all([module.detectImage({ id: 'a' }), module.detectImage({ id: 'b' })]);
+            expect(instances.map(i => i.mode)).toEqual(['VIDEO', 'IMAGE']);
+            expect(module.getCapabilities().runningModes).toEqual(['VIDEO', 'IMAGE']);
+        });
+
+        it('should run concurrent image detections one after another in call order', async () => {
+            const module = await initModule();
+            const results = await Promise.all([
+                module.detectImage({ id: 'a' }, { numFaces: 5 }),
+                module.detectImage({ id: 'b' }),
+                module.detectImage({ id: 'c' }, { numFaces: 3 })
+            ]);
+
+            expect(results.every(faces => faces.length === 1)).toBe(true);
+            expect(log).toEqual([
+                'IMAGE:setOptions(5)', 'IMAGE:detect(a, 5)',
+                'IMAGE:setOptions(2)', 'IMAGE:detect(b, 2)',
+                'IMAGE:setOptions(3)', 'IMAGE:detect(c, 3)'
+            ]);
+        });
+
+        it('should only reconfigure the IMAGE instance when the face limit changes', async () => {
+            const module = await initModule();
+            const frame = { numFaces: module.getMaxVideoFaces() };
+            await Promise.all([
+                module.detectImage({ id: 'f1' }, frame),
+                module.detectImage({ id: 'f2' }, frame),
+                module.detectImage({ id: 'photo' })
+            ]);
+            expect(log).toEqual([
+                'IMAGE:setOptions(6)', 'IMAGE:detect(f1, 6)', 'IMAGE:detect(f2, 6)',
+                'IMAGE:setOptions(2)', 'IMAGE:detect(photo, 2)'
+            ]);
+        });
+
+        it('should give the VIDEO instance its own, configurable face limit', async () => {
+            vi.resetModules();
+            await import('./faceLandmarker.js');
+            vi.spyOn(console, 'log').mockImplementation(() => { });
+            await window.FaceLandmarkerModule.init({ fileset: makeFileset(), delegate: 'CPU', maxVideoFaces: 4 });
+            console.log.mockRestore();
+            const module = window.FaceLandmarkerModule;
+
+            expect(instances[0].options.numFaces).toBe(4);
+            expect(module.getCapabilities().numFaces).toBe(4);
+
+            await module.setMaxVideoFaces(8);
+            expect(log).toEqual(['VIDEO:setOptions(8)']);
+            expect(module.getCapabilities().numFaces).toBe(8);
+
+            await module.detectImage({ id: 'photo' });
+            expect(instances[1].options.numFaces).toBe(2);
+        });
+
+        it('should keep video detection on its own instance while image detections are queued', async () => {
+            const module = await initModule();
+            const pending = module.detectImage({ id: 'a' }, { numFaces: 5 });
+            module.detectVideo({}, 0);
+            await pending;
+            module.detectVideo({}, 40);
+
+            const video = instances.find(i => i.mode === 'VIDEO').instance;
+            expect(video.detectForVideo).toHaveBeenCalledTimes(2);
+            expect(video.setOptions).not.toHaveBeenCalled();
+            expect(instances.find(i => i.mode === 'IMAGE').instance.detect).toHaveBeenCalledTimes(1);
+        });
+
+        it('should apply the default face limit again after a failed detection', async () => {
+            const module = await initModule();
+            await module.detectImage({ id: 'warm-up' });
+            const image = instances.find(i => i.mode === 'IMAGE').instance;
+            image.detect.mockImplementationOnce(() => { throw new Error('boom'); });
+            vi.spyOn(console, 'error').mockImplementation(() => { });
+
+            expect(await module.detectImage({ id: 'a' }, { numFaces: 4 })).toBeNull();
+            console.error.mockRestore();
+            await module.detectImage({ id: 'b' });
+            expect(log.slice(-3)).toEqual(['IMAGE:setOptions(4)', 'IMAGE:setOptions(2)', 'IMAGE:detect(b, 2)']);
+            expect(image.detect).toHaveBeenCalledTimes(3);
+        });
+
+        it('should never switch an instance\'s running mode', async () => {
+            const module = await initModule();
+            await Promise.all([
+                module.detectImage({ id: 'a' }, { numFaces: 5 }),
+                module.detectImage({ id: 'b' })
+            ]);
+            module.detectVideo({}, 0);
+            await module.setMaxVideoFaces(3);
+
+            expect(instances.map(i => i.options.runningMode)).toEqual(['VIDEO', 'IMAGE']);
+            for (const { instance } of instances) {
+                for (const [options] of instance.setOptions.mock.calls) {
+                    expect(options).not.toHaveProperty('runningMode');
+                }
+            }
+        });
+    });
+
     describe('drawLandmarks', () => {
         it('should draw circles on the canvas context', () => {
             const ctx = {
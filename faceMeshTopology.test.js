@@ -0,0 +1,47 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+// Create a mock window object if it doesn't exist
+if (typeof window === 'undefined') {
+    global.window = {};
+}
+
+// Import the module
+import './faceMeshTopology.js';
+
+describe('FaceMeshTopology', () => {
+    let FaceMeshTopology;
+
+    beforeEach(() => {
+        FaceMeshTopology = window.FaceMeshTopology;
+    });
+
+    it('should cover every mesh landmark with valid triangles', () => {
+        const used = new Set();
+        for (const tri of FaceMeshTopology.TRIANGLES) {
+            expect(tri).toHaveLength(3);
+            expect(new Set(tri).size).toBe(3);
+            tri.forEach(index => used.add(index));
+        }
+        expect(FaceMeshTopology.TRIANGLES).toHaveLength(852);
+        expect(used.size).toBe(FaceMeshTopology.MESH_LANDMARK_COUNT);
+        expect(Math.max(...used)).toBe(FaceMeshTopology.MESH_LANDMARK_COUNT - 1);
+    });
+
+    it('should form a manifold mesh (each edge shared by at most two triangles)', () => {
+        const edgeCounts = new Map();
+        for (const [a, b, c] of FaceMeshTopology.TRIANGLES) {
+            for (const [i, j] of [[a, b], [b, c], [c, a]]) {
+                const key = i < j ? `${i}-${j}` : `${j}-${i}`;
+                edgeCounts.set(key, (edgeCounts.get(key) || 0) + 1);
+            }
+        }
+        expect(Math.max(...edgeCounts.values())).toBeLessThanOrEqual(2);
+    });
+
+    it('should only accept full face meshes', () => {
+        const point = { x: 0.5, y: 0.5, z: 0 };
+        expect(FaceMeshTopology.isFullMesh(new Array(478).fill(point))).toBe(true);
+        expect(FaceMeshTopology.isFullMesh(new Array(68).fill(point))).toBe(false);
+        expect(FaceMeshTopology.isFullMesh(null)).toBe(false);
+    });
+});
@@ -0,0 +1,189 @@
+/**
+ * Face Pack Module
+ * Serializes processed source faces (image + PhotoProcessor cache fields) to a
+ * versioned JSON "face pack" and validates packs on import, so faces can be
+ * shared and loaded without running detection.
+ */
+
+(function () {
+    'use strict';
+
+    const FACE_PACK_FORMAT = 'funnyfaceswap-face-pack';
+    const FACE_PACK_VERSION = 1;
+
+    /**
+     * Error thrown for packs that fail validation.
+     * `problems` lists every issue found, not just the first one.
+     */
+    class FacePackError extends Error {
+        constructor(message, problems = []) {
+            super(message);
+            this.name = 'FacePackError';
+            this.problems = problems;
+        }
+    }
+
+    function isFiniteNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    function isPoint(point) {
+        return point !== null && typeof point === 'object' &&
+            isFiniteNumber(point.x) && isFiniteNumber(point.y) &&
+            (point.z === undefined || isFiniteNumber(point.z));
+    }
+
+    /**
+     * Check a list of points, reporting at most the first invalid index.
+     */
+    function checkPoints(points, field, problems) {
+        if (!Array.isArray(points) || points.length === 0) {
+            problems.push(`${field} must be a non-empty array`);
+            return;
+        }
+        const bad = points.findIndex(point => !isPoint(point));
+        if (bad >= 0) {
+            problems.push(`${field}[${bad}] must be a point {x, y, z?} of finite numbers`);
+        }
+    }
+
+    /**
+     * Validate a parsed face pack.
+     * @param {Object} pack - Parsed JSON.
+     * @returns {Array<string>} Problems found (empty when valid).
+     */
+    function validateFacePack(pack) {
+        const problems = [];
+        if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+            return ['Face pack must be a JSON object'];
+        }
+
+        if (pack.format !== FACE_PACK_FORMAT) {
+            problems.push(`format must be "${FACE_PACK_FORMAT}"`);
+        }
+        if (!Number.isInteger(pack.version) || pack.version < 1) {
+            problems.push('version must be a positive integer');
+        } else if (pack.version > FACE_PACK_VERSION) {
+            problems.push(`version ${pack.version} is newer than supported (${FACE_PACK_VERSION})`);
+        }
+        if (pack.name !== undefined && typeof pack.name !== 'string') {
+            problems.push('name must be a string');
+        }
+        if (typeof pack.image !== 'string' || !pack.image.startsWith('data:image/')) {
+            problems.push('image must be an image data URL');
+        }
+        if (!isFiniteNumber(pack.imageWidth) || pack.imageWidth <= 0 ||
+            !isFiniteNumber(pack.imageHeight) || pack.imageHeight <= 0) {
+            problems.push('imageWidth and imageHeight must be positive numbers');
+        }
+
+        checkPoints(pack.landmarks, 'landmarks', problems);
+        checkPoints(pack.pixelLandmarks, 'pixelLandmarks', problems);
+        if (pack.allLandmarks !== undefined) {
+            checkPoints(pack.allLandmarks, 'allLandmarks', problems);
+        }
+        if (Array.isArray(pack.landmarks) && Array.isArray(pack.pixelLandmarks) &&
+            pack.landmarks.length !== pack.pixelLandmarks.length) {
+            problems.push('landmarks and pixelLandmarks must have the same length');
+        }
+
+        const count = Array.isArray(pack.pixelLandmarks) ? pack.pixelLandmarks.length : 0;
+        if (!Array.isArray(pack.triangles) || pack.triangles.length === 0) {
+            problems.push('triangles must be a non-empty array');
+        } else {
+            const bad = pack.triangles.findIndex(tri =>
+                !Array.isArray(tri) || tri.length !== 3 ||
+                !tri.every(i => Number.isInteger(i) && i >= 0 && i < count)
+            );
+            if (bad >= 0) {
+                problems.push(`triangles[${bad}] must be three landmark indices below ${count}`);
+            }
+        }
+
+        const box = pack.boundingBox;
+        if (!box || typeof box !== 'object' ||
+            !['x', 'y', 'width', 'height'].every(key => isFiniteNumber(box[key]))) {
+            problems.push('boundingBox must be {x, y, width, height} of finite numbers');
+        }
+
+        return problems;
+    }
+
+    /**
+     * Build a face pack from a processed photo.
+     * @param {Object} cache - PhotoProcessor cache or library entry.
+     * @param {string} imageDataUrl - The source image as a data URL.
+     * @param {string} [name] - Display name.
+     * @returns {Object} Face pack object (JSON.stringify it to save).
+     */
+    function createFacePack(cache, imageDataUrl, name) {
+        if (!cache || !cache.processed) {
+            throw new FacePackError('Cannot export a photo that has not been processed');
+        }
+
+        const pack = {
+            format: FACE_PACK_FORMAT,
+            version: FACE_PACK_VERSION,
+            name: name || cache.name || 'Face',
+            image: imageDataUrl,
+            imageWidth: cache.imageWidth,
+            imageHeight: cache.imageHeight,
+            landmarks: cache.landmarks.map(lm => ({ x: lm.x, y: lm.y, z: lm.z || 0 })),
+            pixelLandmarks: cache.pixelLandmarks.map(lm => ({ x: lm.x, y: lm.y, z: lm.z || 0 })),
+            triangles: cache.triangles.map(tri => [tri[0], tri[1], tri[2]]),
+            boundingBox: { ...cache.boundingBox }
+        };
+        if (cache.allLandmarks) {
+            pack.allLandmarks = cache.allLandmarks.map(lm => ({ x: lm.x, y: lm.y, z: lm.z || 0 }));
+        }
+        return pack;
+    }
+
+    /**
+     * Parse and validate a face pack.
+     * @param {string|Object} input - JSON text or an already parsed object.
+     * @returns {Object} {name, image, cache} where cache has the PhotoProcessor cache fields.
+     * @throws {FacePackError} If the JSON is malformed or fails validation.
+     */
+    function parseFacePack(input) {
+        let pack = input;
+        if (typeof input === 'string') {
+            try {
+                pack = JSON.parse(input);
+            } catch (error) {
+                throw new FacePackError(`Face pack is not valid JSON: ${error.message}`, [error.message]);
+            }
+        }
+
+        const problems = validateFacePack(pack);
+        if (problems.length > 0) {
+            throw new FacePackError(`Invalid face pack: ${problems[0]}`, problems);
+        }
+
+        return {
+            name: pack.name || 'Face',
+            image: pack.image,
+            cache: {
+                allLandmarks: pack.allLandmarks || null,
+                landmarks: pack.landmarks,
+                pixelLandmarks: pack.pixelLandmarks,
+                triangles: pack.triangles,
+                boundingBox: pack.boundingBox,
+                imageWidth: pack.imageWidth,
+                imageHeight: pack.imageHeight,
+                processed: true
+            }
+        };
+    }
+
+    // Export module
+    window.FacePack = {
+        FORMAT: FACE_PACK_FORMAT,
+        VERSION: FACE_PACK_VERSION,
+        create: createFacePack,
+        parse: parseFacePack,
+        validate: validateFacePack,
+        FacePackError
+    };
+
+})();
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+// Create a mock window object if it doesn't exist
+if (typeof window === 'undefined') {
+    global.window = {};
+}
+
+// Import the module
+import './facePack.js';
+
+const IMAGE_URL = 'data:image/png;base64,iVBORw0KGgo=';
+
+// Minimal processed photo: one triangle
+function makeCache() {
+    const pixelLandmarks = [
+        { x: 10, y: 10, z: 0 },
+        { x: 90, y: 10, z: 0 },
+        { x: 50, y: 90, z: 0 }
+    ];
+    return {
+        allLandmarks: pixelLandmarks.map(p => ({ x: p.x / 100, y: p.y / 100, z: 0 })),
+        landmarks: pixelLandmarks.map(p => ({ x: p.x / 100, y: p.y / 100, z: 0 })),
+        pixelLandmarks,
+        triangles: [[0, 1, 2]],
+        boundingBox: { x: 2, y: 2, width: 96, height: 96 },
+        imageWidth: 100,
+        imageHeight: 100,
+        processed: true
+    };
+}
+
+describe('FacePack', () => {
+    let FacePack;
+
+    beforeEach(() => {
+        FacePack = window.FacePack;
+    });
+
+    it('should round-trip a processed photo through JSON', () => {
+        const cache = makeCache();
+        const json = JSON.stringify(FacePack.create(cache, IMAGE_URL, 'Alice'));
+        const { name, image, cache: restored } = FacePack.parse(json);
+
+        expect(name).toBe('Alice');
+        expect(image).toBe(IMAGE_URL);
+        expect(restored.processed).toBe(true);
+        expect(restored.pixelLandmarks).toEqual(cache.pixelLandmarks);
+        expect(restored.triangles).toEqual(cache.triangles);
+        expect(restored.boundingBox).toEqual(cache.boundingBox);
+        expect(restored.allLandmarks).toEqual(cache.allLandmarks);
+    });
+
+    it('should refuse to export unprocessed photos', () => {
+        expect(() => FacePack.create({ processed: false }, IMAGE_URL)).toThrow(FacePack.FacePackError);
+    });
+
+    it('should report malformed JSON', () => {
+        expect(() => FacePack.parse('{not json')).toThrow(/not valid JSON/);
+    });
+
+    it('should list every schema problem', () => {
+        const pack = FacePack.create(makeCache(), IMAGE_URL);
+        pack.image = 'https://example.com/face.png';
+        pack.triangles = [[0, 1, 7]];
+        pack.pixelLandmarks = pack.pixelLandmarks.slice(0, 2);
+
+        let error;
+        try {
+            FacePack.parse(pack);
+        } catch (e) {
+            error = e;
+        }
+        expect(error).toBeInstanceOf(FacePack.FacePackError);
+        expect(error.problems).toEqual(expect.arrayContaining([
+            'image must be an image data URL',
+            'landmarks and pixelLandmarks must have the same length',
+            'triangles[0] must be three landmark indices below 2'
+        ]));
+    });
+
+    it('should reject packs from a newer version', () => {
+        const pack = FacePack.create(makeCache(), IMAGE_URL);
+        pack.version = FacePack.VERSION + 1;
+        expect(FacePack.validate(pack)).toEqual([`version ${pack.version} is newer than supported (${FacePack.VERSION})`]);
+    });
+
+    it('should reject non-objects', () => {
+        expect(FacePack.validate(null)).toEqual(['Face pack must be a JSON object']);
+        expect(FacePack.validate([])).toEqual(['Face pack must be a JSON object']);
+    });
+});
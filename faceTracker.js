@@ -0,0 +1,243 @@
+/**
+ * Face Tracker Module
+ * Assigns persistent IDs to faces across video frames by matching bounding boxes
+ * (IoU first, centroid distance as fallback) and keeps tracks alive through
+ * brief detection dropouts. Given the video time, it also remembers where each ID
+ * was, so a later pass over the same video (cache, export) gives the same faces
+ * the same IDs, whatever frame each pass started on.
+ */
+
+(function () {
+    'use strict';
+
+    const DEFAULT_OPTIONS = {
+        iouThreshold: 0.3,          // Minimum IoU to match a detection to a track
+        maxCentroidDistance: 0.75,  // Centroid fallback, relative to the track's box diagonal
+        maxMissedFrames: 15,        // Frames a track survives without a detection
+        maxCoastFrames: 3,          // Frames a missed track is still reported with its last landmarks
+        identityTimeStep: 0.1       // Seconds per slot of remembered face boxes
+    };
+
+    /**
+     * Intersection over union of two boxes
+     * @param {Object} a - Box {x, y, width, height}
+     * @param {Object} b - Box {x, y, width, height}
+     * @returns {number} IoU in [0, 1]
+     */
+    function computeIoU(a, b) {
+        const x0 = Math.max(a.x, b.x);
+        const y0 = Math.max(a.y, b.y);
+        const x1 = Math.min(a.x + a.width, b.x + b.width);
+        const y1 = Math.min(a.y + a.height, b.y + b.height);
+
+        const intersection = Math.max(0, x1 - x0) * Math.max(0, y1 - y0);
+        const union = a.width * a.height + b.width * b.height - intersection;
+        return union > 0 ? intersection / union : 0;
+    }
+
+    /**
+     * Distance between box centers relative to the first box's diagonal
+     */
+    function relativeCentroidDistance(a, b) {
+        const dx = (a.x + a.width / 2) - (b.x + b.width / 2);
+        const dy = (a.y + a.height / 2) - (b.y + b.height / 2);
+        const diagonal = Math.sqrt(a.width * a.width + a.height * a.height) || 1;
+        return Math.sqrt(dx * dx + dy * dy) / diagonal;
+    }
+
+    /**
+     * Bounding box of a face in pixel coordinates
+     * @param {Array} landmarks - Normalized landmarks
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @returns {Object} Box {x, y, width, height}
+     */
+    function computeFaceBox(landmarks, width, height) {
+        const pixelLandmarks = landmarks.map(lm => ({ x: lm.x * width, y: lm.y * height }));
+        return window.PhotoProcessor.computeBoundingBox(pixelLandmarks, width, height);
+    }
+
+    /**
+     * Create a face tracker
+     * @param {Object} options - See DEFAULT_OPTIONS
+     * @returns {Object} Tracker with update(), getTracks(), reset() and forget()
+     */
+    function createFaceTracker(options = {}) {
+        const settings = { ...DEFAULT_OPTIONS, ...options };
+        let tracks = [];
+        let nextId = 1;
+        // IDs below passFirstId come from earlier passes; remembered maps a time slot
+        // to the box of every ID seen then (Map slot -> Map id -> bbox)
+        let passFirstId = 1;
+        let remembered = new Map();
+
+        /**
+         * Find the earlier-pass ID whose remembered box at this time matches a box best
+         * @param {Object} bbox - Box {x, y, width, height}
+         * @param {number} slot - Time slot
+         * @param {Set} taken - IDs used by other live tracks
+         * @returns {number|null} Remembered ID, or null
+         */
+        function recallId(bbox, slot, taken) {
+            let best = null;
+            let bestIoU = settings.iouThreshold;
+            for (let s = slot - 1; s <= slot + 1; s++) {
+                const boxes = remembered.get(s);
+                if (!boxes) continue;
+                for (const [id, box] of boxes) {
+                    if (id >= passFirstId || taken.has(id)) continue;
+                    const iou = computeIoU(box, bbox);
+                    if (iou >= bestIoU) {
+                        best = id;
+                        bestIoU = iou;
+                    }
+                }
+            }
+            return best;
+        }
+
+        /**
+         * Give the faces of this pass the IDs they had in earlier passes, then remember
+         * where every detected face is at this time
+         * @param {number} time - Video time (s)
+         * @returns {Map} Renamed live tracks, new ID -> previous ID
+         */
+        function linkToEarlierPasses(time) {
+            const slot = Math.round(time / settings.identityTimeStep);
+            const renamed = new Map();
+            for (const track of tracks) {
+                if (track.id < passFirstId || track.missed > 0) continue;
+                const taken = new Set(tracks.filter(other => other !== track).map(other => other.id));
+                const id = recallId(track.bbox, slot, taken);
+                if (id === null) continue;
+                // A track recalled on its first frame was never reported under its new ID
+                if (track.age > 1) {
+                    renamed.set(id, track.id);
+                    // Its boxes so far belong to the earlier ID, so later passes recall that one
+                    for (const boxes of remembered.values()) {
+                        if (!boxes.has(track.id)) continue;
+                        if (!boxes.has(id)) boxes.set(id, boxes.get(track.id));
+                        boxes.delete(track.id);
+                    }
+                }
+                track.id = id;
+            }
+
+            if (!remembered.has(slot)) remembered.set(slot, new Map());
+            const boxes = remembered.get(slot);
+            for (const track of tracks) {
+                if (track.missed === 0) boxes.set(track.id, track.bbox);
+            }
+            return renamed;
+        }
+
+        /**
+         * Match the faces detected in a new frame against the live tracks
+         * @param {Array|null} faces - Array of normalized landmark arrays
+         * @param {number} width - Frame width in pixels
+         * @param {number} height - Frame height in pixels
+         * @param {number} [time] - Video time (s); without it, IDs are not linked across passes
+         * @returns {Array} Reported tracks [{id, landmarks, bbox, missed, age}] sorted by ID;
+         *   a track that just took over the ID of an earlier pass also has renamedFrom (its old ID)
+         */
+        function update(faces, width, height, time) {
+            const detections = (faces || [])
+                .filter(landmarks => landmarks && landmarks.length > 0)
+                .map(landmarks => ({ landmarks, bbox: computeFaceBox(landmarks, width, height) }));
+
+            // Score every track/detection pair, IoU matches always rank above centroid matches
+            const candidates = [];
+            tracks.forEach((track, t) => {
+                detections.forEach((detection, d) => {
+                    const iou = computeIoU(track.bbox, detection.bbox);
+                    if (iou >= settings.iouThreshold) {
+                        candidates.push({ t, d, score: 1 + iou });
+                        return;
+                    }
+                    const distance = relativeCentroidDistance(track.bbox, detection.bbox);
+                    if (distance <= settings.maxCentroidDistance) {
+                        candidates.push({ t, d, score: 1 - distance / settings.maxCentroidDistance });
+                    }
+                });
+            });
+            candidates.sort((a, b) => b.score - a.score);
+
+            // Greedy assignment
+            const matchedTracks = new Set();
+            const matchedDetections = new Set();
+            for (const { t, d } of candidates) {
+                if (matchedTracks.has(t) || matchedDetections.has(d)) continue;
+                matchedTracks.add(t);
+                matchedDetections.add(d);
+
+                const track = tracks[t];
+                track.landmarks = detections[d].landmarks;
+                track.bbox = detections[d].bbox;
+                track.missed = 0;
+                track.age++;
+            }
+
+            // Age unmatched tracks and drop the ones gone for too long
+            tracks.forEach((track, t) => {
+                if (!matchedTracks.has(t)) track.missed++;
+            });
+            tracks = tracks.filter(track => track.missed <= settings.maxMissedFrames);
+
+            // Start new tracks for unmatched detections
+            detections.forEach((detection, d) => {
+                if (matchedDetections.has(d)) return;
+                tracks.push({
+                    id: nextId++,
+                    landmarks: detection.landmarks,
+                    bbox: detection.bbox,
+                    missed: 0,
+                    age: 1
+                });
+            });
+
+            const renamed = Number.isFinite(time) ? linkToEarlierPasses(time) : new Map();
+            const reported = getTracks({ maxMissed: settings.maxCoastFrames });
+            for (const track of reported) {
+                if (renamed.has(track.id)) track.renamedFrom = renamed.get(track.id);
+            }
+            return reported;
+        }
+
+        /**
+         * Get the current tracks
+         * @param {Object} [filter] - {maxMissed} only returns tracks missed at most that many frames
+         * @returns {Array} Copies of the tracks sorted by ID
+         */
+        function getTracks(filter = {}) {
+            const maxMissed = filter.maxMissed !== undefined ? filter.maxMissed : Infinity;
+            return tracks
+                .filter(track => track.missed <= maxMissed)
+                .map(track => ({ ...track }))
+                .sort((a, b) => a.id - b.id);
+        }
+
+        return {
+            update,
+            getTracks,
+            // Start a new pass over the same video: faces are matched to the IDs seen so far
+            reset() {
+                tracks = [];
+                passFirstId = nextId;
+            },
+            // New video: forget every face
+            forget() {
+                tracks = [];
+                nextId = 1;
+                passFirstId = 1;
+                remembered = new Map();
+            }
+        };
+    }
+
+    // Export module
+    window.FaceTracker = {
+        createFaceTracker,
+        computeIoU
+    };
+
+})();
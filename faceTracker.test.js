@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+// Create a mock window object if it doesn't exist
+if (typeof window === 'undefined') {
+    global.window = {};
+}
+
+// The tracker uses PhotoProcessor.computeBoundingBox
+import './photoProcessor.js';
+import './faceTracker.js';
+
+// Square "face" of landmarks centred on (cx, cy) in normalized coordinates
+function makeFace(cx, cy, size = 0.1) {
+    return [
+        { x: cx - size, y: cy - size, z: 0 },
+        { x: cx + size, y: cy - size, z: 0 },
+        { x: cx - size, y: cy + size, z: 0 },
+        { x: cx + size, y: cy + size, z: 0 }
+    ];
+}
+
+describe('FaceTracker', () => {
+    let FaceTracker;
+
+    beforeEach(() => {
+        FaceTracker = window.FaceTracker;
+    });
+
+    describe('computeIoU', () => {
+        it('should compute overlap ratios', () => {
+            const a = { x: 0, y: 0, width: 10, height: 10 };
+            expect(FaceTracker.computeIoU(a, a)).toBe(1);
+            expect(FaceTracker.computeIoU(a, { x: 20, y: 20, width: 10, height: 10 })).toBe(0);
+            expect(FaceTracker.computeIoU(a, { x: 5, y: 0, width: 10, height: 10 })).toBeCloseTo(50 / 150);
+        });
+    });
+
+    describe('createFaceTracker', () => {
+        it('should keep IDs stable when detection order swaps', () => {
+            const tracker = FaceTracker.createFaceTracker();
+            const left = makeFace(0.25, 0.5);
+            const right = makeFace(0.75, 0.5);
+
+            const first = tracker.update([left, right], 640, 480);
+            const leftId = first.find(t => t.landmarks === left).id;
+            const rightId = first.find(t => t.landmarks === right).id;
+
+            // MediaPipe returns the faces in the opposite order, slightly moved
+            const movedLeft = makeFace(0.27, 0.5);
+            const movedRight = makeFace(0.73, 0.51);
+            const second = tracker.update([movedRight, movedLeft], 640, 480);
+
+            expect(second.find(t => t.landmarks === movedLeft).id).toBe(leftId);
+            expect(second.find(t => t.landmarks === movedRight).id).toBe(rightId);
+        });
+
+        it('should survive brief detection dropouts', () => {
+            const tracker = FaceTracker.createFaceTracker({ maxMissedFrames: 5, maxCoastFrames: 2 });
+            const [track] = tracker.update([makeFace(0.5, 0.5)], 640, 480);
+
+            // Coasting: still reported with the last landmarks
+            const coasting = tracker.update([], 640, 480);
+            expect(coasting).toHaveLength(1);
+            expect(coasting[0].missed).toBe(1);
+
+            tracker.update([], 640, 480);
+            expect(tracker.update([], 640, 480)).toHaveLength(0);
+
+            // Re-detected within maxMissedFrames: same ID
+            const [again] = tracker.update([makeFace(0.52, 0.5)], 640, 480);
+            expect(again.id).toBe(track.id);
+        });
+
+        it('should drop tracks missing for too long and start new IDs', () => {
+            const tracker = FaceTracker.createFaceTracker({ maxMissedFrames: 2 });
+            const [track] = tracker.update([makeFace(0.5, 0.5)], 640, 480);
+
+            for (let i = 0; i < 3; i++) tracker.update([], 640, 480);
+            expect(tracker.getTracks()).toHaveLength(0);
+
+            const [fresh] = tracker.update([makeFace(0.5, 0.5)], 640, 480);
+            expect(fresh.id).not.toBe(track.id);
+        });
+
+        it('should give faces the IDs of an earlier pass, whatever frame each pass started on', () => {
+            const tracker = FaceTracker.createFaceTracker();
+            const left = t => makeFace(0.25 + t * 0.01, 0.5);
+            const right = t => makeFace(0.75 - t * 0.01, 0.5);
+            const idOf = (tracks, side) => tracks.find(t => (t.bbox.x < 240) === (side === 'left'));
+
+            // Live pass started mid-clip, where the right face entered first
+            tracker.update([right(2)], 640, 480, 2);
+            const live = tracker.update([left(2.1), right(2.1)], 640, 480, 2.1);
+            const rightId = idOf(live, 'right').id;
+            const leftId = idOf(live, 'left').id;
+            expect([rightId, leftId]).toEqual([1, 2]);
+
+            // Cache pass from the start: faces the live pass never saw here get new IDs...
+            tracker.reset();
+            tracker.update([left(0)], 640, 480, 0);
+            const early = tracker.update([left(0.1), right(0.1)], 640, 480, 0.1);
+            expect(idOf(early, 'left').id).toBeGreaterThan(leftId);
+            expect(idOf(early, 'right').id).toBeGreaterThan(leftId);
+
+            // ...and take over the live IDs where the live pass saw them
+            const joined = tracker.update([left(2), right(2)], 640, 480, 2);
+            expect(idOf(joined, 'left')).toMatchObject({ id: leftId, renamedFrom: idOf(early, 'left').id });
+            expect(idOf(joined, 'right')).toMatchObject({ id: rightId, renamedFrom: idOf(early, 'right').id });
+            const next = tracker.update([left(2.1), right(2.1)], 640, 480, 2.1);
+            expect(next.every(t => t.renamedFrom === undefined)).toBe(true);
+
+            // A third pass recalls the live IDs from the first frame
+            tracker.reset();
+            const again = tracker.update([left(0), right(0)], 640, 480, 0);
+            expect(idOf(again, 'left').id).toBe(leftId);
+            expect(idOf(again, 'right').id).toBe(rightId);
+            expect(again.every(t => t.renamedFrom === undefined)).toBe(true);
+        });
+
+        it('should start from ID 1 again after forgetting the video', () => {
+            const tracker = FaceTracker.createFaceTracker();
+            tracker.update([makeFace(0.25, 0.5), makeFace(0.75, 0.5)], 640, 480, 0);
+            tracker.reset();
+            expect(tracker.update([makeFace(0.5, 0.2)], 640, 480, 0)[0].id).toBe(3);
+
+            tracker.forget();
+            expect(tracker.update([makeFace(0.75, 0.5)], 640, 480, 0)[0].id).toBe(1);
+        });
+
+        it('should fall back to centroid matching for fast motion', () => {
+            const tracker = FaceTracker.createFaceTracker();
+            const [track] = tracker.update([makeFace(0.4, 0.5)], 640, 480);
+            // Moved far enough that the boxes barely overlap
+            const [moved] = tracker.update([makeFace(0.55, 0.5)], 640, 480);
+            expect(moved.id).toBe(track.id);
+        });
+    });
+});
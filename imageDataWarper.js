@@ -0,0 +1,189 @@
+/**
+ * ImageData Warper Module
+ * Seam-free piecewise-affine warping without a canvas: triangles are rasterised
+ * straight into an RGBA buffer using barycentric coordinates and bilinear sampling.
+ * Shared edges are owned by exactly one triangle (top-left fill rule), so there
+ * are no seams or alpha cracks between neighbours.
+ * Pure functions on {width, height, data} buffers: runs in the page, in workers and in Node.
+ */
+
+(function (root) {
+    'use strict';
+
+    // Same threshold as FaceWarper.isTriangleDegenerate (half a pixel)
+    const MIN_TRIANGLE_AREA = 0.5;
+
+    /**
+     * Edge function of directed edge a -> b at (px, py); positive on the inside of clockwise (y-down) triangles.
+     * Evaluated with the endpoints in a canonical order so both triangles sharing an edge
+     * get bit-identical values (just negated).
+     */
+    function edgeFunction(a, b, px, py) {
+        if (a.x > b.x || (a.x === b.x && a.y > b.y)) {
+            return -((a.x - b.x) * (py - b.y) - (a.y - b.y) * (px - b.x));
+        }
+        return (b.x - a.x) * (py - a.y) - (b.y - a.y) * (px - a.x);
+    }
+
+    /**
+     * Top-left rule: pixels exactly on an edge belong to the triangle for which it is a top or left edge.
+     * For each shared edge exactly one of the two opposite directions qualifies.
+     */
+    function isTopLeft(a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        return dy < 0 || (dy === 0 && dx > 0);
+    }
+
+    /**
+     * Bilinearly sample a straight-alpha RGBA buffer at continuous pixel coordinates
+     * (pixel centres at +0.5, clamped to the edge), writing into out[offset..offset+3].
+     */
+    function sampleBilinear(src, x, y, out, offset) {
+        const width = src.width;
+        const height = src.height;
+        const fx = Math.min(Math.max(x - 0.5, 0), width - 1);
+        const fy = Math.min(Math.max(y - 0.5, 0), height - 1);
+        const x0 = Math.floor(fx);
+        const y0 = Math.floor(fy);
+        const x1 = Math.min(x0 + 1, width - 1);
+        const y1 = Math.min(y0 + 1, height - 1);
+        const tx = fx - x0;
+        const ty = fy - y0;
+
+        const d = src.data;
+        const i00 = (y0 * width + x0) * 4;
+        const i10 = (y0 * width + x1) * 4;
+        const i01 = (y1 * width + x0) * 4;
+        const i11 = (y1 * width + x1) * 4;
+        const w00 = (1 - tx) * (1 - ty);
+        const w10 = tx * (1 - ty);
+        const w01 = (1 - tx) * ty;
+        const w11 = tx * ty;
+
+        for (let c = 0; c < 4; c++) {
+            out[offset + c] = w00 * d[i00 + c] + w10 * d[i10 + c] + w01 * d[i01 + c] + w11 * d[i11 + c];
+        }
+    }
+
+    /**
+     * Rasterise one triangle into the output buffer.
+     * @returns {boolean} True if the triangle was drawn (not degenerate).
+     */
+    function rasterizeTriangle(src, out, srcTri, dstTri, bounds) {
+        let [d0, d1, d2] = dstTri;
+        let [s0, s1, s2] = srcTri;
+
+        const srcArea = Math.abs((s1.x - s0.x) * (s2.y - s0.y) - (s1.y - s0.y) * (s2.x - s0.x)) / 2;
+        let area2 = (d1.x - d0.x) * (d2.y - d0.y) - (d1.y - d0.y) * (d2.x - d0.x);
+        if (srcArea < MIN_TRIANGLE_AREA || Math.abs(area2) / 2 < MIN_TRIANGLE_AREA) {
+            return false;
+        }
+
+        // Normalise to clockwise (y-down) winding so edge functions are positive inside
+        if (area2 < 0) {
+            [d1, d2] = [d2, d1];
+            [s1, s2] = [s2, s1];
+            area2 = -area2;
+        }
+
+        const topLeft0 = isTopLeft(d1, d2);
+        const topLeft1 = isTopLeft(d2, d0);
+        const topLeft2 = isTopLeft(d0, d1);
+
+        const width = out.width;
+        const minX = Math.max(0, Math.floor(Math.min(d0.x, d1.x, d2.x)));
+        const maxX = Math.min(width - 1, Math.ceil(Math.max(d0.x, d1.x, d2.x)));
+        const minY = Math.max(0, Math.floor(Math.min(d0.y, d1.y, d2.y)));
+        const maxY = Math.min(out.height - 1, Math.ceil(Math.max(d0.y, d1.y, d2.y)));
+
+        for (let y = minY; y <= maxY; y++) {
+            const py = y + 0.5;
+            for (let x = minX; x <= maxX; x++) {
+                const px = x + 0.5;
+                const e0 = edgeFunction(d1, d2, px, py);
+                const e1 = edgeFunction(d2, d0, px, py);
+                const e2 = edgeFunction(d0, d1, px, py);
+
+                if (e0 < 0 || e1 < 0 || e2 < 0) continue;
+                if ((e0 === 0 && !topLeft0) || (e1 === 0 && !topLeft1) || (e2 === 0 && !topLeft2)) continue;
+
+                // Barycentric weights of d0, d1, d2
+                const l0 = e0 / area2;
+                const l1 = e1 / area2;
+                const l2 = 1 - l0 - l1;
+
+                const sx = l0 * s0.x + l1 * s1.x + l2 * s2.x;
+                const sy = l0 * s0.y + l1 * s1.y + l2 * s2.y;
+                sampleBilinear(src, sx, sy, out.data, (y * width + x) * 4);
+
+                if (x < bounds.minX) bounds.minX = x;
+                if (x > bounds.maxX) bounds.maxX = x;
+                if (y < bounds.minY) bounds.minY = y;
+                if (y > bounds.maxY) bounds.maxY = y;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Create an RGBA buffer, as a real ImageData where the constructor exists.
+     */
+    function createBuffer(width, height) {
+        if (typeof ImageData !== 'undefined') {
+            return new ImageData(width, height);
+        }
+        return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+    }
+
+    /**
+     * Warp a source image onto destination landmarks, triangle by triangle.
+     * Same landmark/triangle inputs as FaceWarper.warpFace, but on pixel buffers.
+     * @param {Object} srcImageData - Source pixels {width, height, data} (e.g. ImageData).
+     * @param {Array} srcLandmarks - Source landmarks in pixel coordinates [{x, y}, ...].
+     * @param {Array} dstLandmarks - Destination landmarks in pixel coordinates [{x, y}, ...].
+     * @param {Array} triangles - Triangle indices [[i0, i1, i2], ...].
+     * @param {number} width - Output width.
+     * @param {number} height - Output height.
+     * @returns {Object|null} {imageData, bounds: {x, y, width, height}} where bounds covers the
+     *   written pixels (empty if none), or null on invalid input.
+     */
+    function warpFace(srcImageData, srcLandmarks, dstLandmarks, triangles, width, height) {
+        if (!srcImageData || !srcLandmarks || !dstLandmarks || !triangles) {
+            console.warn("ImageDataWarper.warpFace: Missing required parameters");
+            return null;
+        }
+        if (srcLandmarks.length !== dstLandmarks.length) {
+            console.warn("ImageDataWarper.warpFace: Landmark count mismatch", srcLandmarks.length, dstLandmarks.length);
+            return null;
+        }
+
+        const imageData = createBuffer(width, height);
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+        for (const tri of triangles) {
+            rasterizeTriangle(
+                srcImageData,
+                imageData,
+                tri.map(i => srcLandmarks[i]),
+                tri.map(i => dstLandmarks[i]),
+                bounds
+            );
+        }
+
+        const empty = bounds.maxX < bounds.minX;
+        return {
+            imageData,
+            bounds: empty
+                ? { x: 0, y: 0, width: 0, height: 0 }
+                : { x: bounds.minX, y: bounds.minY, width: bounds.maxX - bounds.minX + 1, height: bounds.maxY - bounds.minY + 1 }
+        };
+    }
+
+    // Export module (window in the page, self in workers, the global object in Node)
+    root.ImageDataWarper = {
+        warpFace,
+        sampleBilinear
+    };
+
+})(globalThis);
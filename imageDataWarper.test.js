@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { execFileSync } from 'node:child_process';
+import path from 'node:path';
+
+// Create a mock window object if it doesn't exist
+if (typeof window === 'undefined') {
+    global.window = {};
+}
+
+// Import the module
+import './imageDataWarper.js';
+
+// Opaque source where red = x and green = y (pixel index)
+function makeGradient(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            data[i] = x;
+            data[i + 1] = y;
+            data[i + 2] = 128;
+            data[i + 3] = 255;
+        }
+    }
+    return { width, height, data };
+}
+
+function countCovered(imageData) {
+    let count = 0;
+    for (let i = 3; i < imageData.data.length; i += 4) {
+        if (imageData.data[i] > 0) count++;
+    }
+    return count;
+}
+
+// Irregular mesh with fractional vertices, some exactly on pixel centres
+const meshPoints = [
+    { x: 4.5, y: 3.5 }, { x: 30.2, y: 5.5 }, { x: 58.5, y: 4.1 },
+    { x: 6.3, y: 30.5 }, { x: 31.5, y: 28.5 }, { x: 55.7, y: 33.2 },
+    { x: 5.5, y: 57.5 }, { x: 29.9, y: 56.5 }, { x: 57.5, y: 58.5 }
+];
+const meshTriangles = [
+    [0, 1, 4], [0, 4, 3], [1, 2, 5], [1, 5, 4],
+    [3, 4, 7], [3, 7, 6], [4, 5, 8], [4, 8, 7]
+];
+
+describe('ImageDataWarper', () => {
+    let ImageDataWarper;
+
+    beforeEach(() => {
+        ImageDataWarper = window.ImageDataWarper;
+    });
+
+    it('should reproduce the source for an identity warp', () => {
+        const src = makeGradient(64, 64);
+        const { imageData } = ImageDataWarper.warpFace(src, meshPoints, meshPoints, meshTriangles, 64, 64);
+
+        for (let i = 0; i < imageData.data.length; i += 4) {
+            if (imageData.data[i + 3] === 0) continue;
+            expect(Math.abs(imageData.data[i] - src.data[i])).toBeLessThanOrEqual(1);
+            expect(Math.abs(imageData.data[i + 1] - src.data[i + 1])).toBeLessThanOrEqual(1);
+        }
+    });
+
+    it('should give every covered pixel to exactly one triangle', () => {
+        const src = makeGradient(64, 64);
+        const dst = meshPoints.map(p => ({ x: p.x * 1.1 + 2, y: p.y * 0.9 + 4 }));
+
+        const whole = ImageDataWarper.warpFace(src, meshPoints, dst, meshTriangles, 80, 64);
+        const perTriangle = meshTriangles.reduce((sum, tri) =>
+            sum + countCovered(ImageDataWarper.warpFace(src, meshPoints, dst, [tri], 80, 64).imageData), 0);
+
+        expect(countCovered(whole.imageData)).toBe(perTriangle);
+    });
+
+    it('should leave no cracks or partial alpha inside the mesh', () => {
+        const src = makeGradient(64, 64);
+        const { imageData, bounds } = ImageDataWarper.warpFace(src, meshPoints, meshPoints, meshTriangles, 64, 64);
+
+        // Interior square, clear of the irregular outer boundary
+        for (let y = 8; y < 53; y++) {
+            for (let x = 10; x < 53; x++) {
+                expect(imageData.data[(y * 64 + x) * 4 + 3]).toBe(255);
+            }
+        }
+        for (let i = 3; i < imageData.data.length; i += 4) {
+            expect([0, 255]).toContain(imageData.data[i]);
+        }
+        expect(bounds.x).toBeGreaterThanOrEqual(4);
+        expect(bounds.x + bounds.width).toBeLessThanOrEqual(59);
+    });
+
+    it('should map pixels with the triangle affine transform', () => {
+        const src = makeGradient(64, 64);
+        // Scale by 0.5 around the origin: destination (x, y) samples source (2x, 2y)
+        const srcTri = [{ x: 0, y: 0 }, { x: 60, y: 0 }, { x: 0, y: 60 }];
+        const dstTri = srcTri.map(p => ({ x: p.x / 2, y: p.y / 2 }));
+        const { imageData } = ImageDataWarper.warpFace(src, srcTri, dstTri, [[0, 1, 2]], 32, 32);
+
+        const i = (5 * 32 + 10) * 4;
+        // Pixel centre (10.5, 5.5) -> source (21, 11) -> bilinear between indices 20/21 and 10/11
+        // (20.5 and 10.5 round half-to-even when stored)
+        expect(imageData.data[i]).toBe(20);
+        expect(imageData.data[i + 1]).toBe(10);
+    });
+
+    it('should skip degenerate triangles and reject mismatched landmarks', () => {
+        const src = makeGradient(8, 8);
+        const line = [{ x: 0, y: 0 }, { x: 4, y: 4 }, { x: 8, y: 8 }];
+        const result = ImageDataWarper.warpFace(src, line, line, [[0, 1, 2]], 8, 8);
+        expect(countCovered(result.imageData)).toBe(0);
+        expect(result.bounds).toEqual({ x: 0, y: 0, width: 0, height: 0 });
+
+        expect(ImageDataWarper.warpFace(src, line, line.slice(0, 2), [[0, 1, 2]], 8, 8)).toBeNull();
+    });
+
+    it('should load in plain Node without a window shim', () => {
+        // Separate process: this file defines window before importing the module
+        const modulePath = path.join(__dirname, 'imageDataWarper.js');
+        const output = execFileSync(process.execPath, ['-e', `
+            require(${JSON.stringify(modulePath)});
+            const src = { width: 2, height: 2, data: new Uint8ClampedArray(16).fill(255) };
+            const tri = [{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 0, y: 2 }];
+            const result = globalThis.ImageDataWarper.warpFace(src, tri, tri, [[0, 1, 2]], 2, 2);
+            process.stdout.write(String(typeof window) + ' ' + result.imageData.data.length);
+        `], { encoding: 'utf8', timeout: 10000 });
+        expect(output).toBe('undefined 16');
+    });
+});
@@ -0,0 +1,257 @@
+/**
+ * Landmark Filter Module
+ * Temporal smoothing for landmark sequences (One Euro and constant-velocity Kalman).
+ * Filters run per face on normalized landmarks keyed by video time in seconds.
+ */
+
+(function () {
+    'use strict';
+
+    const DEFAULT_ONE_EURO = {
+        minCutoff: 1.0,   // Hz - lower = smoother when the face is still
+        beta: 50,         // Speed coefficient - higher = less lag on fast motion
+        dCutoff: 1.0      // Hz - cutoff for the derivative estimate
+    };
+
+    const DEFAULT_KALMAN = {
+        processNoise: 0.05,      // Acceleration variance (normalized units²/s⁴)
+        measurementNoise: 2e-6   // Detector noise variance (normalized units²)
+    };
+
+    // Time gap (seconds) after which state is dropped, e.g. after a seek
+    const DEFAULT_MAX_GAP = 0.5;
+
+    /**
+     * Smoothing factor of a first-order low-pass filter
+     * @param {number} cutoff - Cutoff frequency in Hz
+     * @param {number} dt - Time step in seconds
+     * @returns {number} Alpha in (0, 1]
+     */
+    function lowPassAlpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    /**
+     * Create a One Euro filter over a fixed-length vector of values
+     * @param {Object} options - {minCutoff, beta, dCutoff}
+     * @returns {Object} Filter with filter(values, t), reset() and setOptions()
+     */
+    function createOneEuroFilter(options = {}) {
+        let params = { ...DEFAULT_ONE_EURO, ...options };
+        let prevValue = null;
+        let prevDeriv = null;
+        let prevTime = null;
+
+        function filter(values, t) {
+            const n = values.length;
+
+            if (!prevValue || prevValue.length !== n) {
+                prevValue = Float64Array.from(values);
+                prevDeriv = new Float64Array(n);
+                prevTime = t;
+                return Float64Array.from(prevValue);
+            }
+
+            const dt = t - prevTime;
+            if (dt <= 0) {
+                return Float64Array.from(prevValue);
+            }
+
+            const aDeriv = lowPassAlpha(params.dCutoff, dt);
+            for (let i = 0; i < n; i++) {
+                const deriv = (values[i] - prevValue[i]) / dt;
+                const smoothDeriv = prevDeriv[i] + aDeriv * (deriv - prevDeriv[i]);
+                const cutoff = params.minCutoff + params.beta * Math.abs(smoothDeriv);
+                const a = lowPassAlpha(cutoff, dt);
+
+                prevValue[i] = prevValue[i] + a * (values[i] - prevValue[i]);
+                prevDeriv[i] = smoothDeriv;
+            }
+            prevTime = t;
+
+            return Float64Array.from(prevValue);
+        }
+
+        return {
+            filter,
+            reset() {
+                prevValue = null;
+                prevDeriv = null;
+                prevTime = null;
+            },
+            setOptions(next) {
+                params = { ...params, ...next };
+            }
+        };
+    }
+
+    /**
+     * Create a constant-velocity Kalman filter over a fixed-length vector of values.
+     * Each value is an independent [position, velocity] state.
+     * @param {Object} options - {processNoise, measurementNoise}
+     * @returns {Object} Filter with filter(values, t), reset() and setOptions()
+     */
+    function createKalmanFilter(options = {}) {
+        let params = { ...DEFAULT_KALMAN, ...options };
+        let pos = null, vel = null;
+        let p00 = null, p01 = null, p11 = null;
+        let prevTime = null;
+
+        function filter(values, t) {
+            const n = values.length;
+
+            if (!pos || pos.length !== n) {
+                pos = Float64Array.from(values);
+                vel = new Float64Array(n);
+                p00 = new Float64Array(n).fill(params.measurementNoise);
+                p01 = new Float64Array(n);
+                p11 = new Float64Array(n).fill(1);
+                prevTime = t;
+                return Float64Array.from(pos);
+            }
+
+            const dt = t - prevTime;
+            if (dt <= 0) {
+                return Float64Array.from(pos);
+            }
+
+            // White-noise acceleration model
+            const q = params.processNoise;
+            const q00 = q * dt * dt * dt * dt / 4;
+            const q01 = q * dt * dt * dt / 2;
+            const q11 = q * dt * dt;
+            const r = params.measurementNoise;
+
+            for (let i = 0; i < n; i++) {
+                // Predict
+                const xp = pos[i] + vel[i] * dt;
+                const a00 = p00[i] + 2 * dt * p01[i] + dt * dt * p11[i] + q00;
+                const a01 = p01[i] + dt * p11[i] + q01;
+                const a11 = p11[i] + q11;
+
+                // Update
+                const s = a00 + r;
+                const k0 = a00 / s;
+                const k1 = a01 / s;
+                const innovation = values[i] - xp;
+
+                pos[i] = xp + k0 * innovation;
+                vel[i] = vel[i] + k1 * innovation;
+                p00[i] = (1 - k0) * a00;
+                p01[i] = (1 - k0) * a01;
+                p11[i] = a11 - k1 * a01;
+            }
+            prevTime = t;
+
+            return Float64Array.from(pos);
+        }
+
+        return {
+            filter,
+            reset() {
+                pos = vel = p00 = p01 = p11 = null;
+                prevTime = null;
+            },
+            setOptions(next) {
+                params = { ...params, ...next };
+            }
+        };
+    }
+
+    const FILTER_FACTORIES = {
+        oneEuro: createOneEuroFilter,
+        kalman: createKalmanFilter
+    };
+
+    /**
+     * Create a per-face landmark smoother.
+     * State is kept per key (face index or track ID) and dropped when time jumps
+     * backwards or forward by more than maxGap, so seeks never blend unrelated frames.
+     * @param {Object} options - {type: 'oneEuro'|'kalman', maxGap, ...filter options}
+     * @returns {Object} Smoother with smooth(key, landmarks, t), reset(key) and setOptions()
+     */
+    function createLandmarkSmoother(options = {}) {
+        let settings = { type: 'oneEuro', maxGap: DEFAULT_MAX_GAP, ...options };
+        const states = new Map(); // key -> { filter, lastTime, lastOutput }
+
+        function createState() {
+            const factory = FILTER_FACTORIES[settings.type] || createOneEuroFilter;
+            return { filter: factory(settings), lastTime: null, lastOutput: null };
+        }
+
+        /**
+         * Smooth one face's landmarks at video time t
+         * @param {*} key - Face key
+         * @param {Array} landmarks - Normalized landmarks [{x, y, z}, ...]
+         * @param {number} t - Video time in seconds
+         * @returns {Array} New array of smoothed landmarks
+         */
+        function smooth(key, landmarks, t) {
+            if (!landmarks || landmarks.length === 0) return landmarks;
+
+            let state = states.get(key);
+            if (!state) {
+                state = createState();
+                states.set(key, state);
+            }
+
+            if (state.lastTime !== null) {
+                if (t === state.lastTime && state.lastOutput) {
+                    return state.lastOutput;
+                }
+                if (t < state.lastTime || t - state.lastTime > settings.maxGap) {
+                    state.filter.reset();
+                }
+            }
+
+            const values = new Float64Array(landmarks.length * 3);
+            for (let i = 0; i < landmarks.length; i++) {
+                values[i * 3] = landmarks[i].x;
+                values[i * 3 + 1] = landmarks[i].y;
+                values[i * 3 + 2] = landmarks[i].z || 0;
+            }
+
+            const filtered = state.filter.filter(values, t);
+            const output = new Array(landmarks.length);
+            for (let i = 0; i < landmarks.length; i++) {
+                output[i] = { x: filtered[i * 3], y: filtered[i * 3 + 1], z: filtered[i * 3 + 2] };
+            }
+
+            state.lastTime = t;
+            state.lastOutput = output;
+            return output;
+        }
+
+        return {
+            smooth,
+            reset(key) {
+                if (key === undefined) {
+                    states.clear();
+                } else {
+                    states.delete(key);
+                }
+            },
+            setOptions(next) {
+                const typeChanged = next.type && next.type !== settings.type;
+                settings = { ...settings, ...next };
+                if (typeChanged) {
+                    states.clear();
+                } else {
+                    states.forEach(state => state.filter.setOptions(next));
+                }
+            },
+            getOptions() {
+                return { ...settings };
+            }
+        };
+    }
+
+    // Export module
+    window.LandmarkFilter = {
+        createOneEuroFilter,
+        createKalmanFilter,
+        createLandmarkSmoother
+    };
+
+})();
@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+// Create a mock window object if it doesn't exist
+if (typeof window === 'undefined') {
+    global.window = {};
+}
+
+// Import the module
+import './landmarkFilter.js';
+
+// Deterministic pseudo-random noise (LCG) so the tests are repeatable
+function createNoise(seed = 42) {
+    let state = seed;
+    return (amplitude) => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return ((state / 4294967296) * 2 - 1) * amplitude;
+    };
+}
+
+// Slowly moving face: 3 landmarks following a sine path, sampled at 30fps
+function createTrajectory(frames, noiseAmplitude) {
+    const noise = createNoise();
+    const truth = [];
+    const noisy = [];
+    for (let f = 0; f < frames; f++) {
+        const t = f / 30;
+        const base = 0.5 + 0.03 * Math.sin(t * 0.8);
+        const points = [0, 0.05, 0.1].map(offset => ({ x: base + offset, y: 0.4 + offset, z: 0 }));
+        truth.push(points);
+        noisy.push(points.map(p => ({ x: p.x + noise(noiseAmplitude), y: p.y + noise(noiseAmplitude), z: 0 })));
+    }
+    return { truth, noisy };
+}
+
+function rmsError(sequence, truth) {
+    let sum = 0, count = 0;
+    sequence.forEach((points, f) => {
+        points.forEach((p, i) => {
+            sum += (p.x - truth[f][i].x) ** 2 + (p.y - truth[f][i].y) ** 2;
+            count++;
+        });
+    });
+    return Math.sqrt(sum / count);
+}
+
+describe('LandmarkFilter', () => {
+    let LandmarkFilter;
+
+    beforeEach(() => {
+        LandmarkFilter = window.LandmarkFilter;
+    });
+
+    describe('createLandmarkSmoother', () => {
+        for (const type of ['oneEuro', 'kalman']) {
+            it(`should reduce jitter on a noisy trajectory (${type})`, () => {
+                const { truth, noisy } = createTrajectory(90, 0.004);
+                const smoother = LandmarkFilter.createLandmarkSmoother({ type });
+
+                const smoothed = noisy.map((points, f) => smoother.smooth(0, points, f / 30));
+
+                // Skip the warm-up frames before comparing
+                const rawError = rmsError(noisy.slice(15), truth.slice(15));
+                const filteredError = rmsError(smoothed.slice(15), truth.slice(15));
+                expect(filteredError).toBeLessThan(rawError * 0.8);
+            });
+        }
+
+        it('should return the previous output when the time does not advance', () => {
+            const smoother = LandmarkFilter.createLandmarkSmoother();
+            smoother.smooth(0, [{ x: 0.5, y: 0.5, z: 0 }], 0);
+            const first = smoother.smooth(0, [{ x: 0.6, y: 0.5, z: 0 }], 0.1);
+            const repeat = smoother.smooth(0, [{ x: 0.9, y: 0.9, z: 0 }], 0.1);
+            expect(repeat).toBe(first);
+        });
+
+        it('should reset state when seeking backwards or jumping ahead', () => {
+            const smoother = LandmarkFilter.createLandmarkSmoother({ maxGap: 0.5 });
+            for (let f = 0; f < 10; f++) {
+                smoother.smooth(0, [{ x: 0.2, y: 0.2, z: 0 }], f / 30);
+            }
+
+            // Seek backwards: output snaps to the new measurement
+            const afterSeekBack = smoother.smooth(0, [{ x: 0.8, y: 0.8, z: 0 }], 0.05);
+            expect(afterSeekBack[0].x).toBeCloseTo(0.8, 10);
+
+            // Jump forward beyond maxGap: also snaps
+            const afterJump = smoother.smooth(0, [{ x: 0.3, y: 0.3, z: 0 }], 5);
+            expect(afterJump[0].x).toBeCloseTo(0.3, 10);
+        });
+
+        it('should keep independent state per face key', () => {
+            const smoother = LandmarkFilter.createLandmarkSmoother();
+            smoother.smooth('a', [{ x: 0.1, y: 0.1, z: 0 }], 0);
+            const b = smoother.smooth('b', [{ x: 0.9, y: 0.9, z: 0 }], 0.033);
+            expect(b[0].x).toBeCloseTo(0.9, 10);
+        });
+
+        it('should not mutate the input landmarks', () => {
+            const smoother = LandmarkFilter.createLandmarkSmoother();
+            const input = [{ x: 0.5, y: 0.5, z: 0 }];
+            smoother.smooth(0, input, 0);
+            smoother.smooth(0, [{ x: 0.7, y: 0.5, z: 0 }], 0.033);
+            expect(input[0]).toEqual({ x: 0.5, y: 0.5, z: 0 });
+        });
+    });
+});
@@ -0,0 +1,394 @@
+/**
+ * Landmark Track Module
+ * Saves and loads the per-frame face landmarks of a video ("landmark track"),
+ * as JSON or as a compact little-endian binary file, so a clip only needs
+ * detection once. A track records the time ranges it covers; frames outside
+ * them are still detected after loading.
+ *
+ * Binary layout (.lmtrack):
+ *   magic "FFLT" | uint16 version | uint16 landmarksPerFace | uint32 frameCount
+ *   float64 duration | uint32 width | uint32 height | uint16 nameLength | name (UTF-8)
+ *   version 2+: uint32 rangeCount | rangeCount * (uint32 start, uint32 end) covered ranges (ms)
+ *   per frame: uint32 timeKey (ms) | uint8 faceCount | faceCount * landmarksPerFace * 3 float32 (x, y, z)
+ */
+
+(function () {
+    'use strict';
+
+    const TRACK_FORMAT = 'funnyfaceswap-landmark-track';
+    const TRACK_VERSION = 2;
+    const BINARY_MAGIC = 'FFLT';
+    const BINARY_HEADER_SIZE = 4 + 2 + 2 + 4 + 8 + 4 + 4 + 2;
+
+    // Default tolerance (ms) when looking up the frame nearest to a playback time
+    const DEFAULT_LOOKUP_TOLERANCE = 50;
+
+    // Frames further apart than this (ms) start a new covered range
+    const COVERAGE_MAX_GAP = 2 * DEFAULT_LOOKUP_TOLERANCE;
+
+    /**
+     * Error thrown for malformed or unsupported track files.
+     */
+    class LandmarkTrackError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'LandmarkTrackError';
+        }
+    }
+
+    /**
+     * Derive the covered time ranges from sorted frame times: runs of frames no
+     * more than COVERAGE_MAX_GAP apart.
+     * @param {Array<number>} times - Sorted frame times (ms).
+     * @returns {Array<Array<number>>} [[start, end], ...] in ms.
+     */
+    function computeCoverage(times) {
+        const ranges = [];
+        for (const time of times) {
+            const last = ranges[ranges.length - 1];
+            if (last && time - last[1] <= COVERAGE_MAX_GAP) {
+                last[1] = time;
+            } else {
+                ranges.push([time, time]);
+            }
+        }
+        return ranges;
+    }
+
+    /**
+     * Build a track from a landmark cache. Frames without faces (empty arrays) are
+     * detected frames too and belong in the cache.
+     * @param {Map} cache - timeKey (ms) -> array of faces (normalized landmarks).
+     * @param {Object} video - {name, duration, width, height}
+     * @param {Array<Array<number>>} [coverage] - Covered [start, end] ranges (ms); derived from the frames if omitted.
+     * @returns {Object} Track {video, landmarksPerFace, coverage, frames: [{time, faces}]} sorted by time.
+     */
+    function createTrack(cache, video = {}, coverage) {
+        const frames = Array.from(cache.entries())
+            .map(([time, faces]) => ({ time, faces: faces || [] }))
+            .sort((a, b) => a.time - b.time);
+
+        let landmarksPerFace = 0;
+        for (const frame of frames) {
+            for (const face of frame.faces) {
+                if (landmarksPerFace === 0) {
+                    landmarksPerFace = face.length;
+                } else if (face.length !== landmarksPerFace) {
+                    throw new LandmarkTrackError(`Frame ${frame.time}ms has a face with ${face.length} landmarks, expected ${landmarksPerFace}`);
+                }
+            }
+        }
+
+        return {
+            video: {
+                name: video.name || '',
+                duration: video.duration || 0,
+                width: video.width || 0,
+                height: video.height || 0
+            },
+            landmarksPerFace,
+            coverage: coverage ? coverage.map(range => [range[0], range[1]]) : computeCoverage(frames.map(frame => frame.time)),
+            frames
+        };
+    }
+
+    /**
+     * Total time covered by a track.
+     * @param {Object} track - Track.
+     * @returns {number} Covered duration in ms.
+     */
+    function getCoveredDuration(track) {
+        return track.coverage.reduce((sum, range) => sum + range[1] - range[0], 0);
+    }
+
+    /**
+     * Convert a track back to a landmark cache.
+     * Frames without faces are kept, so they count as known (no detection needed).
+     * @param {Object} track - Track from createTrack/fromJSON/fromBinary.
+     * @returns {Map} timeKey (ms) -> array of faces.
+     */
+    function toCache(track) {
+        return new Map(track.frames.map(frame => [frame.time, frame.faces]));
+    }
+
+    /**
+     * Serialize a track to JSON. Landmarks are flattened to [x, y, z, ...] per face.
+     * @param {Object} track - Track.
+     * @returns {string} JSON text.
+     */
+    function toJSON(track) {
+        return JSON.stringify({
+            format: TRACK_FORMAT,
+            version: TRACK_VERSION,
+            video: track.video,
+            landmarksPerFace: track.landmarksPerFace,
+            coverage: track.coverage,
+            frames: track.frames.map(frame => ({
+                time: frame.time,
+                faces: frame.faces.map(face => {
+                    const flat = new Array(face.length * 3);
+                    face.forEach((lm, i) => {
+                        flat[i * 3] = lm.x;
+                        flat[i * 3 + 1] = lm.y;
+                        flat[i * 3 + 2] = lm.z || 0;
+                    });
+                    return flat;
+                })
+            }))
+        });
+    }
+
+    /**
+     * Parse a JSON track.
+     * @param {string|Object} input - JSON text or parsed object.
+     * @returns {Object} Track.
+     * @throws {LandmarkTrackError} If the data is malformed.
+     */
+    function fromJSON(input) {
+        let data = input;
+        if (typeof input === 'string') {
+            try {
+                data = JSON.parse(input);
+            } catch (error) {
+                throw new LandmarkTrackError(`Landmark track is not valid JSON: ${error.message}`);
+            }
+        }
+
+        if (!data || data.format !== TRACK_FORMAT) {
+            throw new LandmarkTrackError(`Not a landmark track (format must be "${TRACK_FORMAT}")`);
+        }
+        if (!Number.isInteger(data.version) || data.version < 1 || data.version > TRACK_VERSION) {
+            throw new LandmarkTrackError(`Unsupported landmark track version: ${data.version}`);
+        }
+        if (!Number.isInteger(data.landmarksPerFace) || data.landmarksPerFace < 0 || !Array.isArray(data.frames)) {
+            throw new LandmarkTrackError('Landmark track needs landmarksPerFace and frames');
+        }
+
+        if (data.coverage !== undefined && !isValidCoverage(data.coverage)) {
+            throw new LandmarkTrackError('Landmark track coverage must be a list of [start, end] times');
+        }
+
+        const size = data.landmarksPerFace * 3;
+        const frames = data.frames.map((frame, f) => {
+            if (!frame || !Number.isFinite(frame.time) || !Array.isArray(frame.faces)) {
+                throw new LandmarkTrackError(`frames[${f}] must have a time and a faces array`);
+            }
+            return {
+                time: frame.time,
+                faces: frame.faces.map((flat, i) => {
+                    if (!Array.isArray(flat) || flat.length !== size || !flat.every(Number.isFinite)) {
+                        throw new LandmarkTrackError(`frames[${f}].faces[${i}] must be ${size} numbers`);
+                    }
+                    return unflatten(flat, data.landmarksPerFace);
+                })
+            };
+        });
+
+        return createTrack(new Map(frames.map(frame => [frame.time, frame.faces])), data.video || {}, data.coverage);
+    }
+
+    function isValidCoverage(coverage) {
+        return Array.isArray(coverage) && coverage.every(range =>
+            Array.isArray(range) && range.length === 2 &&
+            Number.isFinite(range[0]) && Number.isFinite(range[1]) && range[0] <= range[1]);
+    }
+
+    function unflatten(values, count, offset = 0) {
+        const face = new Array(count);
+        for (let i = 0; i < count; i++) {
+            const base = offset + i * 3;
+            face[i] = { x: values[base], y: values[base + 1], z: values[base + 2] };
+        }
+        return face;
+    }
+
+    /**
+     * Serialize a track to the compact binary form.
+     * @param {Object} track - Track.
+     * @returns {ArrayBuffer} Binary data.
+     */
+    function toBinary(track) {
+        const nameBytes = new TextEncoder().encode(track.video.name || '');
+        const floatsPerFace = track.landmarksPerFace * 3;
+        let size = BINARY_HEADER_SIZE + nameBytes.length + 4 + track.coverage.length * 8;
+        for (const frame of track.frames) {
+            if (frame.faces.length > 255) {
+                throw new LandmarkTrackError(`Frame ${frame.time}ms has more than 255 faces`);
+            }
+            size += 5 + frame.faces.length * floatsPerFace * 4;
+        }
+
+        const buffer = new ArrayBuffer(size);
+        const view = new DataView(buffer);
+        let offset = 0;
+
+        for (let i = 0; i < 4; i++) {
+            view.setUint8(offset++, BINARY_MAGIC.charCodeAt(i));
+        }
+        view.setUint16(offset, TRACK_VERSION, true); offset += 2;
+        view.setUint16(offset, track.landmarksPerFace, true); offset += 2;
+        view.setUint32(offset, track.frames.length, true); offset += 4;
+        view.setFloat64(offset, track.video.duration || 0, true); offset += 8;
+        view.setUint32(offset, track.video.width || 0, true); offset += 4;
+        view.setUint32(offset, track.video.height || 0, true); offset += 4;
+        view.setUint16(offset, nameBytes.length, true); offset += 2;
+        new Uint8Array(buffer, offset, nameBytes.length).set(nameBytes);
+        offset += nameBytes.length;
+        view.setUint32(offset, track.coverage.length, true); offset += 4;
+        for (const [start, end] of track.coverage) {
+            view.setUint32(offset, start, true);
+            view.setUint32(offset + 4, end, true);
+            offset += 8;
+        }
+
+        for (const frame of track.frames) {
+            view.setUint32(offset, frame.time, true); offset += 4;
+            view.setUint8(offset, frame.faces.length); offset += 1;
+            for (const face of frame.faces) {
+                for (const lm of face) {
+                    view.setFloat32(offset, lm.x, true);
+                    view.setFloat32(offset + 4, lm.y, true);
+                    view.setFloat32(offset + 8, lm.z || 0, true);
+                    offset += 12;
+                }
+            }
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Check whether binary data starts with the track magic.
+     * @param {ArrayBuffer} buffer - Binary data.
+     * @returns {boolean} True for binary landmark tracks.
+     */
+    function isBinaryTrack(buffer) {
+        if (!buffer || buffer.byteLength < 4) return false;
+        const bytes = new Uint8Array(buffer, 0, 4);
+        return String.fromCharCode(...bytes) === BINARY_MAGIC;
+    }
+
+    /**
+     * Parse the compact binary form.
+     * @param {ArrayBuffer} buffer - Binary data.
+     * @returns {Object} Track.
+     * @throws {LandmarkTrackError} If the data is truncated or not a track.
+     */
+    function fromBinary(buffer) {
+        if (!isBinaryTrack(buffer) || buffer.byteLength < BINARY_HEADER_SIZE) {
+            throw new LandmarkTrackError('Not a binary landmark track');
+        }
+
+        const view = new DataView(buffer);
+        let offset = 4;
+        const version = view.getUint16(offset, true); offset += 2;
+        if (version < 1 || version > TRACK_VERSION) {
+            throw new LandmarkTrackError(`Unsupported landmark track version: ${version}`);
+        }
+        const landmarksPerFace = view.getUint16(offset, true); offset += 2;
+        const frameCount = view.getUint32(offset, true); offset += 4;
+        const duration = view.getFloat64(offset, true); offset += 8;
+        const width = view.getUint32(offset, true); offset += 4;
+        const height = view.getUint32(offset, true); offset += 4;
+        const nameLength = view.getUint16(offset, true); offset += 2;
+
+        const need = (bytes) => {
+            if (offset + bytes > buffer.byteLength) {
+                throw new LandmarkTrackError('Binary landmark track is truncated');
+            }
+        };
+
+        need(nameLength);
+        const name = new TextDecoder().decode(new Uint8Array(buffer, offset, nameLength));
+        offset += nameLength;
+
+        // Version 1 files have no coverage; it is derived from their frames
+        let coverage;
+        if (version >= 2) {
+            need(4);
+            const rangeCount = view.getUint32(offset, true); offset += 4;
+            need(rangeCount * 8);
+            coverage = [];
+            for (let r = 0; r < rangeCount; r++) {
+                coverage.push([view.getUint32(offset, true), view.getUint32(offset + 4, true)]);
+                offset += 8;
+            }
+        }
+
+        const cache = new Map();
+        for (let f = 0; f < frameCount; f++) {
+            need(5);
+            const time = view.getUint32(offset, true); offset += 4;
+            const faceCount = view.getUint8(offset); offset += 1;
+
+            const faces = [];
+            for (let i = 0; i < faceCount; i++) {
+                need(landmarksPerFace * 12);
+                const face = new Array(landmarksPerFace);
+                for (let j = 0; j < landmarksPerFace; j++) {
+                    face[j] = {
+                        x: view.getFloat32(offset, true),
+                        y: view.getFloat32(offset + 4, true),
+                        z: view.getFloat32(offset + 8, true)
+                    };
+                    offset += 12;
+                }
+                faces.push(face);
+            }
+            cache.set(time, faces);
+        }
+
+        return createTrack(cache, { name, duration, width, height }, coverage);
+    }
+
+    /**
+     * Create a nearest-frame lookup, since playback times rarely hit the stored keys exactly.
+     * @param {Object} track - Track.
+     * @param {number} tolerance - Maximum distance in ms to the nearest stored frame.
+     * @returns {Function} lookup(timeKey) -> faces of the nearest frame (possibly empty), or
+     *          undefined if no frame is close enough, so the caller still runs detection there.
+     */
+    function createLookup(track, tolerance = DEFAULT_LOOKUP_TOLERANCE) {
+        const times = track.frames.map(frame => frame.time);
+
+        return function lookup(timeKey) {
+            if (times.length === 0) return undefined;
+
+            // Binary search for the first frame at or after timeKey
+            let lo = 0, hi = times.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (times[mid] < timeKey) lo = mid + 1; else hi = mid;
+            }
+
+            let best = -1;
+            let bestDistance = Infinity;
+            for (const i of [lo - 1, lo]) {
+                if (i < 0 || i >= times.length) continue;
+                const distance = Math.abs(times[i] - timeKey);
+                if (distance < bestDistance) {
+                    best = i;
+                    bestDistance = distance;
+                }
+            }
+            return bestDistance <= tolerance ? track.frames[best].faces : undefined;
+        };
+    }
+
+    // Export module
+    window.LandmarkTrack = {
+        FORMAT: TRACK_FORMAT,
+        VERSION: TRACK_VERSION,
+        createTrack,
+        toCache,
+        toJSON,
+        fromJSON,
+        toBinary,
+        fromBinary,
+        isBinaryTrack,
+        createLookup,
+        getCoveredDuration,
+        LandmarkTrackError
+    };
+
+})();
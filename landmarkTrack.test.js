@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+// Create a mock window object if it doesn't exist
+if (typeof window === 'undefined') {
+    global.window = {};
+}
+
+// Import the module
+import './landmarkTrack.js';
+
+// Face of n landmarks on a small grid, shifted by offset
+function makeFace(n, offset) {
+    return Array.from({ length: n }, (_, i) => ({ x: 0.25 + offset + i * 0.01, y: 0.5 - i * 0.005, z: -0.01 * (i + 1) }));
+}
+
+function makeCache() {
+    return new Map([
+        [33, [makeFace(4, 0.01)]],
+        [0, [makeFace(4, 0), makeFace(4, 0.4)]],
+        [66, []]
+    ]);
+}
+
+describe('LandmarkTrack', () => {
+    let LandmarkTrack;
+
+    beforeEach(() => {
+        LandmarkTrack = window.LandmarkTrack;
+    });
+
+    it('should sort frames and keep frames without faces', () => {
+        const track = LandmarkTrack.createTrack(makeCache(), { name: 'clip.mp4', duration: 0.1 });
+        expect(track.frames.map(frame => frame.time)).toEqual([0, 33, 66]);
+        expect(track.landmarksPerFace).toBe(4);
+        expect(LandmarkTrack.toCache(track).get(66)).toEqual([]);
+    });
+
+    it('should round-trip through JSON exactly', () => {
+        const track = LandmarkTrack.createTrack(makeCache(), { name: 'clip.mp4', duration: 0.1, width: 640, height: 360 });
+        const restored = LandmarkTrack.fromJSON(LandmarkTrack.toJSON(track));
+        expect(restored).toEqual(track);
+    });
+
+    it('should round-trip through binary within float32 precision', () => {
+        const track = LandmarkTrack.createTrack(makeCache(), { name: 'clïp.mp4', duration: 0.1, width: 640, height: 360 });
+        const buffer = LandmarkTrack.toBinary(track);
+        expect(LandmarkTrack.isBinaryTrack(buffer)).toBe(true);
+
+        const restored = LandmarkTrack.fromBinary(buffer);
+        expect(restored.video).toEqual(track.video);
+        expect(restored.frames.map(frame => frame.faces.length)).toEqual([2, 1, 0]);
+        restored.frames.forEach((frame, f) => {
+            frame.faces.forEach((face, i) => {
+                face.forEach((lm, j) => {
+                    const expected = track.frames[f].faces[i][j];
+                    expect(lm.x).toBeCloseTo(expected.x, 6);
+                    expect(lm.y).toBeCloseTo(expected.y, 6);
+                    expect(lm.z).toBeCloseTo(expected.z, 6);
+                });
+            });
+        });
+    });
+
+    it('should be much smaller in binary than in JSON', () => {
+        const cache = new Map();
+        for (let f = 0; f < 30; f++) cache.set(f * 33, [makeFace(478, f * 0.001)]);
+        const track = LandmarkTrack.createTrack(cache);
+        expect(LandmarkTrack.toBinary(track).byteLength).toBeLessThan(LandmarkTrack.toJSON(track).length / 2);
+    });
+
+    it('should reject truncated or foreign data', () => {
+        const track = LandmarkTrack.createTrack(makeCache());
+        const buffer = LandmarkTrack.toBinary(track);
+        expect(() => LandmarkTrack.fromBinary(buffer.slice(0, buffer.byteLength - 4))).toThrow(/truncated/);
+        expect(() => LandmarkTrack.fromBinary(new ArrayBuffer(8))).toThrow(LandmarkTrack.LandmarkTrackError);
+        expect(() => LandmarkTrack.fromJSON('{"format":"other"}')).toThrow(/Not a landmark track/);
+    });
+
+    it('should reject mixed landmark counts', () => {
+        const cache = new Map([[0, [makeFace(4, 0)]], [33, [makeFace(5, 0)]]]);
+        expect(() => LandmarkTrack.createTrack(cache)).toThrow(LandmarkTrack.LandmarkTrackError);
+    });
+
+    it('should look up the nearest frame within the tolerance', () => {
+        const track = LandmarkTrack.createTrack(makeCache());
+        const lookup = LandmarkTrack.createLookup(track, 20);
+        expect(lookup(40)).toBe(track.frames[1].faces);
+        expect(lookup(10)).toBe(track.frames[0].faces);
+        expect(lookup(66)).toEqual([]);
+        // Not covered by the track: the caller has to detect this frame
+        expect(lookup(500)).toBeUndefined();
+        expect(LandmarkTrack.createLookup(LandmarkTrack.createTrack(new Map()))(0)).toBeUndefined();
+    });
+
+    it('should record the covered time ranges', () => {
+        const cache = new Map();
+        for (let t = 0; t <= 990; t += 33) cache.set(t, []);
+        for (let t = 3000; t <= 3990; t += 33) cache.set(t, [makeFace(4, 0)]);
+        const track = LandmarkTrack.createTrack(cache);
+        expect(track.coverage).toEqual([[0, 990], [3000, 3990]]);
+        expect(LandmarkTrack.getCoveredDuration(track)).toBe(1980);
+
+        expect(LandmarkTrack.fromJSON(LandmarkTrack.toJSON(track)).coverage).toEqual(track.coverage);
+        expect(LandmarkTrack.fromBinary(LandmarkTrack.toBinary(track)).coverage).toEqual(track.coverage);
+    });
+
+    it('should keep explicit coverage and reject malformed ranges', () => {
+        const track = LandmarkTrack.createTrack(makeCache(), {}, [[0, 100]]);
+        expect(LandmarkTrack.fromBinary(LandmarkTrack.toBinary(track)).coverage).toEqual([[0, 100]]);
+
+        const json = JSON.parse(LandmarkTrack.toJSON(track));
+        json.coverage = [[100, 0]];
+        expect(() => LandmarkTrack.fromJSON(json)).toThrow(/coverage/);
+    });
+
+    it('should derive the coverage of version 1 files from their frames', () => {
+        const json = JSON.parse(LandmarkTrack.toJSON(LandmarkTrack.createTrack(makeCache())));
+        json.version = 1;
+        delete json.coverage;
+        expect(LandmarkTrack.fromJSON(json).coverage).toEqual([[0, 66]]);
+
+        // Binary version 1: same layout without the coverage block
+        const binary = new Uint8Array(LandmarkTrack.toBinary(LandmarkTrack.createTrack(makeCache(), { name: 'v1' })));
+        const nameEnd = 30 + 2;
+        const v1 = new Uint8Array(binary.length - 12);
+        v1.set(binary.subarray(0, nameEnd));
+        v1.set(binary.subarray(nameEnd + 12), nameEnd);
+        new DataView(v1.buffer).setUint16(4, 1, true);
+        const restored = LandmarkTrack.fromBinary(v1.buffer);
+        expect(restored.frames.map(frame => frame.faces.length)).toEqual([2, 1, 0]);
+        expect(restored.coverage).toEqual([[0, 66]]);
+    });
+});
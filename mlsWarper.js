@@ -0,0 +1,142 @@
+/**
+ * MLS (Moving Least Squares) Warper Module
+ * Implements rigid and similarity MLS deformation (Schaefer et al. 2006).
+ * Every point gets its own best-fit transform of the control points, weighted
+ * towards the nearest ones, so the warp stays locally shape-preserving.
+ * Evaluated on a grid like TPS and resampled with TPSWarper.resampleGrid
+ * (or WebGLWarper.resampleGrid on the GPU).
+ */
+
+(function () {
+    'use strict';
+
+    const MODES = ['rigid', 'similarity'];
+
+    /**
+     * Deform a single point with MLS.
+     * Uses the closed form in complex notation: the optimal rotation (+ scale) is
+     * the weighted sum of q̂ᵢ·conj(p̂ᵢ), normalised by μ (similarity) or by its own magnitude (rigid).
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     * @param {Array} p - Control points [{x, y}, ...] (where the point lives)
+     * @param {Array} q - Deformed control points [{x, y}, ...] (where p should go)
+     * @param {string} mode - 'rigid' or 'similarity'
+     * @param {number} alpha - Weight falloff exponent: wᵢ = 1 / |pᵢ - v|^(2α) (default 1)
+     * @returns {Object} Deformed point {x, y}
+     */
+    function deformPoint(x, y, p, q, mode = 'rigid', alpha = 1) {
+        const n = p.length;
+        const weights = new Float64Array(n);
+        let wSum = 0;
+        let pStarX = 0, pStarY = 0, qStarX = 0, qStarY = 0;
+
+        for (let i = 0; i < n; i++) {
+            const dx = p[i].x - x;
+            const dy = p[i].y - y;
+            const d2 = dx * dx + dy * dy;
+            // The warp interpolates: a control point maps exactly to its target
+            if (d2 < 1e-12) {
+                return { x: q[i].x, y: q[i].y };
+            }
+            const w = alpha === 1 ? 1 / d2 : 1 / Math.pow(d2, alpha);
+            weights[i] = w;
+            wSum += w;
+            pStarX += w * p[i].x;
+            pStarY += w * p[i].y;
+            qStarX += w * q[i].x;
+            qStarY += w * q[i].y;
+        }
+        pStarX /= wSum;
+        pStarY /= wSum;
+        qStarX /= wSum;
+        qStarY /= wSum;
+
+        let re = 0, im = 0, mu = 0;
+        for (let i = 0; i < n; i++) {
+            const w = weights[i];
+            const phx = p[i].x - pStarX;
+            const phy = p[i].y - pStarY;
+            const qhx = q[i].x - qStarX;
+            const qhy = q[i].y - qStarY;
+            re += w * (qhx * phx + qhy * phy);
+            im += w * (qhy * phx - qhx * phy);
+            mu += w * (phx * phx + phy * phy);
+        }
+
+        const norm = mode === 'similarity' ? mu : Math.sqrt(re * re + im * im);
+        if (norm < 1e-12) {
+            // Collinear or coincident control points: translate only
+            return { x: x - pStarX + qStarX, y: y - pStarY + qStarY };
+        }
+
+        const dx = x - pStarX;
+        const dy = y - pStarY;
+        return {
+            x: qStarX + (re * dx - im * dy) / norm,
+            y: qStarY + (re * dy + im * dx) / norm
+        };
+    }
+
+    /**
+     * Compute the inverse MLS (destination -> source) at the vertices of a grid over the face region.
+     * The destination landmarks are the control points, so each grid vertex is mapped straight
+     * to the source position it should sample.
+     * @param {Array} srcLandmarks - Source landmarks in pixel coords [{x, y}, ...]
+     * @param {Array} dstLandmarks - Destination landmarks in pixel coords [{x, y}, ...]
+     * @param {Object} boundingBox - Face bounding box {x, y, width, height} in destination coords
+     * @param {number} gridSize - Grid resolution (cells per side)
+     * @param {number} dstWidth - Destination canvas width
+     * @param {number} dstHeight - Destination canvas height
+     * @param {Object} options - {mode: 'rigid'|'similarity', alpha}
+     * @returns {Object|null} Grid layout from TPSWarper.createWarpGrid, or null on invalid input
+     */
+    function computeInverseGrid(srcLandmarks, dstLandmarks, boundingBox, gridSize, dstWidth, dstHeight, options = {}) {
+        if (!srcLandmarks || !dstLandmarks || srcLandmarks.length !== dstLandmarks.length || srcLandmarks.length === 0) {
+            return null;
+        }
+        const mode = MODES.includes(options.mode) ? options.mode : 'rigid';
+        const alpha = options.alpha || 1;
+
+        return window.TPSWarper.createWarpGrid(boundingBox, gridSize, dstWidth, dstHeight,
+            (x, y) => deformPoint(x, y, dstLandmarks, srcLandmarks, mode, alpha));
+    }
+
+    /**
+     * Warp face using MLS with grid-based optimization.
+     * Same inputs as TPSWarper.warpFaceTPS, plus the MLS options.
+     * @param {CanvasRenderingContext2D} ctx - Destination canvas context
+     * @param {HTMLImageElement|HTMLCanvasElement} srcImage - Source face image
+     * @param {Array} srcLandmarks - Source landmarks in pixel coords [{x, y}, ...]
+     * @param {Array} dstLandmarks - Destination landmarks in pixel coords [{x, y}, ...]
+     * @param {Object} boundingBox - Face bounding box {x, y, width, height} in destination coords
+     * @param {number} gridSize - Grid resolution (default 20)
+     * @param {Object} options - {mode: 'rigid'|'similarity', alpha}
+     */
+    function warpFaceMLS(ctx, srcImage, srcLandmarks, dstLandmarks, boundingBox, gridSize = 20, options = {}) {
+        if (!srcImage || !srcLandmarks || !dstLandmarks) {
+            console.warn("warpFaceMLS: Missing required parameters");
+            return;
+        }
+
+        if (srcLandmarks.length !== dstLandmarks.length) {
+            console.warn("warpFaceMLS: Landmark count mismatch");
+            return;
+        }
+
+        const layout = computeInverseGrid(srcLandmarks, dstLandmarks, boundingBox, gridSize, ctx.canvas.width, ctx.canvas.height, options);
+        if (!layout) {
+            console.warn("warpFaceMLS: Failed to compute MLS grid");
+            return;
+        }
+        window.TPSWarper.resampleGrid(ctx, srcImage, layout);
+    }
+
+    // Export module
+    window.MLSWarper = {
+        MODES,
+        deformPoint,
+        computeInverseGrid,
+        warpFaceMLS
+    };
+
+})();
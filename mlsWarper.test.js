@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+// Create a mock window object if it doesn't exist
+if (typeof window === 'undefined') {
+    global.window = {};
+}
+
+// Import the modules (the grid layout is shared with TPS)
+import './tpsWarper.js';
+import './mlsWarper.js';
+
+const controlPoints = [
+    { x: 10, y: 10 }, { x: 50, y: 12 }, { x: 48, y: 52 }, { x: 12, y: 50 }, { x: 30, y: 28 }, { x: 22, y: 40 }
+];
+
+// Rotate by angle and scale by s around (30, 30), then translate
+function similarity(points, angle, s, tx, ty) {
+    const c = Math.cos(angle) * s;
+    const sn = Math.sin(angle) * s;
+    return points.map(p => ({
+        x: 30 + c * (p.x - 30) - sn * (p.y - 30) + tx,
+        y: 30 + sn * (p.x - 30) + c * (p.y - 30) + ty
+    }));
+}
+
+describe('MLSWarper', () => {
+    let MLSWarper;
+
+    beforeEach(() => {
+        MLSWarper = window.MLSWarper;
+    });
+
+    it('should be the identity for unchanged control points', () => {
+        for (const mode of MLSWarper.MODES) {
+            const p = MLSWarper.deformPoint(33.3, 17.9, controlPoints, controlPoints, mode);
+            expect(p.x).toBeCloseTo(33.3, 6);
+            expect(p.y).toBeCloseTo(17.9, 6);
+        }
+    });
+
+    it('should map each control point exactly onto its target', () => {
+        const targets = controlPoints.map((p, i) => ({ x: p.x + (i % 2 ? 3 : -2), y: p.y + i }));
+        controlPoints.forEach((p, i) => {
+            const mapped = MLSWarper.deformPoint(p.x, p.y, controlPoints, targets, 'rigid');
+            expect(mapped).toEqual(targets[i]);
+        });
+    });
+
+    it('should reproduce a global similarity transform in similarity mode', () => {
+        const targets = similarity(controlPoints, 0.3, 1.5, 4, -2);
+        const [expected] = similarity([{ x: 25, y: 35 }], 0.3, 1.5, 4, -2);
+        const mapped = MLSWarper.deformPoint(25, 35, controlPoints, targets, 'similarity');
+        expect(mapped.x).toBeCloseTo(expected.x, 6);
+        expect(mapped.y).toBeCloseTo(expected.y, 6);
+    });
+
+    it('should rotate but not scale in rigid mode', () => {
+        // Pure rotation is reproduced exactly
+        const rotated = similarity(controlPoints, -0.4, 1, 0, 0);
+        const [expected] = similarity([{ x: 25, y: 35 }], -0.4, 1, 0, 0);
+        const mapped = MLSWarper.deformPoint(25, 35, controlPoints, rotated, 'rigid');
+        expect(mapped.x).toBeCloseTo(expected.x, 6);
+        expect(mapped.y).toBeCloseTo(expected.y, 6);
+
+        // Under a uniform scale, offsets from the weighted centroid keep their length
+        const scaled = similarity(controlPoints, 0, 2, 0, 0);
+        const a = MLSWarper.deformPoint(29, 30, controlPoints, scaled, 'rigid');
+        const b = MLSWarper.deformPoint(31, 30, controlPoints, scaled, 'rigid');
+        expect(Math.hypot(b.x - a.x, b.y - a.y)).toBeLessThan(3);
+    });
+
+    it('should build a destination -> source grid over the padded bounding box', () => {
+        const dst = controlPoints.map(p => ({ x: p.x + 5, y: p.y + 3 }));
+        const layout = MLSWarper.computeInverseGrid(controlPoints, dst, { x: 15, y: 13, width: 40, height: 40 }, 4, 80, 80, { mode: 'similarity' });
+        expect(layout.bbox).toEqual({ x: 5, y: 3, width: 60, height: 60 });
+        // Pure translation: every vertex samples 5px left, 3px up
+        for (let gy = 0; gy < layout.gridRows; gy++) {
+            for (let gx = 0; gx < layout.gridCols; gx++) {
+                const idx = (gy * layout.gridCols + gx) * 2;
+                expect(layout.grid[idx]).toBeCloseTo(layout.bbox.x + gx * layout.cellWidth - 5, 3);
+                expect(layout.grid[idx + 1]).toBeCloseTo(layout.bbox.y + gy * layout.cellHeight - 3, 3);
+            }
+        }
+        expect(MLSWarper.computeInverseGrid(controlPoints, dst.slice(1), layout.bbox, 4, 80, 80)).toBeNull();
+    });
+});
@@ -5,6 +5,7 @@
  * - Face bounding box computation
  * - Delaunay triangulation
  * - Caching for performance
+ * - A keyed library of processed source faces
  */
 
 // Cache for preprocessed photo data
@@ -18,6 +19,18 @@ let photoCache = {
     processed: false
 };
 
+// Library of processed source faces, keyed by ID.
+// Entries are photo caches extended with {id, name, image, src, thumbnail}.
+let photoLibrary = new Map();
+let selectedPhotoId = null;
+let nextPhotoId = 1;
+
+const THUMBNAIL_SIZE = 64;
+
+// Landmarks used to score how frontal a face is: nose tip and the two sides of the face
+const NOSE_TIP_INDEX = 1;
+const FACE_SIDE_INDICES = [234, 454];
+
 /**
  * Preprocess the uploaded face photo.
  * Detects landmarks once, extracts stable landmarks, computes bounding box,
@@ -61,6 +74,7 @@ function preprocessPhoto(allLandmarks, imageWidth, imageHeight) {
 
     // Cache the results
     photoCache = {
+        allLandmarks: allLandmarks,
         landmarks: stableLandmarks,
         pixelLandmarks: pixelLandmarks,
         triangles: triangles,
@@ -69,6 +83,7 @@ function preprocessPhoto(allLandmarks, imageWidth, imageHeight) {
         imageHeight: imageHeight,
         processed: true
     };
+    selectedPhotoId = null;
 
     return photoCache;
 }
@@ -110,6 +125,71 @@ function computeBoundingBox(landmarks, imageWidth, imageHeight) {
     };
 }
 
+/**
+ * Score how frontal a face is from the nose tip's position between the sides of the face.
+ * @param {Array} landmarks - Full normalized landmarks of one face.
+ * @param {number} imageWidth - Image width (landmarks are normalized per axis).
+ * @param {number} imageHeight - Image height.
+ * @returns {number} 1 for a frontal face, towards 0 for a profile.
+ */
+function computeFrontalScore(landmarks, imageWidth = 1, imageHeight = 1) {
+    const nose = landmarks[NOSE_TIP_INDEX];
+    const left = landmarks[FACE_SIDE_INDICES[0]];
+    const right = landmarks[FACE_SIDE_INDICES[1]];
+    if (!nose || !left || !right) {
+        return 0;
+    }
+
+    const distance = (a, b) => Math.hypot((a.x - b.x) * imageWidth, (a.y - b.y) * imageHeight);
+    const toLeft = distance(nose, left);
+    const toRight = distance(nose, right);
+    const larger = Math.max(toLeft, toRight);
+    return larger > 0 ? Math.min(toLeft, toRight) / larger : 0;
+}
+
+/**
+ * Pick one face out of a multi-face detection.
+ * @param {Array} faces - Array of normalized landmark arrays, as returned by detectImage.
+ * @param {number|string} criterion - Face index, 'largest' or 'frontal'.
+ * @param {number} imageWidth - Image width in pixels.
+ * @param {number} imageHeight - Image height in pixels.
+ * @returns {number} Index of the chosen face, or -1 if none matches.
+ */
+function chooseFace(faces, criterion = 'largest', imageWidth = 1, imageHeight = 1) {
+    if (!faces || faces.length === 0) {
+        return -1;
+    }
+
+    if (typeof criterion === 'number') {
+        return Number.isInteger(criterion) && criterion >= 0 && criterion < faces.length ? criterion : -1;
+    }
+
+    let scoreFace;
+    if (criterion === 'largest') {
+        scoreFace = landmarks => {
+            const pixels = landmarks.map(lm => ({ x: lm.x * imageWidth, y: lm.y * imageHeight }));
+            const box = computeBoundingBox(pixels, imageWidth, imageHeight);
+            return box.width * box.height;
+        };
+    } else if (criterion === 'frontal') {
+        scoreFace = landmarks => computeFrontalScore(landmarks, imageWidth, imageHeight);
+    } else {
+        console.warn("chooseFace: Unknown criterion", criterion);
+        return -1;
+    }
+
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+    faces.forEach((landmarks, index) => {
+        const score = scoreFace(landmarks);
+        if (score > bestScore) {
+            bestScore = score;
+            bestIndex = index;
+        }
+    });
+    return bestIndex;
+}
+
 /**
  * Perform Delaunay triangulation using Bowyer-Watson algorithm.
  * @param {Array} points - Array of [x, y] points.
@@ -315,6 +395,125 @@ function drawBoundingBox(ctx, bbox, scaleX, scaleY, color = "#00FFFF") {
     ctx.setLineDash([]);
 }
 
+/**
+ * Render a square thumbnail of the face region.
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Source image.
+ * @param {Object} bbox - Face bounding box in image pixels.
+ * @returns {string|null} JPEG data URL, or null when no canvas is available.
+ */
+function createFaceThumbnail(image, bbox) {
+    if (!image || !bbox || typeof document === 'undefined') {
+        return null;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = THUMBNAIL_SIZE;
+    canvas.height = THUMBNAIL_SIZE;
+    const thumbCtx = canvas.getContext('2d');
+    if (!thumbCtx) {
+        return null;
+    }
+
+    const side = Math.max(bbox.width, bbox.height);
+    thumbCtx.drawImage(
+        image,
+        bbox.x + bbox.width / 2 - side / 2, bbox.y + bbox.height / 2 - side / 2, side, side,
+        0, 0, THUMBNAIL_SIZE, THUMBNAIL_SIZE
+    );
+    return canvas.toDataURL('image/jpeg', 0.8);
+}
+
+/**
+ * Add a processed photo to the source library.
+ * @param {Object} cache - Processed photo data from preprocessPhoto.
+ * @param {Object} info - {name, image, src, thumbnail}. The thumbnail is rendered from image if omitted.
+ * @param {boolean} select - Make the new entry the selected photo.
+ * @returns {Object|null} The library entry, or null if the cache is not processed.
+ */
+function addLibraryPhoto(cache, info = {}, select = true) {
+    if (!cache || !cache.processed) {
+        console.warn("addLibraryPhoto: Photo not processed");
+        return null;
+    }
+
+    const id = nextPhotoId++;
+    const entry = {
+        ...cache,
+        id: id,
+        name: info.name || `Photo ${id}`,
+        image: info.image || null,
+        src: info.src || null,
+        thumbnail: info.thumbnail || createFaceThumbnail(info.image, cache.boundingBox)
+    };
+    photoLibrary.set(id, entry);
+
+    if (select) {
+        selectLibraryPhoto(id);
+    }
+    return entry;
+}
+
+/**
+ * Make a library photo the active source. No detection is re-run.
+ * @param {number} id - Library entry ID.
+ * @returns {Object|null} The selected entry, or null if the ID is unknown.
+ */
+function selectLibraryPhoto(id) {
+    const entry = photoLibrary.get(id);
+    if (!entry) {
+        return null;
+    }
+    photoCache = entry;
+    selectedPhotoId = id;
+    return entry;
+}
+
+/**
+ * Remove a photo from the library. If it was selected, the most recently added
+ * remaining photo is selected instead (or the cache is cleared).
+ * @param {number} id - Library entry ID.
+ * @returns {boolean} True if the entry existed.
+ */
+function removeLibraryPhoto(id) {
+    if (!photoLibrary.delete(id)) {
+        return false;
+    }
+    if (selectedPhotoId === id) {
+        const remaining = Array.from(photoLibrary.keys());
+        if (remaining.length > 0) {
+            selectLibraryPhoto(remaining[remaining.length - 1]);
+        } else {
+            clearPhotoCache();
+        }
+    }
+    return true;
+}
+
+/**
+ * Get a library photo by ID.
+ * @param {number} id - Library entry ID.
+ * @returns {Object|null} Entry or null.
+ */
+function getLibraryPhoto(id) {
+    return photoLibrary.get(id) || null;
+}
+
+/**
+ * List the library photos in the order they were added.
+ * @returns {Array} Library entries.
+ */
+function listLibraryPhotos() {
+    return Array.from(photoLibrary.values());
+}
+
+/**
+ * Get the ID of the selected library photo.
+ * @returns {number|null} Selected ID, or null if the active cache is not from the library.
+ */
+function getSelectedPhotoId() {
+    return selectedPhotoId;
+}
+
 /**
  * Get the cached photo data.
  * @returns {Object|null} Cached data or null if not processed.
@@ -336,6 +535,7 @@ function clearPhotoCache() {
         imageHeight: 0,
         processed: false
     };
+    selectedPhotoId = null;
 }
 
 /**
@@ -355,5 +555,13 @@ window.PhotoProcessor = {
     drawTriangleMesh: drawTriangleMesh,
     drawBoundingBox: drawBoundingBox,
     computeBoundingBox: computeBoundingBox,
-    delaunayTriangulate: delaunayTriangulate
+    delaunayTriangulate: delaunayTriangulate,
+    chooseFace: chooseFace,
+    computeFrontalScore: computeFrontalScore,
+    addPhoto: addLibraryPhoto,
+    selectPhoto: selectLibraryPhoto,
+    removePhoto: removeLibraryPhoto,
+    getPhoto: getLibraryPhoto,
+    listPhotos: listLibraryPhotos,
+    getSelectedPhotoId: getSelectedPhotoId
 };
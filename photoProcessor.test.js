@@ -97,4 +97,103 @@ describe('PhotoProcessor', () => {
             expect(triangles[0].sort()).toEqual([0, 1, 2]);
         });
     });
+
+    describe('chooseFace', () => {
+        // Sparse face: nose tip (1) and face sides (234, 454) around a box of the given size
+        function makeFace(cx, size, noseOffset = 0) {
+            const face = [];
+            face[0] = { x: cx - size, y: 0.5 - size, z: 0 };
+            face[1] = { x: cx + noseOffset, y: 0.5, z: 0 };
+            face[234] = { x: cx - size, y: 0.5, z: 0 };
+            face[454] = { x: cx + size, y: 0.5 + size, z: 0 };
+            return Array.from(face, lm => lm || { x: cx, y: 0.5, z: 0 });
+        }
+
+        const faces = [
+            makeFace(0.2, 0.05),
+            makeFace(0.5, 0.15, 0.1),   // Largest, turned
+            makeFace(0.8, 0.1)          // Most frontal
+        ];
+
+        it('should select by index', () => {
+            expect(PhotoProcessor.chooseFace(faces, 2, 640, 480)).toBe(2);
+            expect(PhotoProcessor.chooseFace(faces, 5, 640, 480)).toBe(-1);
+        });
+
+        it('should select the largest face', () => {
+            expect(PhotoProcessor.chooseFace(faces, 'largest', 640, 480)).toBe(1);
+        });
+
+        it('should select the most frontal face', () => {
+            expect(PhotoProcessor.computeFrontalScore(faces[1], 640, 480))
+                .toBeLessThan(PhotoProcessor.computeFrontalScore(faces[2], 640, 480));
+            expect(PhotoProcessor.chooseFace(faces, 'frontal', 640, 480)).toBe(2);
+        });
+
+        it('should return -1 without faces', () => {
+            expect(PhotoProcessor.chooseFace([], 'largest', 640, 480)).toBe(-1);
+        });
+    });
+
+    describe('photo library', () => {
+        function makeCache(offset) {
+            const pixelLandmarks = [
+                { x: offset, y: 0 },
+                { x: offset + 10, y: 0 },
+                { x: offset, y: 10 }
+            ];
+            return {
+                landmarks: pixelLandmarks.map(p => ({ x: p.x / 100, y: p.y / 100, z: 0 })),
+                pixelLandmarks,
+                triangles: [[0, 1, 2]],
+                boundingBox: { x: offset, y: 0, width: 10, height: 10 },
+                imageWidth: 100,
+                imageHeight: 100,
+                processed: true
+            };
+        }
+
+        beforeEach(() => {
+            PhotoProcessor.listPhotos().forEach(entry => PhotoProcessor.removePhoto(entry.id));
+        });
+
+        it('should add and select photos without reprocessing', () => {
+            const first = PhotoProcessor.addPhoto(makeCache(0), { name: 'first', thumbnail: 'data:first' });
+            const second = PhotoProcessor.addPhoto(makeCache(50), { name: 'second' });
+
+            expect(PhotoProcessor.listPhotos().map(entry => entry.name)).toEqual(['first', 'second']);
+            expect(PhotoProcessor.getSelectedPhotoId()).toBe(second.id);
+            expect(PhotoProcessor.getCache().pixelLandmarks[0].x).toBe(50);
+
+            expect(PhotoProcessor.selectPhoto(first.id)).toBe(first);
+            expect(PhotoProcessor.getCache()).toBe(first);
+            expect(PhotoProcessor.getPhoto(first.id).thumbnail).toBe('data:first');
+        });
+
+        it('should keep the selection unchanged when adding without selecting', () => {
+            const first = PhotoProcessor.addPhoto(makeCache(0));
+            PhotoProcessor.addPhoto(makeCache(50), {}, false);
+            expect(PhotoProcessor.getSelectedPhotoId()).toBe(first.id);
+        });
+
+        it('should fall back to the latest photo when the selected one is removed', () => {
+            const first = PhotoProcessor.addPhoto(makeCache(0));
+            const second = PhotoProcessor.addPhoto(makeCache(50));
+
+            expect(PhotoProcessor.removePhoto(second.id)).toBe(true);
+            expect(PhotoProcessor.getSelectedPhotoId()).toBe(first.id);
+
+            PhotoProcessor.removePhoto(first.id);
+            expect(PhotoProcessor.getCache()).toBeNull();
+            expect(PhotoProcessor.isProcessed()).toBe(false);
+            expect(PhotoProcessor.removePhoto(first.id)).toBe(false);
+        });
+
+        it('should reject unprocessed caches', () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+            expect(PhotoProcessor.addPhoto({ processed: false })).toBeNull();
+            expect(PhotoProcessor.selectPhoto(999)).toBeNull();
+            warn.mockRestore();
+        });
+    });
 });
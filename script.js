@@ -1,5 +1,10 @@
 const videoInput = document.getElementById('videoInput');
 const imageInput = document.getElementById('imageInput');
+const facePackInput = document.getElementById('facePackInput');
+const trackInput = document.getElementById('trackInput');
+const saveTrackJsonBtn = document.getElementById('saveTrackJsonBtn');
+const saveTrackBinaryBtn = document.getElementById('saveTrackBinaryBtn');
+const trackStatusEl = document.getElementById('trackStatus');
 const targetImageInput = document.getElementById('targetImageInput');
 const mainCanvas = document.getElementById('mainCanvas');
 const ctx = mainCanvas.getContext('2d');
@@ -19,7 +24,29 @@ const edgeFeatherSlider = document.getElementById('edgeFeather');
 const edgeFeatherVal = document.getElementById('edgeFeatherVal');
 const falloffSlider = document.getElementById('falloffSlider');
 const falloffVal = document.getElementById('falloffVal');
+const maskOffsetSlider = document.getElementById('maskOffset');
+const maskOffsetVal = document.getElementById('maskOffsetVal');
+const saveBlendMaskBtn = document.getElementById('saveBlendMaskBtn');
 const autoMatchCheckbox = document.getElementById('autoMatchColor');
+const colorMatchModeSelect = document.getElementById('colorMatchMode');
+const colorStabilizeCheckbox = document.getElementById('colorStabilize');
+const blendModeSelect = document.getElementById('blendMode');
+const featherControls = document.getElementById('featherControls');
+const poissonHint = document.getElementById('poissonHint');
+const multiBandControls = document.getElementById('multiBandControls');
+const multiBandHint = document.getElementById('multiBandHint');
+const blendLevelsSlider = document.getElementById('blendLevels');
+const blendLevelsVal = document.getElementById('blendLevelsVal');
+const keepTargetEyesCheckbox = document.getElementById('keepTargetEyes');
+const keepTargetMouthCheckbox = document.getElementById('keepTargetMouth');
+const featureFeatherSlider = document.getElementById('featureFeather');
+const featureFeatherVal = document.getElementById('featureFeatherVal');
+const expressionTransferCheckbox = document.getElementById('expressionTransfer');
+const expressionStrengthSlider = document.getElementById('expressionStrength');
+const expressionStrengthVal = document.getElementById('expressionStrengthVal');
+const poseFadeCheckbox = document.getElementById('poseFade');
+const poseMaxYawSlider = document.getElementById('poseMaxYaw');
+const poseMaxYawVal = document.getElementById('poseMaxYawVal');
 const exportBtn = document.getElementById('exportBtn');
 const exportModal = document.getElementById('exportModal');
 const exportProgress = document.getElementById('exportProgress');
@@ -27,12 +54,54 @@ const exportStatus = document.getElementById('exportStatus');
 const cancelExportBtn = document.getElementById('cancelExportBtn');
 const warpModeAffine = document.getElementById('warpModeAffine');
 const warpModeTPS = document.getElementById('warpModeTPS');
+const warpModeDense = document.getElementById('warpModeDense');
+const warpModeMLS = document.getElementById('warpModeMLS');
+const mlsModeSelect = document.getElementById('mlsMode');
+const mlsControls = document.getElementById('mlsControls');
+const gridWarpControls = document.getElementById('gridWarpControls');
+const tpsSmoothingSlider = document.getElementById('tpsSmoothing');
+const tpsSmoothingVal = document.getElementById('tpsSmoothingVal');
+const warpGridSizeSlider = document.getElementById('warpGridSize');
+const warpGridSizeVal = document.getElementById('warpGridSizeVal');
+const warpGridPaddingSlider = document.getElementById('warpGridPadding');
+const warpGridPaddingVal = document.getElementById('warpGridPaddingVal');
+const gpuWarpCheckbox = document.getElementById('gpuWarp');
+const seamFreeWarpCheckbox = document.getElementById('seamFreeWarp');
+const foreheadHeightSlider = document.getElementById('foreheadHeight');
+const foreheadHeightVal = document.getElementById('foreheadHeightVal');
 const enableCacheCheckbox = document.getElementById('enableCache');
+const detectorInfoEl = document.getElementById('detectorInfo');
+const smoothingFilterSelect = document.getElementById('smoothingFilter');
+const smoothingCutoffSlider = document.getElementById('smoothingCutoff');
+const smoothingCutoffVal = document.getElementById('smoothingCutoffVal');
+const smoothingBetaSlider = document.getElementById('smoothingBeta');
+const smoothingBetaVal = document.getElementById('smoothingBetaVal');
+const kalmanNoiseSlider = document.getElementById('kalmanNoise');
+const kalmanNoiseVal = document.getElementById('kalmanNoiseVal');
+const facePickerEl = document.getElementById('facePicker');
+const maxVideoFacesSlider = document.getElementById('maxVideoFaces');
+const maxVideoFacesVal = document.getElementById('maxVideoFacesVal');
+const photoListEl = document.getElementById('photoList');
+const faceSelectModal = document.getElementById('faceSelectModal');
+const faceSelectCanvas = document.getElementById('faceSelectCanvas');
+const selectLargestFaceBtn = document.getElementById('selectLargestFaceBtn');
+const selectFrontalFaceBtn = document.getElementById('selectFrontalFaceBtn');
+const cancelFaceSelectBtn = document.getElementById('cancelFaceSelectBtn');
 
 // Offscreen canvas for warping before blending
 let warpCanvas = null;
 let warpCtx = null;
 
+// Seam-free affine warping: source pixels per image, scratch canvas for compositing
+const sourceImageDataCache = new WeakMap();
+let seamFreeCanvas = null;
+
+// Dense warp mode: all face mesh landmarks of each source, in source pixel coordinates
+const denseSourceLandmarksCache = new WeakMap();
+
+// Forehead extension: source -> Map of forehead height -> {pixelLandmarks, triangles}
+const extendedSourceMeshCache = new WeakMap();
+
 // Hidden target image element
 const targetImage = document.createElement('img');
 targetImage.style.display = 'none';
@@ -41,11 +110,14 @@ document.body.appendChild(targetImage);
 // State
 let renderLoopId;
 let lastVideoTime = -1;
-let videoLandmarks = null;
+let videoTracks = []; // Tracked faces of the current frame [{id, landmarks, bbox, missed}]
 let imageLandmarks = null;
 let targetLandmarks = null;
 let targetCache = null;
 let videoLandmarkCache = new Map(); // Cache for video landmarks per timestamp
+let landmarkTrackLookup = null;     // Nearest-frame lookup of a loaded landmark track (bypasses detection where it covers)
+let landmarkTrackCoverage = 0;      // Time (ms) covered by the loaded landmark track
+let currentVideoFilename = '';
 let isExporting = false;
 let exportCancelled = false;
 let isSwapEnabled = false; // Track if face swap is active
@@ -57,6 +129,29 @@ let currentCacheWarpMode = 'affine';  // Track which warp mode cache was built w
 let isCaching = false;                // Is caching in progress?
 let cachingCancelled = false;         // Was caching cancelled?
 
+// Temporal landmark smoothing (per track, keyed by video time)
+const landmarkSmoother = window.LandmarkFilter
+    ? window.LandmarkFilter.createLandmarkSmoother(getSmoothingOptions())
+    : null;
+
+// Persistent face identities across frames
+const faceTracker = window.FaceTracker ? window.FaceTracker.createFaceTracker() : null;
+
+// Temporal color smoothing (per track), restarted at scene cuts
+const colorStabilizer = window.ColorStabilizer ? window.ColorStabilizer.createColorStabilizer() : null;
+const sceneCutDetector = window.ColorStabilizer ? window.ColorStabilizer.createSceneCutDetector() : null;
+let sceneCutCanvas = null; // Downscaled copy of the frame for scene cut detection
+
+// Maximum faces detected in a source photo (group photos)
+const SOURCE_PHOTO_MAX_FACES = 8;
+const groupPhotoSources = new Set(); // Photo URLs with several faces; reloading one lets the user pick another face
+
+// Per-face source assignment (sources are PhotoProcessor library entries)
+const LEAVE_UNCHANGED = 'none';       // Assignment value for faces that should not be swapped
+let faceAssignments = new Map();      // trackId -> photo ID or LEAVE_UNCHANGED
+let faceThumbnails = new Map();       // trackId -> thumbnail data URL
+let expressionReferences = new Map(); // trackId -> normalized landmarks of the face's neutral frame
+
 // Loading overlay elements
 const loadingOverlay = document.getElementById('loadingOverlay');
 const loadingStatus = document.getElementById('loadingStatus');
@@ -85,10 +180,27 @@ function registerAsset(inputId, filename) {
     list.appendChild(entry);
 
     if (isVideo) {
+        currentVideoFilename = filename;
         document.getElementById('currentVideoName').textContent = `Viewport - ${filename}`;
     }
 }
 
+/**
+ * Read Face Landmarker options from the page URL and the Max Faces slider.
+ * ?assets=bundled|local|cdn|<url> picks the asset base (comma-separated for several),
+ * ?cdn=1 opts in to the CDN as a last-resort fallback (off by default for
+ * firewalled and air-gapped machines).
+ */
+function getLandmarkerOptions() {
+    const params = new URLSearchParams(window.location.search);
+    const assets = params.get('assets');
+    return {
+        assetBase: assets ? assets.split(',').map(base => base.trim()).filter(Boolean) : undefined,
+        allowCdnFallback: params.get('cdn') === '1',
+        maxVideoFaces: maxVideoFacesSlider ? parseInt(maxVideoFacesSlider.value) : undefined
+    };
+}
+
 // Initialize Face Landmarker and Tab logic
 async function initApp() {
     console.log("Initializing application...");
@@ -146,61 +258,1271 @@ async function initApp() {
     });
 
     if (window.FaceLandmarkerModule) {
-        const success = await window.FaceLandmarkerModule.init();
-        if (success) {
-            console.log("Face Landmarker ready!");
-            hideLoadingOverlay();
+        try {
+            await window.FaceLandmarkerModule.init(getLandmarkerOptions());
+            const source = window.FaceLandmarkerModule.getAssetSource();
+            console.log(`Face Landmarker ready! (assets: ${source.name})`);
+        } catch (error) {
+            console.warn("Face Landmarker initialization failed. Landmark detection will be disabled.", error);
+            swapStatusEl.textContent = error instanceof window.FaceLandmarkerModule.InitError
+                ? 'Face model unavailable — see console for details'
+                : 'Face detection failed to start';
+        }
+        updateDetectorInfo();
+        hideLoadingOverlay();
+    } else {
+        console.warn("FaceLandmarkerModule not found.");
+    }
+}
+
+/**
+ * Read the temporal smoothing settings from the UI
+ */
+function getSmoothingOptions() {
+    const type = smoothingFilterSelect ? smoothingFilterSelect.value : 'off';
+    return {
+        type: type === 'off' ? 'oneEuro' : type,
+        minCutoff: parseFloat(smoothingCutoffSlider.value),
+        beta: parseFloat(smoothingBetaSlider.value),
+        processNoise: Math.pow(10, parseFloat(kalmanNoiseSlider.value))
+    };
+}
+
+function isSmoothingEnabled() {
+    return landmarkSmoother && smoothingFilterSelect && smoothingFilterSelect.value !== 'off';
+}
+
+/**
+ * Assign persistent track IDs to the faces detected at a given video time and
+ * apply temporal smoothing per track. The cached detections are left untouched.
+ * IDs are kept across passes over the video (playback, caching, export), so the
+ * per-face assignments, thumbnails and neutral frames stay with the same people.
+ * @param {Array|null} faces - Array of face landmark arrays.
+ * @param {number} time - Video time in seconds.
+ * @returns {Array} Tracks [{id, landmarks, bbox, missed, pose}] sorted by ID.
+ */
+function trackVideoFaces(faces, time) {
+    const tracks = faceTracker
+        ? faceTracker.update(faces, mainCanvas.width, mainCanvas.height, time)
+        : (faces || []).map((landmarks, index) => ({ id: index + 1, landmarks, bbox: null, missed: 0 }));
+
+    const renamed = tracks.filter(track => track.renamedFrom !== undefined);
+    for (const track of renamed) {
+        adoptEarlierFaceId(track.id, track.renamedFrom);
+    }
+    if (renamed.length > 0) {
+        renderFacePicker();
+    }
+
+    // Pose from the detected landmarks, before smoothing replaces them (MediaPipe's matrix is keyed by them)
+    for (const track of tracks) {
+        track.pose = window.FaceLandmarkerModule
+            ? window.FaceLandmarkerModule.getFacePose(track.landmarks, mainCanvas.width, mainCanvas.height)
+            : null;
+    }
+
+    if (isSmoothingEnabled()) {
+        for (const track of tracks) {
+            track.landmarks = landmarkSmoother.smooth(track.id, track.landmarks, time);
+        }
+    }
+
+    if (isSceneCut()) {
+        console.log(`Scene cut at ${time.toFixed(2)}s - restarting color smoothing`);
+        colorStabilizer.reset();
+    }
+    return tracks;
+}
+
+/**
+ * Check whether the frame on the main canvas starts a new shot, compared with the last checked frame.
+ * @returns {boolean} True at a scene cut (only checked while color stabilization is on).
+ */
+function isSceneCut() {
+    if (!sceneCutDetector || !colorStabilizer || !colorStabilizeCheckbox || !colorStabilizeCheckbox.checked) {
+        return false;
+    }
+    if (!sceneCutCanvas) {
+        sceneCutCanvas = document.createElement('canvas');
+        sceneCutCanvas.width = 64;
+        sceneCutCanvas.height = 36;
+    }
+    const sceneCtx = sceneCutCanvas.getContext('2d', { willReadFrequently: true });
+    sceneCtx.drawImage(mainCanvas, 0, 0, sceneCutCanvas.width, sceneCutCanvas.height);
+    return sceneCutDetector.update(sceneCtx.getImageData(0, 0, sceneCutCanvas.width, sceneCutCanvas.height));
+}
+
+/**
+ * Reset temporal smoothing state (seek or re-render from the start)
+ */
+function resetLandmarkSmoothing() {
+    if (landmarkSmoother) {
+        landmarkSmoother.reset();
+    }
+}
+
+/**
+ * Reset face tracks and smoothing (new video, or a pass over the whole video).
+ * The tracker keeps the IDs it has seen; resetFacePicker forgets them for a new video.
+ */
+function resetFaceTracking() {
+    if (faceTracker) {
+        faceTracker.reset();
+    }
+    videoTracks = [];
+    resetLandmarkSmoothing();
+    if (colorStabilizer) {
+        colorStabilizer.reset();
+        sceneCutDetector.reset();
+    }
+}
+
+/**
+ * Add a processed source photo to the library and select it.
+ * The image is copied, since faceImage is reused for the next upload.
+ * @param {string} name - Display name.
+ * @param {string} src - Image URL, used to show the photo again when it is reselected.
+ * @param {Object} cache - Photo cache from PhotoProcessor.preprocess.
+ * @returns {Object|null} The library entry.
+ */
+function addSourcePhoto(name, src, cache) {
+    const image = document.createElement('canvas');
+    image.width = faceImage.naturalWidth;
+    image.height = faceImage.naturalHeight;
+    image.getContext('2d').drawImage(faceImage, 0, 0);
+
+    const entry = window.PhotoProcessor.addPhoto(cache, { name, image, src });
+    renderPhotoLibrary();
+    renderFacePicker();
+    return entry;
+}
+
+/**
+ * Switch the active source photo to a library entry. No detection is re-run.
+ * @param {number} id - Library photo ID.
+ */
+function selectSourcePhoto(id) {
+    const entry = window.PhotoProcessor.selectPhoto(id);
+    if (!entry) return;
+
+    showSourcePhoto(entry);
+    handleSourceChange('source photo selected');
+}
+
+/**
+ * Remove a photo from the library, along with any face assignments to it.
+ * @param {number} id - Library photo ID.
+ */
+function removeSourcePhoto(id) {
+    const wasSelected = window.PhotoProcessor.getSelectedPhotoId() === id;
+    if (!window.PhotoProcessor.removePhoto(id)) return;
+
+    for (const [trackId, photoId] of faceAssignments) {
+        if (photoId === id) faceAssignments.delete(trackId);
+    }
+    if (wasSelected) {
+        const selectedId = window.PhotoProcessor.getSelectedPhotoId();
+        showSourcePhoto(selectedId !== null ? window.PhotoProcessor.getPhoto(selectedId) : null);
+    }
+    handleSourceChange('source photo removed');
+}
+
+/**
+ * Show a library photo as the current face image (preview, static warp and debug overlay).
+ * @param {Object|null} entry - Library entry, or null to clear the face image.
+ */
+function showSourcePhoto(entry) {
+    faceImage.onload = null; // Don't re-run detection
+    if (entry && entry.src) {
+        faceImage.src = entry.src;
+        imageLandmarks = entry.allLandmarks ? [entry.allLandmarks] : null;
+    } else {
+        faceImage.removeAttribute('src');
+        imageLandmarks = null;
+    }
+}
+
+/**
+ * Refresh the UI and frame cache after the source photo selection changed.
+ * @param {string} reason - Reason for cache invalidation (logged).
+ */
+function handleSourceChange(reason) {
+    renderPhotoLibrary();
+    renderFacePicker();
+    updateWarpButtonState();
+    updateSwapButtonState();
+
+    if (sourceVideo.src) {
+        rebuildFrameCache(reason);
+    } else {
+        invalidateFrameCache(reason);
+        redrawCanvas();
+    }
+}
+
+/**
+ * Rebuild the library entries in the Photos tab (the sample section is kept).
+ */
+function renderPhotoLibrary() {
+    if (!photoListEl || !window.PhotoProcessor) return;
+
+    photoListEl.querySelectorAll('.asset-item').forEach(item => item.remove());
+    const selectedId = window.PhotoProcessor.getSelectedPhotoId();
+
+    for (const entry of window.PhotoProcessor.listPhotos()) {
+        const item = document.createElement('div');
+        item.className = 'asset-item' + (entry.id === selectedId ? ' active' : '');
+        item.title = entry.name;
+
+        let icon;
+        if (entry.thumbnail) {
+            icon = document.createElement('img');
+            icon.className = 'asset-thumb';
+            icon.src = entry.thumbnail;
+            icon.alt = '';
         } else {
-            console.warn("Face Landmarker initialization failed. Landmark detection will be disabled.");
-            hideLoadingOverlay();
+            icon = document.createElement('span');
+            icon.className = 'asset-icon';
+            icon.textContent = '👤';
+        }
+
+        const name = document.createElement('span');
+        name.className = 'asset-name';
+        name.textContent = entry.name;
+
+        const packBtn = document.createElement('button');
+        packBtn.className = 'asset-action';
+        packBtn.title = 'Save as face pack';
+        packBtn.textContent = '💾';
+        packBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            exportFacePack(entry.id);
+        });
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'asset-action asset-remove';
+        removeBtn.title = 'Remove from library';
+        removeBtn.textContent = '✕';
+        removeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            removeSourcePhoto(entry.id);
+        });
+
+        item.append(icon, name, packBtn, removeBtn);
+        item.addEventListener('click', () => {
+            if (entry.id !== window.PhotoProcessor.getSelectedPhotoId()) {
+                selectSourcePhoto(entry.id);
+            }
+        });
+        photoListEl.appendChild(item);
+    }
+}
+
+/**
+ * Download a library photo as a face pack (image + processed landmarks).
+ * @param {number} id - Library photo ID.
+ */
+function exportFacePack(id) {
+    const entry = window.PhotoProcessor.getPhoto(id);
+    if (!entry || !entry.image) return;
+
+    const pack = window.FacePack.create(entry, entry.image.toDataURL('image/png'), entry.name);
+    const blob = new Blob([JSON.stringify(pack)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `${entry.name.replace(/\.[^.]+$/, '')}.facepack.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+}
+
+/**
+ * Add a face pack to the photo library without running detection.
+ * @param {string|Object} input - Face pack JSON text or parsed object.
+ * @returns {Promise<Object>} The new library entry.
+ * @throws {FacePackError} If the pack fails validation.
+ */
+async function importFacePack(input) {
+    const pack = window.FacePack.parse(input);
+
+    faceImage.onload = null;
+    faceImage.src = pack.image;
+    await faceImage.decode();
+
+    imageLandmarks = pack.cache.allLandmarks ? [pack.cache.allLandmarks] : null;
+    const entry = addSourcePhoto(pack.name, pack.image, pack.cache);
+    handleSourceChange('face pack imported');
+    return entry;
+}
+
+/**
+ * Resolve the source photo to swap onto a tracked face.
+ * @param {number} trackId - Face track ID.
+ * @returns {Object|null} Library entry, or null to leave the face unchanged.
+ */
+function getTrackSource(trackId) {
+    const photoId = faceAssignments.get(trackId);
+    if (photoId === LEAVE_UNCHANGED) {
+        return null;
+    }
+    const PhotoProcessor = window.PhotoProcessor;
+    return (photoId !== undefined && PhotoProcessor.getPhoto(photoId)) ||
+        PhotoProcessor.getPhoto(PhotoProcessor.getSelectedPhotoId());
+}
+
+/**
+ * Store a thumbnail for each newly seen face, cropped from the video frame on the main canvas.
+ * Must run before the swap is drawn.
+ * @param {Array} tracks - Current face tracks.
+ */
+function captureFaceThumbnails(tracks) {
+    let added = false;
+    for (const track of tracks) {
+        if (faceThumbnails.has(track.id) || track.missed > 0 || !track.bbox) continue;
+
+        const { x, y, width, height } = track.bbox;
+        const size = 64;
+        const thumb = document.createElement('canvas');
+        thumb.width = size;
+        thumb.height = size;
+        const side = Math.max(width, height);
+        thumb.getContext('2d').drawImage(
+            mainCanvas,
+            x + width / 2 - side / 2, y + height / 2 - side / 2, side, side,
+            0, 0, size, size
+        );
+        faceThumbnails.set(track.id, thumb.toDataURL('image/jpeg', 0.8));
+        added = true;
+    }
+    if (added) {
+        renderFacePicker();
+    }
+}
+
+/**
+ * Remember the first frame of each newly seen face as its neutral expression reference.
+ * @param {Array} tracks - Current face tracks.
+ */
+function captureExpressionReferences(tracks) {
+    for (const track of tracks) {
+        if (expressionReferences.has(track.id) || track.missed > 0) continue;
+        expressionReferences.set(track.id, track.landmarks.map(lm => ({ ...lm })));
+    }
+}
+
+/**
+ * Get the landmarks to swap a tracked face with: the video face itself, or with expression
+ * transfer the source face posed like it and moved by its expression since the neutral frame.
+ * @param {Object} track - Face track.
+ * @param {Object} source - Library entry assigned to the track.
+ * @returns {Array} Normalized landmarks in video coordinates.
+ */
+function getExpressionLandmarks(track, source) {
+    const reference = expressionReferences.get(track.id);
+    if (!expressionTransferCheckbox || !expressionTransferCheckbox.checked || !reference ||
+        !window.ExpressionTransfer || !source.allLandmarks) {
+        return track.landmarks;
+    }
+
+    const width = mainCanvas.width;
+    const height = mainCanvas.height;
+    const toVideoPixels = lm => ({ x: lm.x * width, y: lm.y * height });
+    const transferred = window.ExpressionTransfer.transferExpression(
+        source.allLandmarks.map(lm => ({ x: lm.x * source.imageWidth, y: lm.y * source.imageHeight })),
+        reference.map(toVideoPixels),
+        track.landmarks.map(toVideoPixels),
+        {
+            strength: parseInt(expressionStrengthSlider.value) / 100,
+            alignIndices: window.FaceLandmarkerModule.RIGID_LANDMARK_INDICES
+        }
+    );
+    if (!transferred) {
+        return track.landmarks;
+    }
+    return transferred.map((p, i) => ({ x: p.x / width, y: p.y / height, z: track.landmarks[i].z }));
+}
+
+/**
+ * Use a face's current frame as its neutral expression reference and rebuild the frame cache.
+ * @param {number} trackId - Face track ID.
+ */
+function setExpressionReference(trackId) {
+    const track = videoTracks.find(t => t.id === trackId && t.missed === 0);
+    if (!track) {
+        alert(`Face #${trackId} is not visible in the current frame.`);
+        return;
+    }
+    expressionReferences.set(trackId, track.landmarks.map(lm => ({ ...lm })));
+    rebuildFrameCache('neutral frame changed');
+}
+
+/**
+ * Rebuild the face picker: one row per face seen in the video, each with a source selector.
+ */
+function renderFacePicker() {
+    if (!facePickerEl) return;
+
+    facePickerEl.innerHTML = '';
+    if (faceThumbnails.size === 0) {
+        facePickerEl.innerHTML = '<p class="control-hint">Faces appear here once the video plays.</p>';
+        return;
+    }
+
+    const photos = window.PhotoProcessor ? window.PhotoProcessor.listPhotos() : [];
+    const activeSource = photos.find(photo => photo.id === window.PhotoProcessor.getSelectedPhotoId());
+    for (const [trackId, thumbnail] of faceThumbnails) {
+        const item = document.createElement('div');
+        item.className = 'face-picker-item';
+
+        const thumb = document.createElement('img');
+        thumb.className = 'face-thumb';
+        thumb.src = thumbnail;
+        thumb.alt = `Face #${trackId}`;
+
+        const label = document.createElement('span');
+        label.className = 'face-label';
+        label.textContent = `#${trackId}`;
+
+        const select = document.createElement('select');
+        select.className = 'control-select';
+        select.add(new Option(activeSource ? `Current photo (${activeSource.name})` : 'Current photo', ''));
+        for (const photo of photos) {
+            select.add(new Option(photo.name, String(photo.id)));
+        }
+        select.add(new Option('Leave unchanged', LEAVE_UNCHANGED));
+
+        const assignment = faceAssignments.get(trackId);
+        select.value = assignment === undefined ? '' : String(assignment);
+        select.addEventListener('change', () => handleFaceAssignmentChange(trackId, select.value));
+
+        const neutralBtn = document.createElement('button');
+        neutralBtn.className = 'secondary-btn face-neutral-btn';
+        neutralBtn.textContent = '☺';
+        neutralBtn.title = 'Use the current frame as this face\'s neutral expression';
+        neutralBtn.addEventListener('click', () => setExpressionReference(trackId));
+
+        item.append(thumb, label, select, neutralBtn);
+        facePickerEl.appendChild(item);
+    }
+}
+
+/**
+ * Assign a source (or none) to a tracked face and rebuild the frame cache.
+ * @param {number} trackId - Face track ID.
+ * @param {string} value - '' for the current photo, a library photo ID, or LEAVE_UNCHANGED.
+ */
+function handleFaceAssignmentChange(trackId, value) {
+    if (value === '') {
+        faceAssignments.delete(trackId);
+    } else {
+        faceAssignments.set(trackId, value === LEAVE_UNCHANGED ? LEAVE_UNCHANGED : Number(value));
+    }
+
+    rebuildFrameCache('face assignment changed');
+}
+
+/**
+ * Move the per-face state of a track that took over the ID an earlier pass gave the
+ * same face (see FaceTracker update). What the earlier ID already has is kept.
+ * @param {number} trackId - Earlier ID, now used by the track.
+ * @param {number} previousId - ID the track had in this pass so far.
+ */
+function adoptEarlierFaceId(trackId, previousId) {
+    for (const perFace of [faceThumbnails, faceAssignments, expressionReferences]) {
+        if (perFace.has(previousId) && !perFace.has(trackId)) {
+            perFace.set(trackId, perFace.get(previousId));
+        }
+        perFace.delete(previousId);
+    }
+}
+
+/**
+ * Forget faces and assignments from the previous video
+ */
+function resetFacePicker() {
+    if (faceTracker) {
+        faceTracker.forget();
+    }
+    faceAssignments.clear();
+    faceThumbnails.clear();
+    expressionReferences.clear();
+    renderFacePicker();
+}
+
+/**
+ * Show the detector capabilities (delegate, faces, mode, version) in the controls panel
+ */
+function updateDetectorInfo() {
+    if (!detectorInfoEl) return;
+
+    const caps = window.FaceLandmarkerModule ? window.FaceLandmarkerModule.getCapabilities() : null;
+    detectorInfoEl.classList.remove('degraded', 'unavailable');
+
+    if (!caps) {
+        detectorInfoEl.textContent = 'Detector: unavailable — landmark detection disabled';
+        detectorInfoEl.classList.add('unavailable');
+        return;
+    }
+
+    const version = caps.version ? `v${caps.version}` : 'unknown version';
+    detectorInfoEl.textContent = `Detector: ${caps.delegate} · ${caps.numFaces} faces · ${caps.runningModes.join(' + ')} · ${version} (${caps.assetSource})`;
+    // Only when GPU was tried and failed, not when CPU was asked for
+    if (caps.fallback) {
+        detectorInfoEl.textContent += ` — GPU unavailable, running on ${caps.delegate}`;
+        detectorInfoEl.classList.add('degraded');
+    }
+}
+
+/**
+ * Invalidate the warped frame cache
+ * Called when warp mode changes, image is reprocessed, or video changes
+ */
+function invalidateFrameCache(reason = 'unknown') {
+    console.log(`Invalidating frame cache: ${reason}`);
+    warpedFrameCache.clear();
+    frameCacheValid = false;
+    cachingCancelled = true; // Cancel any in-progress caching
+}
+
+/**
+ * Invalidate the frame cache after a change baked into cached frames, then re-cache
+ * (when caching applies) or redraw the paused frame.
+ * @param {string} reason - Reason for logging.
+ */
+function rebuildFrameCache(reason) {
+    invalidateFrameCache(reason);
+    if (isSwapEnabled && enableCacheCheckbox && enableCacheCheckbox.checked && sourceVideo.src && sourceVideo.duration > 0 && window.PhotoProcessor && window.PhotoProcessor.isProcessed()) {
+        precomputeAllFrames();
+    } else if (sourceVideo.src && sourceVideo.paused) {
+        drawFrame();
+    }
+}
+
+/**
+ * Get the landmarks already known for a video time, from the cache or a loaded track.
+ * @param {number} timeKey - Video time in ms.
+ * @returns {Array|undefined} Faces (possibly empty), or undefined if the frame still needs detection.
+ */
+function getKnownLandmarks(timeKey) {
+    if (videoLandmarkCache.has(timeKey)) {
+        return videoLandmarkCache.get(timeKey);
+    }
+    if (landmarkTrackLookup) {
+        return landmarkTrackLookup(timeKey);
+    }
+    return undefined;
+}
+
+/**
+ * Forget the loaded landmark track (new video)
+ */
+function clearLandmarkTrack() {
+    landmarkTrackLookup = null;
+    landmarkTrackCoverage = 0;
+    updateTrackControls();
+}
+
+/**
+ * Enable the track buttons and describe the landmark source for the current video.
+ */
+function updateTrackControls() {
+    const hasVideo = Boolean(sourceVideo.src);
+    saveTrackJsonBtn.disabled = !hasVideo;
+    saveTrackBinaryBtn.disabled = !hasVideo;
+    if (!landmarkTrackLookup) {
+        trackStatusEl.textContent = 'Landmarks are detected while the video plays.';
+        return;
+    }
+    const covered = landmarkTrackCoverage / 1000;
+    trackStatusEl.textContent = covered >= sourceVideo.duration - 0.1
+        ? `Landmark track loaded (${videoLandmarkCache.size} frames) — detection bypassed`
+        : `Landmark track loaded (${videoLandmarkCache.size} frames, covers ${covered.toFixed(1)}s of ${sourceVideo.duration.toFixed(1)}s) — the rest is detected`;
+}
+
+/**
+ * Detect every video frame (at the caching frame rate) that has no known landmarks yet,
+ * keeping frames without faces too, so a saved track covers the whole clip.
+ * Playback is paused meanwhile and resumed where it was.
+ * @returns {Promise<boolean>} True if every frame is known afterwards
+ */
+async function detectRemainingFrames() {
+    if (isCaching || !window.FaceLandmarkerModule || !window.FaceLandmarkerModule.isReady()) {
+        return false;
+    }
+
+    isCaching = true;
+    const wasPlaying = !sourceVideo.paused;
+    const resumeTime = sourceVideo.currentTime;
+    sourceVideo.pause();
+    if (renderLoopId) {
+        if (sourceVideo.requestVideoFrameCallback) {
+            sourceVideo.cancelVideoFrameCallback(renderLoopId);
+        } else {
+            cancelAnimationFrame(renderLoopId);
+        }
+        renderLoopId = null;
+    }
+
+    showLoadingOverlay('Detecting landmarks...');
+
+    const fps = 30;
+    const totalDuration = sourceVideo.duration;
+    const totalFrames = Math.floor(totalDuration * fps);
+    const frameTime = 1 / fps;
+    let complete = true;
+
+    for (let i = 0; i <= totalFrames; i++) {
+        const currentTime = Math.min(i * frameTime, totalDuration);
+        const timeKey = Math.floor(currentTime * 1000);
+
+        if (getKnownLandmarks(timeKey) === undefined) {
+            sourceVideo.currentTime = currentTime;
+            await new Promise(resolve => {
+                const onSeeked = () => {
+                    sourceVideo.removeEventListener('seeked', onSeeked);
+                    resolve();
+                };
+                sourceVideo.addEventListener('seeked', onSeeked);
+            });
+            await waitForVideoData(sourceVideo);
+
+            ctx.drawImage(sourceVideo, 0, 0, mainCanvas.width, mainCanvas.height);
+            const faces = await detectVideoFrame();
+            if (faces) {
+                videoLandmarkCache.set(timeKey, faces); // Empty too: no face in this frame
+            } else {
+                complete = false;
+            }
+        }
+
+        updateLoadingProgress(i + 1, totalFrames + 1, `Detecting frame ${i + 1} of ${totalFrames + 1}...`);
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    hideLoadingOverlay();
+    isCaching = false;
+
+    sourceVideo.currentTime = resumeTime;
+    lastVideoTime = -1;
+    if (wasPlaying) {
+        sourceVideo.play();
+    }
+    startRenderingLoop();
+    return complete;
+}
+
+/**
+ * Download the landmark track of the current video. Frames not detected yet are
+ * detected first, so the track covers the whole clip.
+ * @param {boolean} binary - Compact binary (.lmtrack) instead of JSON.
+ */
+async function saveLandmarkTrack(binary) {
+    if (isCaching) {
+        alert("Frames are still being processed — save the track once that has finished.");
+        return;
+    }
+    const complete = await detectRemainingFrames();
+    if (videoLandmarkCache.size === 0) {
+        alert("No landmarks yet — the face model is not loaded, so there is nothing to save.");
+        return;
+    }
+    if (!complete) {
+        console.warn("Landmark track does not cover the whole video; uncovered frames will be detected after loading.");
+    }
+
+    const track = window.LandmarkTrack.createTrack(videoLandmarkCache, {
+        name: currentVideoFilename,
+        duration: sourceVideo.duration,
+        width: sourceVideo.videoWidth,
+        height: sourceVideo.videoHeight
+    });
+    const blob = binary
+        ? new Blob([window.LandmarkTrack.toBinary(track)], { type: 'application/octet-stream' })
+        : new Blob([window.LandmarkTrack.toJSON(track)], { type: 'application/json' });
+
+    const baseName = (currentVideoFilename || 'video').replace(/\.[^.]+$/, '');
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `${baseName}.${binary ? 'lmtrack' : 'landmarks.json'}`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+}
+
+/**
+ * Load a landmark track for the current video. Frames the track covers become known,
+ * so playback, caching and export skip detection there; other frames are still detected.
+ * @param {ArrayBuffer} buffer - Track file contents (binary or JSON).
+ * @returns {Object} The loaded track.
+ * @throws {LandmarkTrackError} If the file is not a valid track.
+ */
+function loadLandmarkTrack(buffer) {
+    const LandmarkTrack = window.LandmarkTrack;
+    const track = LandmarkTrack.isBinaryTrack(buffer)
+        ? LandmarkTrack.fromBinary(buffer)
+        : LandmarkTrack.fromJSON(new TextDecoder().decode(buffer));
+
+    if (track.video.duration && Math.abs(track.video.duration - sourceVideo.duration) > 0.5) {
+        console.warn(`Landmark track is for a ${track.video.duration.toFixed(1)}s video (${track.video.name}), current video is ${sourceVideo.duration.toFixed(1)}s`);
+    }
+
+    videoLandmarkCache = LandmarkTrack.toCache(track);
+    landmarkTrackLookup = LandmarkTrack.createLookup(track);
+    landmarkTrackCoverage = LandmarkTrack.getCoveredDuration(track);
+    lastVideoTime = -1;
+    resetFaceTracking();
+    updateTrackControls();
+
+    rebuildFrameCache('landmark track loaded');
+    return track;
+}
+
+/**
+ * Show loading overlay
+ */
+function showLoadingOverlay(message = 'Preparing frames...') {
+    if (loadingOverlay) {
+        loadingOverlay.classList.add('active');
+        loadingStatus.textContent = message;
+        loadingProgress.style.width = '0%';
+    }
+}
+
+/**
+ * Hide loading overlay
+ */
+function hideLoadingOverlay() {
+    if (loadingOverlay) {
+        loadingOverlay.classList.remove('active');
+    }
+}
+
+/**
+ * Update loading progress
+ */
+function updateLoadingProgress(current, total, message) {
+    const percent = (current / total) * 100;
+    if (loadingProgress) {
+        loadingProgress.style.width = `${percent}%`;
+    }
+    if (loadingStatus && message) {
+        loadingStatus.textContent = message;
+    }
+}
+
+/**
+ * Get the forehead extension height from the slider.
+ * @returns {number} Multiple of the nose bridge to oval top distance (0 = off).
+ */
+function getForeheadHeight() {
+    return foreheadHeightSlider ? parseInt(foreheadHeightSlider.value) / 100 : 0;
+}
+
+/**
+ * Get the landmarks and triangles to warp a source with: its stable landmarks, plus
+ * forehead extension points (re-triangulated, memoised per height) when enabled.
+ * Sources without the full landmark set (e.g. old face packs) are never extended.
+ * @param {Object} srcCache - Source photo cache or library entry.
+ * @returns {Object} {pixelLandmarks, triangles}
+ */
+function getSourceMesh(srcCache) {
+    const foreheadHeight = getForeheadHeight();
+    const forehead = window.FaceLandmarkerModule.getForeheadLandmarks(srcCache.allLandmarks, foreheadHeight);
+    if (forehead.length === 0) {
+        return { pixelLandmarks: srcCache.pixelLandmarks, triangles: srcCache.triangles };
+    }
+
+    let meshes = extendedSourceMeshCache.get(srcCache);
+    if (!meshes) {
+        meshes = new Map();
+        extendedSourceMeshCache.set(srcCache, meshes);
+    }
+    let mesh = meshes.get(foreheadHeight);
+    if (!mesh) {
+        const pixelLandmarks = srcCache.pixelLandmarks.concat(forehead.map(lm => ({
+            x: lm.x * srcCache.imageWidth,
+            y: lm.y * srcCache.imageHeight,
+            z: lm.z
+        })));
+        mesh = {
+            pixelLandmarks,
+            triangles: window.PhotoProcessor.delaunayTriangulate(pixelLandmarks.map(lm => [lm.x, lm.y]))
+        };
+        meshes.set(foreheadHeight, mesh);
+    }
+    return mesh;
+}
+
+/**
+ * Convert a video face to stable landmarks in main canvas pixel coordinates,
+ * plus forehead extension points whenever the source mesh has them.
+ * @param {Array} faceLandmarks - Normalized landmarks of one face.
+ * @param {Object} srcCache - Source photo cache or library entry (for the landmark count check).
+ * @returns {Array|null} Pixel landmarks, or null if they don't match the source.
+ */
+function getStablePixelLandmarks(faceLandmarks, srcCache) {
+    let landmarks = window.FaceLandmarkerModule.getStableLandmarks(faceLandmarks);
+    if (landmarks.length !== srcCache.pixelLandmarks.length) {
+        return null;
+    }
+    const sourceMesh = getSourceMesh(srcCache);
+    if (sourceMesh.pixelLandmarks.length > landmarks.length) {
+        landmarks = landmarks.concat(window.FaceLandmarkerModule.getForeheadLandmarks(faceLandmarks, getForeheadHeight()));
+        if (landmarks.length !== sourceMesh.pixelLandmarks.length) {
+            return null;
+        }
+    }
+    return landmarks.map(lm => ({
+        x: lm.x * mainCanvas.width,
+        y: lm.y * mainCanvas.height
+    }));
+}
+
+/**
+ * Get the cleared offscreen warp canvas, (re)creating it at the main canvas size.
+ * @returns {CanvasRenderingContext2D} Context of the warp canvas.
+ */
+function prepareWarpCanvas() {
+    if (!warpCanvas || warpCanvas.width !== mainCanvas.width || warpCanvas.height !== mainCanvas.height) {
+        warpCanvas = document.createElement('canvas');
+        warpCanvas.width = mainCanvas.width;
+        warpCanvas.height = mainCanvas.height;
+        warpCtx = warpCanvas.getContext('2d');
+    }
+    warpCtx.clearRect(0, 0, warpCanvas.width, warpCanvas.height);
+    return warpCtx;
+}
+
+/**
+ * Whether warping should run on the GPU (WebGLWarper falls back to the CPU warpers on failure).
+ * @returns {boolean} True if the GPU checkbox is on and WebGL is available.
+ */
+function isGpuWarpEnabled() {
+    return !!(gpuWarpCheckbox && gpuWarpCheckbox.checked && window.WebGLWarper && window.WebGLWarper.isSupported());
+}
+
+/**
+ * Get the pixels of a source image, read once per image.
+ * @param {HTMLCanvasElement|HTMLImageElement} image - Source image.
+ * @returns {ImageData} Its pixels.
+ */
+function getSourceImageData(image) {
+    let imageData = sourceImageDataCache.get(image);
+    if (!imageData) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth || image.width;
+        canvas.height = image.naturalHeight || image.height;
+        const sourceCtx = canvas.getContext('2d');
+        sourceCtx.drawImage(image, 0, 0);
+        imageData = sourceCtx.getImageData(0, 0, canvas.width, canvas.height);
+        sourceImageDataCache.set(image, imageData);
+    }
+    return imageData;
+}
+
+/**
+ * Get the selected warp mode.
+ * @returns {string} 'affine', 'tps', 'dense' or 'mls'.
+ */
+function getWarpMode() {
+    if (warpModeTPS && warpModeTPS.checked) return 'tps';
+    if (warpModeDense && warpModeDense.checked) return 'dense';
+    if (warpModeMLS && warpModeMLS.checked) return 'mls';
+    return 'affine';
+}
+
+/**
+ * Get all face mesh landmarks of a source in its pixel coordinates.
+ * @param {Object} source - Library entry (photo cache with its image).
+ * @returns {Array|null} Pixel landmarks, or null if the source only kept its stable landmarks.
+ */
+function getDenseSourceLandmarks(source) {
+    if (!window.FaceMeshTopology || !window.FaceMeshTopology.isFullMesh(source.allLandmarks)) {
+        return null;
+    }
+    let landmarks = denseSourceLandmarksCache.get(source);
+    if (!landmarks) {
+        landmarks = source.allLandmarks.map(lm => ({
+            x: lm.x * source.imageWidth,
+            y: lm.y * source.imageHeight
+        }));
+        denseSourceLandmarksCache.set(source, landmarks);
+    }
+    return landmarks;
+}
+
+/**
+ * Get the grid warp (TPS and MLS) settings from the sliders.
+ * @returns {Object} {gridSize, padding, lambda}: grid cells per side, bounding box padding in
+ *   pixels, and TPS regularization (0 = exact interpolation).
+ */
+function getGridWarpSettings() {
+    return {
+        gridSize: warpGridSizeSlider ? parseInt(warpGridSizeSlider.value) : 25,
+        padding: warpGridPaddingSlider ? parseInt(warpGridPaddingSlider.value) : 30,
+        lambda: tpsSmoothingSlider ? parseInt(tpsSmoothingSlider.value) / 100 : 0
+    };
+}
+
+/**
+ * Get the triangle mesh to warp in the given mode: the stable (and forehead) landmarks with the
+ * source's Delaunay triangles, or in dense mode all face mesh landmarks with the canonical tesselation.
+ * Dense mode falls back to the stable mesh for sources without the full mesh (e.g. old face packs).
+ * @param {Object} source - Library entry (photo cache with its image).
+ * @param {Array} dstLandmarks - Destination landmarks from getStablePixelLandmarks.
+ * @param {string} warpMode - 'affine', 'tps', 'dense' or 'mls'.
+ * @param {Array} faceLandmarks - All normalized landmarks of the destination face.
+ * @returns {Object} {srcLandmarks, dstLandmarks, triangles}
+ */
+function getWarpMesh(source, dstLandmarks, warpMode, faceLandmarks) {
+    if (warpMode === 'dense' && window.FaceMeshTopology.isFullMesh(faceLandmarks)) {
+        const srcLandmarks = getDenseSourceLandmarks(source);
+        if (srcLandmarks) {
+            return {
+                srcLandmarks,
+                dstLandmarks: faceLandmarks.map(lm => ({
+                    x: lm.x * mainCanvas.width,
+                    y: lm.y * mainCanvas.height
+                })),
+                triangles: window.FaceMeshTopology.TRIANGLES
+            };
+        }
+    }
+    const sourceMesh = getSourceMesh(source);
+    return { srcLandmarks: sourceMesh.pixelLandmarks, dstLandmarks, triangles: sourceMesh.triangles };
+}
+
+/**
+ * Affine-warp a triangle mesh with ImageDataWarper (no seams between triangles).
+ * @param {CanvasRenderingContext2D} targetCtx - Context to draw the warped face into.
+ * @param {HTMLCanvasElement|HTMLImageElement} image - Source image.
+ * @param {Object} mesh - {srcLandmarks, dstLandmarks, triangles} from getWarpMesh.
+ */
+function warpMeshSeamFree(targetCtx, image, mesh) {
+    const { width, height } = targetCtx.canvas;
+    const result = window.ImageDataWarper.warpFace(
+        getSourceImageData(image),
+        mesh.srcLandmarks,
+        mesh.dstLandmarks,
+        mesh.triangles,
+        width,
+        height
+    );
+    if (!result || result.bounds.width === 0) return;
+
+    // Go through a canvas so transparent pixels composite instead of replacing the target
+    if (!seamFreeCanvas || seamFreeCanvas.width !== width || seamFreeCanvas.height !== height) {
+        seamFreeCanvas = document.createElement('canvas');
+        seamFreeCanvas.width = width;
+        seamFreeCanvas.height = height;
+    }
+    const { x, y, width: w, height: h } = result.bounds;
+    seamFreeCanvas.getContext('2d').putImageData(result.imageData, 0, 0, x, y, w, h);
+    targetCtx.drawImage(seamFreeCanvas, x, y, w, h, x, y, w, h);
+}
+
+/**
+ * Warp a source photo onto a destination face with the selected warp mode.
+ * @param {CanvasRenderingContext2D} targetCtx - Context to draw the warped face into.
+ * @param {Object} source - Library entry (photo cache with its image).
+ * @param {Array} dstLandmarks - Destination landmarks from getStablePixelLandmarks.
+ * @param {string} warpMode - 'affine', 'tps', 'dense' or 'mls'.
+ * @param {Array} faceLandmarks - All normalized landmarks of the destination face (dense mode).
+ */
+function warpSourceFace(targetCtx, source, dstLandmarks, warpMode, faceLandmarks) {
+    if (warpMode === 'tps' && window.TPSWarper) {
+        const grid = getGridWarpSettings();
+        const bbox = window.TPSWarper.computeBoundingBoxFromLandmarks(dstLandmarks, grid.padding);
+        const tpsWarper = isGpuWarpEnabled() ? window.WebGLWarper : window.TPSWarper;
+        tpsWarper.warpFaceTPS(
+            targetCtx,
+            source.image,
+            getSourceMesh(source).pixelLandmarks,
+            dstLandmarks,
+            bbox,
+            grid.gridSize,
+            { lambda: grid.lambda }
+        );
+        return;
+    }
+
+    if (warpMode === 'mls' && window.MLSWarper) {
+        const grid = getGridWarpSettings();
+        const bbox = window.TPSWarper.computeBoundingBoxFromLandmarks(dstLandmarks, grid.padding);
+        const layout = window.MLSWarper.computeInverseGrid(
+            getSourceMesh(source).pixelLandmarks,
+            dstLandmarks,
+            bbox,
+            grid.gridSize,
+            targetCtx.canvas.width,
+            targetCtx.canvas.height,
+            { mode: mlsModeSelect ? mlsModeSelect.value : 'rigid' }
+        );
+        if (layout) {
+            const gridWarper = isGpuWarpEnabled() ? window.WebGLWarper : window.TPSWarper;
+            gridWarper.resampleGrid(targetCtx, source.image, layout);
         }
+        return;
+    }
+
+    const mesh = getWarpMesh(source, dstLandmarks, warpMode, faceLandmarks);
+    if (seamFreeWarpCheckbox && seamFreeWarpCheckbox.checked && window.ImageDataWarper) {
+        warpMeshSeamFree(targetCtx, source.image, mesh);
     } else {
-        console.warn("FaceLandmarkerModule not found.");
+        const warper = isGpuWarpEnabled() ? window.WebGLWarper : window.FaceWarper;
+        warper.warpFace(targetCtx, source.image, mesh.srcLandmarks, mesh.dstLandmarks, mesh.triangles);
     }
 }
 
 /**
- * Invalidate the warped frame cache
- * Called when warp mode changes, image is reprocessed, or video changes
+ * Get the target's eyes and inner mouth, its skin regions for color matching and its
+ * face outline for the blend mask, in main canvas pixel coordinates.
+ * Stored with cached frames, so the keep toggles and color modes apply without re-caching.
+ * @param {Array} faceLandmarks - All normalized landmarks of the destination face.
+ * @returns {Object} {eyes, mouth}: polygons from FaceLandmarkerModule.getFeatureRegions;
+ *   {skin: {exclude, regions}}: polygons from FaceLandmarkerModule.getSkinRegions;
+ *   {outline}: FaceLandmarkerModule.getFaceOutline with the forehead extension ([] if incomplete).
  */
-function invalidateFrameCache(reason = 'unknown') {
-    console.log(`Invalidating frame cache: ${reason}`);
-    warpedFrameCache.clear();
-    frameCacheValid = false;
-    cachingCancelled = true; // Cancel any in-progress caching
+function getFeatureRegionPixels(faceLandmarks) {
+    const regions = window.FaceLandmarkerModule.getFeatureRegions(faceLandmarks);
+    const skin = window.FaceLandmarkerModule.getSkinRegions(faceLandmarks);
+    const toPixels = polygon => polygon.map(p => ({ x: p.x * mainCanvas.width, y: p.y * mainCanvas.height }));
+    const skinRegions = {};
+    for (const [name, polygon] of Object.entries(skin.regions)) {
+        skinRegions[name] = toPixels(polygon);
+    }
+    return {
+        eyes: regions.eyes.map(toPixels),
+        mouth: regions.mouth.map(toPixels),
+        skin: { exclude: skin.exclude.map(toPixels), regions: skinRegions },
+        outline: toPixels(window.FaceLandmarkerModule.getFaceOutline(faceLandmarks, getForeheadHeight()))
+    };
 }
 
 /**
- * Show loading overlay
+ * Measure the color statistics of the warped face and of the frame under it, for the selected
+ * transfer mode. Statistics leave out the eyes, brows and lips (the warped face's features sit on the target's).
+ * @param {CanvasRenderingContext2D} warpedCtx - Context holding the warped face.
+ * @param {Array} pixelLandmarks - Destination landmarks in pixel coordinates.
+ * @param {Object} featureRegions - From getFeatureRegionPixels (optional).
+ * @returns {Object} {mode, source, target}: stats, histograms or per-region stats of both sides.
  */
-function showLoadingOverlay(message = 'Preparing frames...') {
-    if (loadingOverlay) {
-        loadingOverlay.classList.add('active');
-        loadingStatus.textContent = message;
-        loadingProgress.style.width = '0%';
+function measureFaceColor(warpedCtx, pixelLandmarks, featureRegions) {
+    const FaceBlender = window.FaceBlender;
+    const width = mainCanvas.width;
+    const height = mainCanvas.height;
+    const skin = featureRegions && featureRegions.skin;
+    const options = { exclude: skin ? skin.exclude : [] };
+    const mode = colorMatchModeSelect ? colorMatchModeSelect.value : 'meanStd';
+
+    if (mode === 'regional' && skin) {
+        const source = FaceBlender.getRegionalColorStats(warpedCtx, skin.regions, width, height, options);
+        const target = FaceBlender.getRegionalColorStats(ctx, skin.regions, width, height, options);
+        if (Object.keys(source).some(name => target[name])) {
+            return { mode, source, target };
+        }
+        // No skin region visible: fall back to the whole face
+    }
+    if (mode === 'histogram') {
+        return {
+            mode,
+            source: FaceBlender.getColorHistograms(warpedCtx, pixelLandmarks, width, height, options),
+            target: FaceBlender.getColorHistograms(ctx, pixelLandmarks, width, height, options)
+        };
     }
+
+    // Get stats from source (warp canvas) and target (video on main canvas)
+    return {
+        mode: 'meanStd',
+        source: FaceBlender.getColorStats(warpedCtx, pixelLandmarks, width, height, options),
+        target: FaceBlender.getColorStats(ctx, pixelLandmarks, width, height, options)
+    };
 }
 
 /**
- * Hide loading overlay
+ * Recolor the warped face from a color measurement (see measureFaceColor).
+ * @param {HTMLCanvasElement} warpedCanvas - Canvas holding the warped face.
+ * @param {CanvasRenderingContext2D} warpedCtx - Its context.
+ * @param {Object} faceColor - {mode, source, target}
  */
-function hideLoadingOverlay() {
-    if (loadingOverlay) {
-        loadingOverlay.classList.remove('active');
+function applyFaceColor(warpedCanvas, warpedCtx, faceColor) {
+    const { mode, source, target } = faceColor;
+    if (!source || !target) return;
+    if (mode === 'regional') {
+        window.FaceBlender.matchColorRegional(warpedCtx, warpedCanvas.width, warpedCanvas.height, source, target);
+    } else if (mode === 'histogram') {
+        window.FaceBlender.matchColorHistograms(warpedCtx, warpedCanvas.width, warpedCanvas.height, source, target);
+    } else {
+        window.FaceBlender.matchColorStats(warpedCtx, warpedCanvas.width, warpedCanvas.height, source, target);
     }
 }
 
 /**
- * Update loading progress
+ * Measure a tracked face's colors and smooth them over time (per track), so the swap
+ * doesn't flicker as the sampled region changes. Cached frames store the result, so
+ * playback from the cache and export (both run from the start) see the same colors.
+ * @param {number} trackId - Face track ID.
+ * @param {number} time - Video time in seconds.
+ * @param {CanvasRenderingContext2D} warpedCtx - Context holding the warped face.
+ * @param {Array} pixelLandmarks - Destination landmarks in pixel coordinates.
+ * @param {Object} featureRegions - From getFeatureRegionPixels.
+ * @returns {Object|null} Color measurement for blendWarpedFace, or null with auto-match off.
  */
-function updateLoadingProgress(current, total, message) {
-    const percent = (current / total) * 100;
-    if (loadingProgress) {
-        loadingProgress.style.width = `${percent}%`;
+function getStableFaceColor(trackId, time, warpedCtx, pixelLandmarks, featureRegions) {
+    if (!autoMatchCheckbox.checked) return null;
+    const faceColor = measureFaceColor(warpedCtx, pixelLandmarks, featureRegions);
+    if (!colorStabilizer || !colorStabilizeCheckbox || !colorStabilizeCheckbox.checked) return faceColor;
+    return colorStabilizer.stabilize(trackId, faceColor, time);
+}
+
+/**
+ * Get the target regions selected to show through the swapped face.
+ * @param {Object} featureRegions - {eyes, mouth} from getFeatureRegionPixels (may be missing).
+ * @returns {Array} Polygons to cut out of the blend mask.
+ */
+function getKeptFeatureHoles(featureRegions) {
+    if (!featureRegions) return [];
+    return [
+        ...(keepTargetEyesCheckbox && keepTargetEyesCheckbox.checked ? featureRegions.eyes : []),
+        ...(keepTargetMouthCheckbox && keepTargetMouthCheckbox.checked ? featureRegions.mouth : [])
+    ];
+}
+
+/**
+ * Get how strongly to show the swap for a head pose. With pose fading on, the swap fades
+ * out over the last 15° before the max turn angle and is hidden beyond it.
+ * @param {Object} pose - Pose from FaceLandmarkerModule.getFacePose (may be missing).
+ * @returns {number} Opacity 0-1.
+ */
+function getPoseOpacity(pose) {
+    if (!pose || !poseFadeCheckbox || !poseFadeCheckbox.checked) return 1;
+    const maxYaw = parseInt(poseMaxYawSlider.value) || 60;
+    const fadeStart = maxYaw - 15;
+    const yaw = Math.abs(pose.yaw);
+    if (yaw <= fadeStart) return 1;
+    if (yaw >= maxYaw) return 0;
+    return (maxYaw - yaw) / (maxYaw - fadeStart);
+}
+
+/**
+ * Get the feather blend settings from the Edge Feathering and Keep Target Features controls.
+ * @returns {Object} {edgeBlur, falloff, maskOffset, holeFeather}
+ */
+function getFeatherSettings() {
+    // 0 is a valid setting for both sliders, so only fall back on unparsable values
+    const edgeBlur = parseInt(edgeFeatherSlider.value);
+    const falloff = parseInt(falloffSlider.value);
+    return {
+        edgeBlur: isNaN(edgeBlur) ? 20 : edgeBlur,
+        falloff: isNaN(falloff) ? 70 : falloff,
+        maskOffset: maskOffsetSlider ? parseInt(maskOffsetSlider.value) : 0,
+        holeFeather: featureFeatherSlider ? parseInt(featureFeatherSlider.value) : 6
+    };
+}
+
+/**
+ * Color-match a warped face to the video frame and blend it onto the main canvas
+ * with the selected blend mode (feathered mask, seamless clone or multi-band).
+ * @param {HTMLCanvasElement} warpedCanvas - Canvas holding the warped face.
+ * @param {CanvasRenderingContext2D} warpedCtx - Its context.
+ * @param {Array} pixelLandmarks - Destination landmarks in pixel coordinates.
+ * @param {Object} featureRegions - Target eyes and mouth from getFeatureRegionPixels (optional).
+ * @param {number} opacity - Overall opacity of the swapped face (see getPoseOpacity).
+ * @param {Object} faceColor - Color measurement from getStableFaceColor (measured now if missing).
+ */
+function blendWarpedFace(warpedCanvas, warpedCtx, pixelLandmarks, featureRegions, opacity = 1, faceColor = null) {
+    // Auto-match lighting (LAB color matching)
+    if (autoMatchCheckbox.checked) {
+        applyFaceColor(warpedCanvas, warpedCtx, faceColor || measureFaceColor(warpedCtx, pixelLandmarks, featureRegions));
     }
-    if (loadingStatus && message) {
-        loadingStatus.textContent = message;
+
+    const holes = getKeptFeatureHoles(featureRegions);
+    ctx.save();
+    ctx.globalAlpha = opacity;
+    const blendMode = blendModeSelect ? blendModeSelect.value : 'feather';
+    if (blendMode === 'poisson') {
+        // Gradient-domain clone over the landmark hull
+        window.FaceBlender.applyPoissonBlend(ctx, warpedCanvas, pixelLandmarks, { holes });
+    } else if (blendMode === 'multiband') {
+        // Laplacian pyramid blend over the landmark hull
+        window.FaceBlender.applyMultiBandBlend(ctx, warpedCanvas, pixelLandmarks, {
+            holes,
+            levels: parseInt(blendLevelsSlider.value) || 5
+        });
+    } else {
+        // Apply edge-feathered blending with falloff
+        const settings = getFeatherSettings();
+        window.FaceBlender.applyFeatheredBlend(ctx, warpedCanvas, pixelLandmarks, settings.edgeBlur, settings.falloff, {
+            holes,
+            holeFeather: settings.holeFeather,
+            maskOffset: settings.maskOffset,
+            outline: featureRegions ? featureRegions.outline : null
+        });
+    }
+    ctx.restore();
+}
+
+/**
+ * Download the feather blend mask of the faces on the current frame (or the static target photo)
+ * as a grayscale PNG, for debugging the Edge Feathering settings.
+ */
+function saveBlendMask() {
+    const faces = [];
+    if (sourceVideo.src) {
+        for (const track of videoTracks) {
+            const source = getTrackSource(track.id);
+            if (!source) continue;
+            const pixelLandmarks = getStablePixelLandmarks(getExpressionLandmarks(track, source), source);
+            if (pixelLandmarks) {
+                faces.push({ pixelLandmarks, featureRegions: getFeatureRegionPixels(track.landmarks) });
+            }
+        }
+    } else if (targetCache && window.PhotoProcessor && window.PhotoProcessor.getCache()) {
+        const pixelLandmarks = getStablePixelLandmarks(targetCache.allLandmarks, window.PhotoProcessor.getCache());
+        if (pixelLandmarks) {
+            faces.push({ pixelLandmarks, featureRegions: getFeatureRegionPixels(targetCache.allLandmarks) });
+        }
+    }
+    if (faces.length === 0) {
+        alert("No swapped face on the current frame — load a face photo and a video or target photo first.");
+        return;
+    }
+
+    const settings = getFeatherSettings();
+    const output = document.createElement('canvas');
+    output.width = mainCanvas.width;
+    output.height = mainCanvas.height;
+    const outputCtx = output.getContext('2d');
+    outputCtx.fillStyle = 'black';
+    outputCtx.fillRect(0, 0, output.width, output.height);
+    for (const face of faces) {
+        const mask = window.FaceBlender.createEdgeFeatheredMask(face.pixelLandmarks, output.width, output.height,
+            settings.edgeBlur, settings.falloff, { offset: settings.maskOffset, outline: face.featureRegions.outline });
+        if (!mask) continue;
+        const holes = getKeptFeatureHoles(face.featureRegions);
+        if (holes.length > 0) {
+            window.FaceBlender.cutFeatureHoles(mask, holes, settings.holeFeather);
+        }
+        outputCtx.drawImage(mask, 0, 0);
     }
+
+    output.toBlob(blob => {
+        const baseName = (currentVideoFilename || 'face').replace(/\.[^.]+$/, '');
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `${baseName}-blend-mask.png`;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(a.href), 0);
+    }, 'image/png');
+}
+
+/**
+ * Detect faces in the video frame currently drawn on mainCanvas (cache and export
+ * passes), with the video face limit instead of the still-image default.
+ * @returns {Promise<Array|null>} Landmarks per face
+ */
+function detectVideoFrame() {
+    return window.FaceLandmarkerModule.detectImage(mainCanvas, {
+        numFaces: window.FaceLandmarkerModule.getMaxVideoFaces()
+    });
 }
 
 /**
@@ -236,10 +1558,10 @@ async function precomputeAllFrames() {
     cachingCancelled = false;
     frameCacheValid = false;
     warpedFrameCache.clear();
+    resetFaceTracking();
 
     // Track current warp mode
-    currentCacheWarpMode = warpModeTPS && warpModeTPS.checked ? 'tps' : 'affine';
-    const useTPS = currentCacheWarpMode === 'tps';
+    currentCacheWarpMode = getWarpMode();
 
     // Pause video and rendering loop during caching
     const wasPlaying = !sourceVideo.paused;
@@ -293,52 +1615,49 @@ async function precomputeAllFrames() {
         let currentLandmarks = null;
         const timeKey = Math.floor(currentTime * 1000);
 
-        if (videoLandmarkCache.has(timeKey)) {
-            currentLandmarks = videoLandmarkCache.get(timeKey);
+        // Draw frame to canvas for detection and face thumbnails
+        ctx.drawImage(sourceVideo, 0, 0, mainCanvas.width, mainCanvas.height);
+
+        const knownLandmarks = getKnownLandmarks(timeKey);
+        if (knownLandmarks !== undefined) {
+            currentLandmarks = knownLandmarks;
         } else if (window.FaceLandmarkerModule && window.FaceLandmarkerModule.isReady()) {
-            // Draw frame to canvas for detection
-            ctx.drawImage(sourceVideo, 0, 0, mainCanvas.width, mainCanvas.height);
-            currentLandmarks = await window.FaceLandmarkerModule.detectImage(mainCanvas);
+            currentLandmarks = await detectVideoFrame();
             if (currentLandmarks && currentLandmarks.length > 0) {
                 videoLandmarkCache.set(timeKey, currentLandmarks);
             }
         }
 
-        // Compute warped frame if landmarks found
-        if (currentLandmarks && currentLandmarks.length > 0) {
-            for (const faceLandmarks of currentLandmarks) {
-                const stableVideoLandmarks = window.FaceLandmarkerModule.getStableLandmarks(faceLandmarks);
-
-                if (stableVideoLandmarks.length === srcCache.pixelLandmarks.length) {
-                    const videoPixelLandmarks = stableVideoLandmarks.map(lm => ({
-                        x: lm.x * mainCanvas.width,
-                        y: lm.y * mainCanvas.height
-                    }));
-
-                    // Clear and warp
-                    tempWarpCtx.clearRect(0, 0, tempWarpCanvas.width, tempWarpCanvas.height);
-
-                    if (useTPS && window.TPSWarper) {
-                        const bbox = window.TPSWarper.computeBoundingBoxFromLandmarks(videoPixelLandmarks, 30);
-                        window.TPSWarper.warpFaceTPS(
-                            tempWarpCtx, faceImage, srcCache.pixelLandmarks,
-                            videoPixelLandmarks, bbox, 25
-                        );
-                    } else {
-                        window.FaceWarper.warpFace(
-                            tempWarpCtx, faceImage, srcCache.pixelLandmarks,
-                            videoPixelLandmarks, srcCache.triangles
-                        );
-                    }
-
-                    // Store warped frame data
-                    const warpedData = tempWarpCtx.getImageData(0, 0, tempWarpCanvas.width, tempWarpCanvas.height);
-                    warpedFrameCache.set(timeKey, {
-                        imageData: warpedData,
-                        landmarks: videoPixelLandmarks
-                    });
-                }
-            }
+        const tracks = trackVideoFaces(currentLandmarks, currentTime);
+        captureFaceThumbnails(tracks);
+        captureExpressionReferences(tracks);
+
+        // Compute one warped layer per tracked face
+        const cachedFaces = [];
+        for (const track of tracks) {
+            const source = getTrackSource(track.id);
+            if (!source) continue;
+            const faceLandmarks = getExpressionLandmarks(track, source);
+            const videoPixelLandmarks = getStablePixelLandmarks(faceLandmarks, source);
+            if (!videoPixelLandmarks) continue;
+
+            // Clear and warp
+            tempWarpCtx.clearRect(0, 0, tempWarpCanvas.width, tempWarpCanvas.height);
+            warpSourceFace(tempWarpCtx, source, videoPixelLandmarks, currentCacheWarpMode, faceLandmarks);
+            const featureRegions = getFeatureRegionPixels(track.landmarks);
+
+            // Store warped face data
+            cachedFaces.push({
+                trackId: track.id,
+                imageData: tempWarpCtx.getImageData(0, 0, tempWarpCanvas.width, tempWarpCanvas.height),
+                landmarks: videoPixelLandmarks,
+                featureRegions,
+                pose: track.pose,
+                faceColor: getStableFaceColor(track.id, currentTime, tempWarpCtx, videoPixelLandmarks, featureRegions)
+            });
+        }
+        if (cachedFaces.length > 0) {
+            warpedFrameCache.set(timeKey, { faces: cachedFaces });
         }
 
         // Update progress
@@ -350,6 +1669,7 @@ async function precomputeAllFrames() {
 
     hideLoadingOverlay();
     isCaching = false;
+    updateDetectorInfo(); // The IMAGE landmarker may have been created while caching
 
     if (!cachingCancelled) {
         frameCacheValid = true;
@@ -385,6 +1705,9 @@ function loadSampleVideo(src, filename) {
         seekSlider.max = sourceVideo.duration;
         updateTimeDisplay();
         videoLandmarkCache.clear();
+        clearLandmarkTrack();
+        resetFaceTracking();
+        resetFacePicker();
 
         // Trigger frame pre-caching ONLY if swap is active and cache toggle is enabled
         if (isSwapEnabled && enableCacheCheckbox && enableCacheCheckbox.checked && window.PhotoProcessor && window.PhotoProcessor.isProcessed()) {
@@ -405,52 +1728,170 @@ function loadSampleVideo(src, filename) {
 
 // Load a sample photo from the samples folder
 async function loadSamplePhoto(src, filename) {
+    // Already processed: switch to it without running detection again
+    const existing = window.PhotoProcessor && window.PhotoProcessor.listPhotos().find(entry => entry.src === src);
+    if (existing && !groupPhotoSources.has(src)) {
+        selectSourcePhoto(existing.id);
+        return;
+    }
+
     console.log(`Loading sample photo: ${src}`);
+    loadSourcePhoto(src, filename);
+}
+
+/**
+ * Detect and preprocess a source photo, then add it to the photo library.
+ * When the photo contains several faces the user picks one, unless faceSelector is given.
+ * If no face is used (none detected, or the user cancels), the previous source is kept.
+ * @param {string} src - Image URL.
+ * @param {string} filename - Display name.
+ * @param {number|string} [faceSelector] - Face index, 'largest' or 'frontal' (see PhotoProcessor.chooseFace).
+ */
+function loadSourcePhoto(src, filename, faceSelector) {
+    const previousId = window.PhotoProcessor ? window.PhotoProcessor.getSelectedPhotoId() : null;
     showLoadingOverlay('Processing photo...');
     faceImage.src = src;
 
     faceImage.onload = async () => {
-        registerAsset('imageInput', filename);
-
-        if (window.PhotoProcessor) {
-            window.PhotoProcessor.clearCache();
+        // Same <img> element with new pixels: drop any GPU texture made from it
+        if (window.WebGLWarper) {
+            window.WebGLWarper.invalidateTexture();
         }
-
         if (window.FaceLandmarkerModule && window.FaceLandmarkerModule.isReady()) {
-            imageLandmarks = await window.FaceLandmarkerModule.detectImage(faceImage);
-            if (imageLandmarks && imageLandmarks.length > 0) {
-                console.log(`Detected ${imageLandmarks[0].length} landmarks on source face`);
-
-                if (window.PhotoProcessor) {
-                    const cache = window.PhotoProcessor.preprocess(
-                        imageLandmarks[0],
-                        faceImage.naturalWidth,
-                        faceImage.naturalHeight
-                    );
-                    if (cache) {
-                        console.log("Source photo preprocessed and cached successfully");
-                    }
-                }
-            } else {
-                console.log("No face detected in source image");
-                imageLandmarks = null;
+            const faces = await window.FaceLandmarkerModule.detectImage(faceImage, { numFaces: SOURCE_PHOTO_MAX_FACES });
+            updateDetectorInfo();
+            const faceIndex = await chooseSourceFace(faces, faceSelector);
+
+            if (faceIndex < 0) {
+                console.log(faces && faces.length > 0
+                    ? "Face selection cancelled, keeping the previous source"
+                    : "No face detected in source image, keeping the previous source");
+                showSourcePhoto(previousId !== null ? window.PhotoProcessor.getPhoto(previousId) : null);
+                hideLoadingOverlay();
+                return;
             }
 
-            updateWarpButtonState();
-            updateSwapButtonState();
+            imageLandmarks = [faces[faceIndex]];
+            console.log(`Detected ${faces.length} face(s), using face ${faceIndex} with ${imageLandmarks[0].length} landmarks`);
 
-            // Invalidate and conditionally re-cache frames when new image processed
-            invalidateFrameCache('new face image processed');
-            if (isSwapEnabled && enableCacheCheckbox && enableCacheCheckbox.checked && sourceVideo.src && sourceVideo.duration > 0) {
-                precomputeAllFrames();
-            } else if (!sourceVideo.src || sourceVideo.paused) {
-                redrawCanvas();
+            // Preprocess the photo: extract stable landmarks, compute bounding box, triangulate.
+            // The active source only changes once this succeeded.
+            if (window.PhotoProcessor) {
+                const cache = window.PhotoProcessor.preprocess(
+                    imageLandmarks[0],
+                    faceImage.naturalWidth,
+                    faceImage.naturalHeight
+                );
+                if (!cache) {
+                    console.warn("Source photo could not be preprocessed, keeping the previous source");
+                    showSourcePhoto(previousId !== null ? window.PhotoProcessor.getPhoto(previousId) : null);
+                    hideLoadingOverlay();
+                    alert(`Could not use the face in "${filename}". The previous source photo is kept.`);
+                    return;
+                }
+                console.log("Source photo preprocessed and cached successfully");
+                if (faces.length > 1) {
+                    groupPhotoSources.add(src);
+                }
+                addSourcePhoto(faces.length > 1 ? `${filename} (face ${faceIndex + 1})` : filename, src, cache);
             }
+
+            // Refresh UI and invalidate / conditionally re-cache frames
+            handleSourceChange('new face image processed');
         }
         hideLoadingOverlay();
     };
 }
 
+/**
+ * Decide which detected face of a source photo to use.
+ * @param {Array|null} faces - Detected faces (normalized landmarks).
+ * @param {number|string} [faceSelector] - Face index, 'largest' or 'frontal'; asks the user if omitted.
+ * @returns {Promise<number>} Face index, or -1 if there is no usable face or the user cancelled.
+ */
+async function chooseSourceFace(faces, faceSelector) {
+    if (!faces || faces.length === 0) {
+        return -1;
+    }
+    if (faceSelector !== undefined) {
+        return window.PhotoProcessor.chooseFace(faces, faceSelector, faceImage.naturalWidth, faceImage.naturalHeight);
+    }
+    if (faces.length === 1) {
+        return 0;
+    }
+
+    hideLoadingOverlay();
+    const faceIndex = await promptFaceSelection(faces);
+    showLoadingOverlay('Processing photo...');
+    return faceIndex;
+}
+
+/**
+ * Show the source photo with a numbered box around each face and wait for the user to pick one.
+ * @param {Array} faces - Detected faces (normalized landmarks).
+ * @returns {Promise<number>} Index of the chosen face, or -1 if the user cancelled.
+ */
+function promptFaceSelection(faces) {
+    const width = faceImage.naturalWidth;
+    const height = faceImage.naturalHeight;
+    const scale = Math.min(1, 640 / width, 400 / height);
+    faceSelectCanvas.width = Math.round(width * scale);
+    faceSelectCanvas.height = Math.round(height * scale);
+
+    const selectCtx = faceSelectCanvas.getContext('2d');
+    selectCtx.drawImage(faceImage, 0, 0, faceSelectCanvas.width, faceSelectCanvas.height);
+
+    const boxes = faces.map(landmarks => window.PhotoProcessor.computeBoundingBox(
+        landmarks.map(lm => ({ x: lm.x * width, y: lm.y * height })),
+        width,
+        height
+    ));
+    boxes.forEach((box, index) => {
+        window.PhotoProcessor.drawBoundingBox(selectCtx, box, scale, scale, "#00FFFF");
+        selectCtx.fillStyle = "#00FFFF";
+        selectCtx.font = "bold 16px sans-serif";
+        selectCtx.textBaseline = "bottom";
+        selectCtx.fillText(`${index + 1}`, box.x * scale + 4, Math.max(18, box.y * scale - 2));
+    });
+
+    faceSelectModal.classList.add('active');
+
+    return new Promise(resolve => {
+        const finish = (index) => {
+            faceSelectCanvas.onclick = null;
+            selectLargestFaceBtn.onclick = null;
+            selectFrontalFaceBtn.onclick = null;
+            cancelFaceSelectBtn.onclick = null;
+            document.removeEventListener('keydown', onKeyDown);
+            faceSelectModal.classList.remove('active');
+            resolve(index);
+        };
+
+        faceSelectCanvas.onclick = (e) => {
+            const rect = faceSelectCanvas.getBoundingClientRect();
+            const x = (e.clientX - rect.left) * (faceSelectCanvas.width / rect.width) / scale;
+            const y = (e.clientY - rect.top) * (faceSelectCanvas.height / rect.height) / scale;
+
+            // Smallest box under the cursor, so nested/overlapping faces stay selectable
+            let picked = -1;
+            boxes.forEach((box, index) => {
+                const inside = x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height;
+                if (inside && (picked < 0 || box.width * box.height < boxes[picked].width * boxes[picked].height)) {
+                    picked = index;
+                }
+            });
+            if (picked >= 0) finish(picked);
+        };
+        selectLargestFaceBtn.onclick = () => finish(window.PhotoProcessor.chooseFace(faces, 'largest', width, height));
+        selectFrontalFaceBtn.onclick = () => finish(window.PhotoProcessor.chooseFace(faces, 'frontal', width, height));
+        cancelFaceSelectBtn.onclick = () => finish(-1);
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') finish(-1);
+        };
+        document.addEventListener('keydown', onKeyDown);
+    });
+}
+
 // Handle Video Upload
 videoInput.addEventListener('change', (e) => {
     const file = e.target.files[0];
@@ -473,6 +1914,9 @@ videoInput.addEventListener('change', (e) => {
 
             // Clear video landmark cache when new video loaded
             videoLandmarkCache.clear();
+            clearLandmarkTrack();
+            resetFaceTracking();
+            resetFacePicker();
 
             sourceVideo.play()
                 .then(() => {
@@ -500,6 +1944,7 @@ playPauseBtn.addEventListener('click', () => {
 
 seekSlider.addEventListener('input', () => {
     sourceVideo.currentTime = seekSlider.value;
+    resetLandmarkSmoothing();
     updateTimeDisplay();
     // If paused, trigger a single frame draw to show the seek result
     if (sourceVideo.paused) {
@@ -528,24 +1973,225 @@ falloffSlider.addEventListener('input', () => {
     falloffVal.textContent = `${falloffSlider.value}%`;
 });
 
+// Mask grow/shrink slider listener
+if (maskOffsetSlider) {
+    maskOffsetSlider.addEventListener('input', () => {
+        maskOffsetVal.textContent = `${maskOffsetSlider.value}px`;
+    });
+}
+if (saveBlendMaskBtn) {
+    saveBlendMaskBtn.addEventListener('click', saveBlendMask);
+}
+
+// Expression transfer listeners - cached frames were warped with the old expressions
+if (expressionTransferCheckbox) {
+    expressionTransferCheckbox.addEventListener('change', () => rebuildFrameCache('expression transfer toggled'));
+}
+if (expressionStrengthSlider) {
+    expressionStrengthSlider.addEventListener('input', () => {
+        expressionStrengthVal.textContent = `${expressionStrengthSlider.value}%`;
+    });
+    expressionStrengthSlider.addEventListener('change', () => {
+        if (expressionTransferCheckbox.checked) {
+            rebuildFrameCache('expression strength changed');
+        }
+    });
+}
+
+// Color matching listeners - cached frames store the (smoothed) color statistics of their mode
+[autoMatchCheckbox, colorMatchModeSelect, colorStabilizeCheckbox].forEach(control => {
+    if (!control) return;
+    control.addEventListener('change', () => {
+        if (colorStabilizer) {
+            colorStabilizer.reset();
+        }
+        rebuildFrameCache('color matching changed');
+    });
+});
+
+// Keep target features listeners - applied at blend time (cached frames store the regions)
+if (featureFeatherSlider) {
+    featureFeatherSlider.addEventListener('input', () => {
+        featureFeatherVal.textContent = `${featureFeatherSlider.value}px`;
+    });
+}
+// Blend mode listener - applied at blend time, like the feathering sliders
+if (blendModeSelect) {
+    blendModeSelect.addEventListener('change', () => {
+        const blendMode = blendModeSelect.value;
+        featherControls.hidden = blendMode !== 'feather';
+        poissonHint.hidden = blendMode !== 'poisson';
+        multiBandControls.hidden = blendMode !== 'multiband';
+        multiBandHint.hidden = blendMode !== 'multiband';
+        if (sourceVideo.src && sourceVideo.paused) {
+            drawFrame();
+        }
+    });
+}
+if (blendLevelsSlider) {
+    blendLevelsSlider.addEventListener('input', () => {
+        blendLevelsVal.textContent = blendLevelsSlider.value;
+    });
+    blendLevelsSlider.addEventListener('change', () => {
+        if (sourceVideo.src && sourceVideo.paused) {
+            drawFrame();
+        }
+    });
+}
+
+// Face limit - frames detected with the old limit have to be detected again
+if (maxVideoFacesSlider) {
+    maxVideoFacesSlider.addEventListener('input', () => {
+        maxVideoFacesVal.textContent = maxVideoFacesSlider.value;
+    });
+    maxVideoFacesSlider.addEventListener('change', async () => {
+        if (!window.FaceLandmarkerModule) return;
+        await window.FaceLandmarkerModule.setMaxVideoFaces(parseInt(maxVideoFacesSlider.value));
+        videoLandmarkCache.clear();
+        updateDetectorInfo();
+        rebuildFrameCache('max faces changed');
+    });
+}
+
+// Head pose listeners - applied at blend time (cached frames store the poses)
+if (poseMaxYawSlider) {
+    poseMaxYawSlider.addEventListener('input', () => {
+        poseMaxYawVal.textContent = `${poseMaxYawSlider.value}°`;
+    });
+}
+// Blend-time settings only need a redraw of the paused frame
+[keepTargetEyesCheckbox, keepTargetMouthCheckbox, featureFeatherSlider, poseFadeCheckbox, poseMaxYawSlider].forEach(control => {
+    if (!control) return;
+    control.addEventListener('change', () => {
+        if (sourceVideo.src && sourceVideo.paused) {
+            drawFrame();
+        }
+    });
+});
+
 // Warp mode change listeners - invalidate cache and re-compute
 function handleWarpModeChange() {
-    const newMode = warpModeTPS && warpModeTPS.checked ? 'tps' : 'affine';
+    const newMode = getWarpMode();
     if (newMode !== currentCacheWarpMode && frameCacheValid) {
         console.log(`Warp mode changed from ${currentCacheWarpMode} to ${newMode}`);
-        invalidateFrameCache('warp mode changed');
-        if (isSwapEnabled && enableCacheCheckbox && enableCacheCheckbox.checked && sourceVideo.src && sourceVideo.duration > 0 && window.PhotoProcessor && window.PhotoProcessor.isProcessed()) {
-            precomputeAllFrames();
-        }
+        rebuildFrameCache('warp mode changed');
+    }
+    // Triangle overlays follow the warp mode (dense mesh vs. stable mesh)
+    if (showTrianglesCheckbox.checked && (!sourceVideo.src || sourceVideo.paused)) {
+        redrawCanvas();
+    }
+    if (mlsControls) {
+        mlsControls.hidden = newMode !== 'mls';
+    }
+    if (gridWarpControls) {
+        gridWarpControls.hidden = newMode !== 'tps' && newMode !== 'mls';
+        document.getElementById('tpsSmoothingBlock').hidden = newMode !== 'tps';
+    }
+}
+
+// Temporal smoothing listeners - cached frames were built with the old settings
+function updateSmoothingLabels() {
+    smoothingCutoffVal.textContent = `${parseFloat(smoothingCutoffSlider.value).toFixed(1)} Hz`;
+    smoothingBetaVal.textContent = smoothingBetaSlider.value;
+    kalmanNoiseVal.textContent = Math.pow(10, parseFloat(kalmanNoiseSlider.value)).toPrecision(2);
+    document.getElementById('oneEuroControls').hidden = smoothingFilterSelect.value !== 'oneEuro';
+    document.getElementById('kalmanControls').hidden = smoothingFilterSelect.value !== 'kalman';
+}
+
+function handleSmoothingChange() {
+    updateSmoothingLabels();
+    if (landmarkSmoother) {
+        landmarkSmoother.setOptions(getSmoothingOptions());
+    }
+
+    if (frameCacheValid) {
+        rebuildFrameCache('smoothing settings changed');
     }
 }
 
+[smoothingFilterSelect, smoothingCutoffSlider, smoothingBetaSlider, kalmanNoiseSlider].forEach(control => {
+    control.addEventListener('input', updateSmoothingLabels);
+    control.addEventListener('change', handleSmoothingChange);
+});
+
 if (warpModeAffine) {
     warpModeAffine.addEventListener('change', handleWarpModeChange);
 }
 if (warpModeTPS) {
     warpModeTPS.addEventListener('change', handleWarpModeChange);
 }
+if (warpModeDense) {
+    warpModeDense.addEventListener('change', handleWarpModeChange);
+}
+if (warpModeMLS) {
+    warpModeMLS.addEventListener('change', handleWarpModeChange);
+}
+if (mlsModeSelect) {
+    // Rigid and similarity MLS give different frames
+    mlsModeSelect.addEventListener('change', () => {
+        if (frameCacheValid && currentCacheWarpMode === 'mls') {
+            rebuildFrameCache('MLS deformation changed');
+        } else if (getWarpMode() === 'mls' && sourceVideo.src && sourceVideo.paused) {
+            drawFrame();
+        }
+    });
+}
+// Forehead extension listeners - cached frames were built with the old height
+function updateForeheadLabel() {
+    const value = parseInt(foreheadHeightSlider.value);
+    foreheadHeightVal.textContent = value > 0 ? `${value}%` : 'Off';
+}
+
+function handleForeheadChange() {
+    updateForeheadLabel();
+    rebuildFrameCache('forehead height changed');
+}
+
+if (foreheadHeightSlider) {
+    foreheadHeightSlider.addEventListener('input', updateForeheadLabel);
+    foreheadHeightSlider.addEventListener('change', handleForeheadChange);
+}
+
+// Grid warp listeners - TPS/MLS caches were built with the old grid
+function updateGridWarpLabels() {
+    const grid = getGridWarpSettings();
+    tpsSmoothingVal.textContent = grid.lambda > 0 ? grid.lambda.toFixed(2) : 'Off';
+    warpGridSizeVal.textContent = `${grid.gridSize} × ${grid.gridSize}`;
+    warpGridPaddingVal.textContent = `${grid.padding}px`;
+}
+
+function handleGridWarpChange(affectedModes) {
+    updateGridWarpLabels();
+    if (frameCacheValid && affectedModes.includes(currentCacheWarpMode)) {
+        rebuildFrameCache('grid warp settings changed');
+    } else if (affectedModes.includes(getWarpMode()) && sourceVideo.src && sourceVideo.paused) {
+        drawFrame();
+    }
+}
+
+if (tpsSmoothingSlider) {
+    tpsSmoothingSlider.addEventListener('input', updateGridWarpLabels);
+    tpsSmoothingSlider.addEventListener('change', () => handleGridWarpChange(['tps']));
+}
+[warpGridSizeSlider, warpGridPaddingSlider].forEach(slider => {
+    if (!slider) return;
+    slider.addEventListener('input', updateGridWarpLabels);
+    slider.addEventListener('change', () => handleGridWarpChange(['tps', 'mls']));
+});
+
+if (seamFreeWarpCheckbox) {
+    // Changes the pixels of affine and dense frames, so their caches are stale
+    seamFreeWarpCheckbox.addEventListener('change', () => {
+        if (frameCacheValid && (currentCacheWarpMode === 'affine' || currentCacheWarpMode === 'dense')) {
+            rebuildFrameCache('seam-free warping toggled');
+        }
+    });
+}
+if (gpuWarpCheckbox && !(window.WebGLWarper && window.WebGLWarper.isSupported())) {
+    gpuWarpCheckbox.checked = false;
+    gpuWarpCheckbox.disabled = true;
+    document.getElementById('gpuWarpHint').hidden = false;
+}
 
 // Helper: Wait for valid video data
 function waitForVideoData(video) {
@@ -574,6 +2220,7 @@ async function exportVideo() {
     isExporting = true;
     exportCancelled = false;
     lastGoodLandmarks = null; // Reset persistence
+    resetFaceTracking();
 
     // UI Feedback
     exportModal.classList.add('active');
@@ -754,13 +2401,14 @@ async function processExportFrame() {
     let currentLandmarks = null;
     const timeKey = Math.floor(sourceVideo.currentTime * 1000);
 
-    if (videoLandmarkCache.has(timeKey)) {
-        currentLandmarks = videoLandmarkCache.get(timeKey);
+    const knownLandmarks = getKnownLandmarks(timeKey);
+    if (knownLandmarks !== undefined) {
+        currentLandmarks = knownLandmarks;
     } else if (window.FaceLandmarkerModule && window.FaceLandmarkerModule.isReady()) {
         // "Image Mode" for Export: Detect on specific pixels (accurate but slower)
         // We pass mainCanvas because we just drew the video frame onto it
         for (let attempt = 0; attempt < 3; attempt++) {
-            currentLandmarks = await window.FaceLandmarkerModule.detectImage(mainCanvas);
+            currentLandmarks = await detectVideoFrame();
             if (currentLandmarks && currentLandmarks.length > 0) {
                 videoLandmarkCache.set(timeKey, currentLandmarks);
                 break; // Found it!
@@ -778,51 +2426,25 @@ async function processExportFrame() {
         currentLandmarks = lastGoodLandmarks;
     }
 
+    const tracks = trackVideoFaces(currentLandmarks, sourceVideo.currentTime);
+    captureExpressionReferences(tracks);
+
     // Apply swap if possible
-    if (isSwapEnabled && currentLandmarks && currentLandmarks.length > 0) {
-        const srcCache = window.PhotoProcessor.getCache();
-        if (srcCache) {
-            for (const faceLandmarks of currentLandmarks) {
-                const stableVideoLandmarks = window.FaceLandmarkerModule.getStableLandmarks(faceLandmarks);
-                if (stableVideoLandmarks.length === srcCache.pixelLandmarks.length) {
-                    const videoPixelLandmarks = stableVideoLandmarks.map(lm => ({
-                        x: lm.x * mainCanvas.width,
-                        y: lm.y * mainCanvas.height
-                    }));
-
-                    // Prepare warp canvas
-                    if (!warpCanvas || warpCanvas.width !== mainCanvas.width || warpCanvas.height !== mainCanvas.height) {
-                        warpCanvas = document.createElement('canvas');
-                        warpCanvas.width = mainCanvas.width;
-                        warpCanvas.height = mainCanvas.height;
-                        warpCtx = warpCanvas.getContext('2d');
-                    }
-                    warpCtx.clearRect(0, 0, warpCanvas.width, warpCanvas.height);
-
-                    // Warp - check warp mode
-                    const useTPS = warpModeTPS && warpModeTPS.checked;
-                    if (useTPS && window.TPSWarper) {
-                        const bbox = window.TPSWarper.computeBoundingBoxFromLandmarks(videoPixelLandmarks, 30);
-                        window.TPSWarper.warpFaceTPS(warpCtx, faceImage, srcCache.pixelLandmarks, videoPixelLandmarks, bbox, 25);
-                    } else {
-                        window.FaceWarper.warpFace(warpCtx, faceImage, srcCache.pixelLandmarks, videoPixelLandmarks, srcCache.triangles);
-                    }
-
-                    // Color Match
-                    if (autoMatchCheckbox.checked) {
-                        const sourceStats = window.FaceBlender.getColorStats(warpCtx, videoPixelLandmarks, warpCanvas.width, warpCanvas.height);
-                        const targetStats = window.FaceBlender.getColorStats(ctx, videoPixelLandmarks, mainCanvas.width, mainCanvas.height);
-                        if (sourceStats && targetStats) {
-                            window.FaceBlender.matchColorStats(warpCtx, warpCanvas.width, warpCanvas.height, sourceStats, targetStats);
-                        }
-                    }
-
-                    // Blend
-                    const edgeBlur = parseInt(edgeFeatherSlider.value) || 20;
-                    const falloff = parseInt(falloffSlider.value) || 70;
-                    window.FaceBlender.applyFeatheredBlend(ctx, warpCanvas, videoPixelLandmarks, edgeBlur, falloff);
-                }
-            }
+    if (isSwapEnabled && tracks.length > 0) {
+        const warpMode = getWarpMode();
+        for (const track of tracks) {
+            const source = getTrackSource(track.id);
+            const opacity = getPoseOpacity(track.pose);
+            if (!source || opacity <= 0) continue;
+            const faceLandmarks = getExpressionLandmarks(track, source);
+            const videoPixelLandmarks = getStablePixelLandmarks(faceLandmarks, source);
+            if (!videoPixelLandmarks) continue;
+
+            const targetWarpCtx = prepareWarpCanvas();
+            warpSourceFace(targetWarpCtx, source, videoPixelLandmarks, warpMode, faceLandmarks);
+            const featureRegions = getFeatureRegionPixels(track.landmarks);
+            const faceColor = getStableFaceColor(track.id, sourceVideo.currentTime, targetWarpCtx, videoPixelLandmarks, featureRegions);
+            blendWarpedFace(warpCanvas, targetWarpCtx, videoPixelLandmarks, featureRegions, opacity, faceColor);
         }
     }
 
@@ -841,49 +2463,44 @@ cancelExportBtn.addEventListener('click', () => {
 imageInput.addEventListener('change', async (e) => {
     const file = e.target.files[0];
     if (file) {
-        const url = URL.createObjectURL(file);
-        showLoadingOverlay('Processing photo...');
-        faceImage.src = url;
-        faceImage.onload = async () => {
-            registerAsset('imageInput', file.name);
+        loadSourcePhoto(URL.createObjectURL(file), file.name);
+    }
+});
 
-            // Clear previous cache
-            if (window.PhotoProcessor) {
-                window.PhotoProcessor.clearCache();
-            }
+trackInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow loading the same file again
+    if (!file) return;
 
-            // Detect landmarks on the face image
-            if (window.FaceLandmarkerModule && window.FaceLandmarkerModule.isReady()) {
-                imageLandmarks = await window.FaceLandmarkerModule.detectImage(faceImage);
-                if (imageLandmarks && imageLandmarks.length > 0) {
-                    console.log(`Detected ${imageLandmarks[0].length} landmarks on source face`);
-
-                    // Preprocess the photo: extract stable landmarks, compute bounding box, triangulate
-                    if (window.PhotoProcessor) {
-                        const cache = window.PhotoProcessor.preprocess(
-                            imageLandmarks[0],
-                            faceImage.naturalWidth,
-                            faceImage.naturalHeight
-                        );
-                        if (cache) {
-                            console.log("Source photo preprocessed and cached successfully");
-                        }
-                    }
-                } else {
-                    console.log("No face detected in source image");
-                    imageLandmarks = null;
-                }
+    if (!sourceVideo.src) {
+        alert("Load the video before its landmark track.");
+        return;
+    }
 
-                updateWarpButtonState();
-                updateSwapButtonState();
+    try {
+        const track = loadLandmarkTrack(await file.arrayBuffer());
+        console.log(`Loaded landmark track ${file.name}: ${track.frames.length} frames`);
+    } catch (error) {
+        console.warn("Landmark track import failed:", error);
+        alert(`Could not load ${file.name}: ${error.message}`);
+    }
+});
 
-                // Trigger a canvas redraw if video is not playing
-                if (!sourceVideo.src || sourceVideo.paused) {
-                    redrawCanvas();
-                }
-            }
-            hideLoadingOverlay();
-        };
+saveTrackJsonBtn.addEventListener('click', () => saveLandmarkTrack(false));
+saveTrackBinaryBtn.addEventListener('click', () => saveLandmarkTrack(true));
+
+facePackInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+
+    try {
+        await importFacePack(await file.text());
+        console.log(`Imported face pack: ${file.name}`);
+    } catch (error) {
+        console.warn("Face pack import failed:", error);
+        const details = error.problems && error.problems.length > 1 ? `\n- ${error.problems.join('\n- ')}` : '';
+        alert(`Could not import ${file.name}: ${error.message}${details}`);
     }
 });
 
@@ -907,6 +2524,7 @@ targetImageInput.addEventListener('change', async (e) => {
 
                     // Convert to pixel coordinates
                     targetCache = {
+                        allLandmarks: targetLandmarks[0],
                         landmarks: stableTargetLandmarks,
                         pixelLandmarks: stableTargetLandmarks.map(lm => ({
                             x: lm.x * targetImage.naturalWidth,
@@ -1007,26 +2625,40 @@ function performFaceWarp() {
     mainCanvas.width = targetCache.width;
     mainCanvas.height = targetCache.height;
 
+    // Stable (and forehead) landmarks of both faces, in target pixel coordinates
+    const dstLandmarks = getStablePixelLandmarks(targetCache.allLandmarks, srcCache);
+    if (!dstLandmarks) {
+        console.warn("Source and target landmarks don't match");
+        return;
+    }
+
     // Draw target image as background
     ctx.drawImage(targetImage, 0, 0);
 
-    // Perform the face warp
-    window.FaceWarper.warpFace(
-        ctx,
-        faceImage,
-        srcCache.pixelLandmarks,
-        targetCache.pixelLandmarks,
-        srcCache.triangles
-    );
+    // Perform the face warp with the selected warp mode, like the video paths. The library
+    // entry's own copy of the image is used: faceImage is reused for every upload, so the
+    // GPU texture cache (keyed on the image object) would keep the previous photo
+    const warpMode = getWarpMode();
+    const entry = window.PhotoProcessor.getPhoto(window.PhotoProcessor.getSelectedPhotoId());
+    const source = entry && entry.image ? entry : { ...srcCache, image: faceImage };
+    const targetWarpCtx = prepareWarpCanvas();
+    warpSourceFace(targetWarpCtx, source, dstLandmarks, warpMode, targetCache.allLandmarks);
+    if (window.FaceBlender) {
+        // Same color matching and blend mode as the video paths
+        blendWarpedFace(warpCanvas, targetWarpCtx, dstLandmarks, getFeatureRegionPixels(targetCache.allLandmarks));
+    } else {
+        ctx.drawImage(warpCanvas, 0, 0);
+    }
 
-    console.log("Face warp complete!");
+    console.log(`Face warp complete (${warpMode})!`);
 
     // Draw debug overlays if enabled
     if (showTrianglesCheckbox.checked) {
+        const mesh = getWarpMesh(source, dstLandmarks, warpMode, targetCache.allLandmarks);
         window.PhotoProcessor.drawTriangleMesh(
             ctx,
-            targetCache.pixelLandmarks,
-            srcCache.triangles,
+            mesh.dstLandmarks,
+            mesh.triangles,
             1, 1,
             "#00FFFF"
         );
@@ -1127,7 +2759,11 @@ function redrawCanvas() {
                 // Scale from original image size to canvas size
                 const scaleX = mainCanvas.width / cache.imageWidth;
                 const scaleY = mainCanvas.height / cache.imageHeight;
-                window.PhotoProcessor.drawTriangleMesh(ctx, cache.pixelLandmarks, cache.triangles, scaleX, scaleY, "#FFFF00");
+                if (getWarpMode() === 'dense' && window.FaceMeshTopology.isFullMesh(cache.allLandmarks)) {
+                    window.PhotoProcessor.drawTriangleMesh(ctx, cache.allLandmarks, window.FaceMeshTopology.TRIANGLES, mainCanvas.width, mainCanvas.height, "#FFFF00");
+                } else {
+                    window.PhotoProcessor.drawTriangleMesh(ctx, cache.pixelLandmarks, cache.triangles, scaleX, scaleY, "#FFFF00");
+                }
                 window.PhotoProcessor.drawBoundingBox(ctx, cache.boundingBox, scaleX, scaleY, "#00FFFF");
             }
         }
@@ -1140,20 +2776,25 @@ function drawFrame() {
     // Draw video frame
     ctx.drawImage(sourceVideo, 0, 0, mainCanvas.width, mainCanvas.height);
 
-    // Detect landmarks on video frame (check cache first)
-    if (window.FaceLandmarkerModule && window.FaceLandmarkerModule.isReady()) {
+    // Detect landmarks on video frame (check cache / loaded track first)
+    if (landmarkTrackLookup || (window.FaceLandmarkerModule && window.FaceLandmarkerModule.isReady())) {
         if (sourceVideo.currentTime !== lastVideoTime) {
             const timeKey = Math.floor(sourceVideo.currentTime * 1000); // ms precision key
 
-            if (videoLandmarkCache.has(timeKey)) {
-                videoLandmarks = videoLandmarkCache.get(timeKey);
-            } else {
-                videoLandmarks = window.FaceLandmarkerModule.detectVideo(sourceVideo, timestamp);
+            let detectedLandmarks = getKnownLandmarks(timeKey);
+            if (detectedLandmarks === undefined) {
+                // Not covered by a loaded track: detect, if the model is available
+                detectedLandmarks = window.FaceLandmarkerModule && window.FaceLandmarkerModule.isReady()
+                    ? window.FaceLandmarkerModule.detectVideo(sourceVideo, timestamp)
+                    : null;
                 // Only cache if landmarks were actually found
-                if (videoLandmarks && videoLandmarks.length > 0) {
-                    videoLandmarkCache.set(timeKey, videoLandmarks);
+                if (detectedLandmarks && detectedLandmarks.length > 0) {
+                    videoLandmarkCache.set(timeKey, detectedLandmarks);
                 }
             }
+            videoTracks = trackVideoFaces(detectedLandmarks, sourceVideo.currentTime);
+            captureFaceThumbnails(videoTracks);
+            captureExpressionReferences(videoTracks);
 
             lastVideoTime = sourceVideo.currentTime;
 
@@ -1170,153 +2811,72 @@ function drawFrame() {
         window.FaceWarper &&
         window.PhotoProcessor &&
         window.PhotoProcessor.isProcessed() &&
-        videoLandmarks &&
-        videoLandmarks.length > 0) {
+        videoTracks.length > 0) {
 
         const timeKey = Math.floor(sourceVideo.currentTime * 1000);
         const cachedFrame = warpedFrameCache.get(timeKey);
 
         // Check if we have a valid cached frame for this timestamp
         if (frameCacheValid && cachedFrame) {
-            // Use cached warped frame - much faster!
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = cachedFrame.imageData.width;
-            tempCanvas.height = cachedFrame.imageData.height;
-            const tempCtx = tempCanvas.getContext('2d');
-            tempCtx.putImageData(cachedFrame.imageData, 0, 0);
-
-            // Apply color matching and blending to cached data
-            const edgeBlur = parseInt(edgeFeatherSlider.value) || 20;
-            const falloff = parseInt(falloffSlider.value) || 70;
-
-            if (autoMatchCheckbox.checked && cachedFrame.landmarks) {
-                const sourceStats = window.FaceBlender.getColorStats(tempCtx, cachedFrame.landmarks, tempCanvas.width, tempCanvas.height);
-                const targetStats = window.FaceBlender.getColorStats(ctx, cachedFrame.landmarks, mainCanvas.width, mainCanvas.height);
-                if (sourceStats && targetStats) {
-                    window.FaceBlender.matchColorStats(tempCtx, tempCanvas.width, tempCanvas.height, sourceStats, targetStats);
+            // Use cached warped faces - much faster!
+            for (const cachedFace of cachedFrame.faces) {
+                const opacity = getPoseOpacity(cachedFace.pose);
+                if (opacity <= 0) continue;
+                const tempCanvas = document.createElement('canvas');
+                tempCanvas.width = cachedFace.imageData.width;
+                tempCanvas.height = cachedFace.imageData.height;
+                const tempCtx = tempCanvas.getContext('2d');
+                tempCtx.putImageData(cachedFace.imageData, 0, 0);
+
+                // Apply color matching and blending to cached data
+                if (window.FaceBlender && cachedFace.landmarks) {
+                    blendWarpedFace(tempCanvas, tempCtx, cachedFace.landmarks, cachedFace.featureRegions, opacity, cachedFace.faceColor);
+                } else {
+                    ctx.save();
+                    ctx.globalAlpha = opacity;
+                    ctx.drawImage(tempCanvas, 0, 0);
+                    ctx.restore();
                 }
             }
-
-            if (window.FaceBlender && cachedFrame.landmarks) {
-                window.FaceBlender.applyFeatheredBlend(ctx, tempCanvas, cachedFrame.landmarks, edgeBlur, falloff);
-            } else {
-                ctx.drawImage(tempCanvas, 0, 0);
-            }
         } else {
             // Fall back to real-time warping if no cache
 
-            const srcCache = window.PhotoProcessor.getCache();
-            if (srcCache) {
-                // Process each detected face in the video
-                for (const faceLandmarks of videoLandmarks) {
-                    // Get stable landmarks from video face
-                    const stableVideoLandmarks = window.FaceLandmarkerModule.getStableLandmarks(faceLandmarks);
-
-                    if (stableVideoLandmarks.length === srcCache.pixelLandmarks.length) {
-                        // Convert to pixel coordinates
-                        const videoPixelLandmarks = stableVideoLandmarks.map(lm => ({
-                            x: lm.x * mainCanvas.width,
-                            y: lm.y * mainCanvas.height
-                        }));
-
-                        // Get edge feather setting
-                        const edgeBlur = parseInt(edgeFeatherSlider.value) || 20;
-
-                        // Check if feathering is enabled
-                        const useFeathering = window.FaceBlender && edgeBlur > 0;
-
-                        if (useFeathering) {
-                            // Initialize offscreen canvas if needed
-                            if (!warpCanvas || warpCanvas.width !== mainCanvas.width || warpCanvas.height !== mainCanvas.height) {
-                                warpCanvas = document.createElement('canvas');
-                                warpCanvas.width = mainCanvas.width;
-                                warpCanvas.height = mainCanvas.height;
-                                warpCtx = warpCanvas.getContext('2d');
-                            }
-
-                            // Clear and warp to offscreen canvas
-                            warpCtx.clearRect(0, 0, warpCanvas.width, warpCanvas.height);
-
-                            // Check warp mode and use appropriate warper
-                            const useTPS = warpModeTPS && warpModeTPS.checked;
-                            if (useTPS && window.TPSWarper) {
-                                // Use TPS warping
-                                const bbox = window.TPSWarper.computeBoundingBoxFromLandmarks(videoPixelLandmarks, 30);
-                                window.TPSWarper.warpFaceTPS(
-                                    warpCtx,
-                                    faceImage,
-                                    srcCache.pixelLandmarks,
-                                    videoPixelLandmarks,
-                                    bbox,
-                                    25  // Grid size for performance
-                                );
-                            } else {
-                                // Use affine triangle warping
-                                window.FaceWarper.warpFace(
-                                    warpCtx,
-                                    faceImage,
-                                    srcCache.pixelLandmarks,
-                                    videoPixelLandmarks,
-                                    srcCache.triangles
-                                );
-                            }
-
-                            // Auto-match lighting (LAB color matching)
-                            if (autoMatchCheckbox.checked) {
-                                // Get stats from source (warp canvas) and target (video on main canvas)
-                                const sourceStats = window.FaceBlender.getColorStats(warpCtx, videoPixelLandmarks, warpCanvas.width, warpCanvas.height);
-                                const targetStats = window.FaceBlender.getColorStats(ctx, videoPixelLandmarks, mainCanvas.width, mainCanvas.height);
-
-                                // Match colors on the warp canvas
-                                if (sourceStats && targetStats) {
-                                    window.FaceBlender.matchColorStats(warpCtx, warpCanvas.width, warpCanvas.height, sourceStats, targetStats);
-                                }
-                            }
-
-                            // Apply edge-feathered blending with falloff
-                            const falloff = parseInt(falloffSlider.value) || 70;
-                            window.FaceBlender.applyFeatheredBlend(
-                                ctx,
-                                warpCanvas,
-                                videoPixelLandmarks,
-                                edgeBlur,
-                                falloff
-                            );
-                        } else {
-                            // Direct warp without feathering
-                            const useTPS = warpModeTPS && warpModeTPS.checked;
-                            if (useTPS && window.TPSWarper) {
-                                const bbox = window.TPSWarper.computeBoundingBoxFromLandmarks(videoPixelLandmarks, 30);
-                                window.TPSWarper.warpFaceTPS(
-                                    ctx,
-                                    faceImage,
-                                    srcCache.pixelLandmarks,
-                                    videoPixelLandmarks,
-                                    bbox,
-                                    25
-                                );
-                            } else {
-                                window.FaceWarper.warpFace(
-                                    ctx,
-                                    faceImage,
-                                    srcCache.pixelLandmarks,
-                                    videoPixelLandmarks,
-                                    srcCache.triangles
-                                );
-                            }
-                        }
-
-                        // Draw triangle mesh overlay if debug enabled
-                        if (showTrianglesCheckbox.checked) {
-                            window.PhotoProcessor.drawTriangleMesh(
-                                ctx,
-                                videoPixelLandmarks,
-                                srcCache.triangles,
-                                1, 1,
-                                "#00FFFF"
-                            );
-                        }
-                    }
+            const warpMode = getWarpMode();
+
+            // Process each tracked face in the video with its assigned source
+            for (const track of videoTracks) {
+                const source = getTrackSource(track.id);
+                const opacity = getPoseOpacity(track.pose);
+                if (!source || opacity <= 0) continue;
+                const faceLandmarks = getExpressionLandmarks(track, source);
+                const videoPixelLandmarks = getStablePixelLandmarks(faceLandmarks, source);
+                if (!videoPixelLandmarks) continue;
+
+                if (window.FaceBlender) {
+                    // Warp to the offscreen canvas, then color-match and feather-blend
+                    const targetWarpCtx = prepareWarpCanvas();
+                    warpSourceFace(targetWarpCtx, source, videoPixelLandmarks, warpMode, faceLandmarks);
+                    const featureRegions = getFeatureRegionPixels(track.landmarks);
+                    const faceColor = getStableFaceColor(track.id, sourceVideo.currentTime, targetWarpCtx, videoPixelLandmarks, featureRegions);
+                    blendWarpedFace(warpCanvas, targetWarpCtx, videoPixelLandmarks, featureRegions, opacity, faceColor);
+                } else {
+                    // Direct warp without feathering
+                    ctx.save();
+                    ctx.globalAlpha = opacity;
+                    warpSourceFace(ctx, source, videoPixelLandmarks, warpMode, faceLandmarks);
+                    ctx.restore();
+                }
+
+                // Draw triangle mesh overlay if debug enabled
+                if (showTrianglesCheckbox.checked) {
+                    const mesh = getWarpMesh(source, videoPixelLandmarks, warpMode, faceLandmarks);
+                    window.PhotoProcessor.drawTriangleMesh(
+                        ctx,
+                        mesh.dstLandmarks,
+                        mesh.triangles,
+                        1, 1,
+                        "#00FFFF"
+                    );
                 }
             }
         }
@@ -1347,9 +2907,9 @@ function drawFrame() {
     }
 
     // Draw landmarks on video frame if debug mode is enabled (and swap not enabled)
-    if (!isSwapEnabled && debugModeCheckbox.checked && videoLandmarks && videoLandmarks.length > 0) {
-        for (const faceLandmarks of videoLandmarks) {
-            let landmarksToDraw = faceLandmarks;
+    if (!isSwapEnabled && debugModeCheckbox.checked && videoTracks.length > 0) {
+        for (const track of videoTracks) {
+            let landmarksToDraw = track.landmarks;
             if (stableModeCheckbox.checked) {
                 landmarksToDraw = window.FaceLandmarkerModule.getStableLandmarks(landmarksToDraw);
                 window.FaceLandmarkerModule.drawLandmarks(ctx, landmarksToDraw, mainCanvas.width, mainCanvas.height, "#00FF00");
@@ -1357,10 +2917,35 @@ function drawFrame() {
                 window.FaceLandmarkerModule.drawLandmarks(ctx, landmarksToDraw, mainCanvas.width, mainCanvas.height, "#00FF00");
                 window.FaceLandmarkerModule.drawFaceMesh(ctx, landmarksToDraw, mainCanvas.width, mainCanvas.height, "rgba(0, 255, 0, 0.5)");
             }
+            if (showTrianglesCheckbox.checked && getWarpMode() === 'dense') {
+                window.PhotoProcessor.drawTriangleMesh(ctx, track.landmarks, window.FaceMeshTopology.TRIANGLES, mainCanvas.width, mainCanvas.height, "#00FFFF");
+            }
+            drawTrackLabel(track);
+        }
+    }
+
+    // Head pose axes of every tracked face (debug)
+    if (debugModeCheckbox.checked) {
+        for (const track of videoTracks) {
+            window.FaceLandmarkerModule.drawPoseAxes(ctx, track.pose, track.landmarks, mainCanvas.width, mainCanvas.height);
         }
     }
 }
 
+/**
+ * Draw a face track's ID above its bounding box (debug overlay)
+ * @param {Object} track - Track {id, bbox}
+ */
+function drawTrackLabel(track) {
+    if (!track.bbox) return;
+    ctx.save();
+    ctx.font = "bold 14px sans-serif";
+    ctx.fillStyle = "#00FF00";
+    ctx.textBaseline = "bottom";
+    ctx.fillText(`#${track.id}`, track.bbox.x, Math.max(14, track.bbox.y - 4));
+    ctx.restore();
+}
+
 function startRenderingLoop() {
     // Cancel any existing loop to prevent duplicates
     if (renderLoopId) {
@@ -0,0 +1,44 @@
+/**
+ * Download the Face Landmarker model into public/models, so the "bundled" and "local"
+ * asset sources (see ASSET_SOURCES in faceLandmarker.js) work without the CDN.
+ * Runs before every build; does nothing when the model is already there.
+ * Set FACE_MODEL_URL to download from a mirror instead of Google Storage.
+ */
+
+import { existsSync, mkdirSync, renameSync, statSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Same model as the CDN source in faceLandmarker.js
+const MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task';
+
+const modelPath = join(dirname(fileURLToPath(import.meta.url)), '..', 'public', 'models', 'face_landmarker.task');
+
+async function fetchModel(url) {
+    if (existsSync(modelPath) && statSync(modelPath).size > 0) {
+        console.log(`Face model already present: ${modelPath}`);
+        return;
+    }
+
+    console.log(`Downloading face model from ${url}...`);
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Face model download failed: HTTP ${response.status}`);
+    }
+    const data = Buffer.from(await response.arrayBuffer());
+    if (data.length === 0) {
+        throw new Error('Face model download failed: empty response');
+    }
+
+    // Write next to the target first, so an interrupted download never looks complete
+    mkdirSync(dirname(modelPath), { recursive: true });
+    writeFileSync(`${modelPath}.part`, data);
+    renameSync(`${modelPath}.part`, modelPath);
+    console.log(`Face model saved to ${modelPath} (${(data.length / 1048576).toFixed(1)} MB)`);
+}
+
+fetchModel(process.env.FACE_MODEL_URL || MODEL_URL).catch(error => {
+    console.error(error.message);
+    console.error('Place face_landmarker.task in public/models manually (see public/models/README.md).');
+    process.exit(1);
+});
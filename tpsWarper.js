@@ -7,6 +7,13 @@
 (function () {
     'use strict';
 
+    // Reciprocal condition estimate (smallest / largest pivot of the equilibrated system)
+    // below which a solve is treated as ill-conditioned: near-duplicate or collinear landmarks
+    const MIN_RCOND = 1e-6;
+
+    // Smoothing used to retry an ill-conditioned interpolating solve
+    const FALLBACK_LAMBDA = 0.01;
+
     /**
      * TPS radial basis function: U(r) = r² * log(r)
      * Returns 0 for r = 0 to avoid NaN
@@ -34,16 +41,32 @@
 
     /**
      * Solve linear system Ax = b using LU decomposition with partial pivoting
+     * The system is equilibrated first (rows, then columns scaled to a max of 1), so the
+     * pivot ratio is a meaningful condition estimate despite TPS mixing r² log r, 1 and x terms.
      * @param {Array<Array<number>>} A - Square matrix
      * @param {Array<number>} b - Right-hand side vector
-     * @returns {Array<number>|null} Solution vector or null if singular
+     * @returns {Array<number>|null} Solution vector or null if singular or ill-conditioned
      */
     function solveLU(A, b) {
         const n = A.length;
 
-        // Create copies
-        const LU = A.map(row => [...row]);
-        const x = [...b];
+        // Equilibrate: LU = R * A * C
+        const rowScale = A.map(row => {
+            const max = Math.max(...row.map(Math.abs));
+            return max > 0 ? 1 / max : 1;
+        });
+        const LU = A.map((row, i) => row.map(v => v * rowScale[i]));
+        const colScale = new Array(n);
+        for (let j = 0; j < n; j++) {
+            let max = 0;
+            for (let i = 0; i < n; i++) {
+                max = Math.max(max, Math.abs(LU[i][j]));
+            }
+            colScale[j] = max > 0 ? 1 / max : 1;
+            for (let i = 0; i < n; i++) {
+                LU[i][j] *= colScale[j];
+            }
+        }
         const perm = Array.from({ length: n }, (_, i) => i);
 
         // LU decomposition with partial pivoting
@@ -78,10 +101,21 @@
             }
         }
 
-        // Apply permutation to b
+        // Pivots of the equilibrated matrix span (at most) [rcond, 1]
+        let minPivot = Infinity, maxPivot = 0;
+        for (let k = 0; k < n; k++) {
+            minPivot = Math.min(minPivot, Math.abs(LU[k][k]));
+            maxPivot = Math.max(maxPivot, Math.abs(LU[k][k]));
+        }
+        if (!(minPivot / maxPivot >= MIN_RCOND)) {
+            console.warn(`TPS: Ill-conditioned matrix (rcond ≈ ${(minPivot / maxPivot).toExponential(1)})`);
+            return null;
+        }
+
+        // Apply permutation (and row scaling) to b
         const pb = new Array(n);
         for (let i = 0; i < n; i++) {
-            pb[i] = b[perm[i]];
+            pb[i] = b[perm[i]] * rowScale[perm[i]];
         }
 
         // Forward substitution (Ly = pb)
@@ -99,17 +133,30 @@
             pb[i] /= LU[i][i];
         }
 
+        // Undo column scaling
+        for (let i = 0; i < n; i++) {
+            pb[i] *= colScale[i];
+            if (!Number.isFinite(pb[i])) {
+                console.warn("TPS: Non-finite solution");
+                return null;
+            }
+        }
         return pb;
     }
 
     /**
      * Compute TPS coefficients for mapping source points to destination points
-     * Solves: [K P; P' 0] * [W; A] = [V; 0]
+     * Solves: [K + λα²I P; P' 0] * [W; A] = [V; 0]
+     * With lambda = 0 the spline interpolates the points exactly; larger values trade
+     * accuracy at the points for a smoother warp (α = mean distance between points,
+     * so lambda does not depend on the image size).
+     * An ill-conditioned interpolating solve is retried with a little smoothing.
      * @param {Array} srcPoints - Source control points [{x, y}, ...]
      * @param {Array} dstPoints - Destination control points [{x, y}, ...]
-     * @returns {Object|null} TPS parameters {wx, wy, ax, ay, srcPoints} or null if failed
+     * @param {number} lambda - Regularization (default 0 = exact interpolation)
+     * @returns {Object|null} TPS parameters {wx, wy, ax, ay, srcPoints, lambda} or null if failed
      */
-    function computeTPSCoefficients(srcPoints, dstPoints) {
+    function computeTPSCoefficients(srcPoints, dstPoints, lambda = 0) {
         const n = srcPoints.length;
         if (n < 3 || n !== dstPoints.length) {
             console.warn("TPS: Need at least 3 matching points");
@@ -123,15 +170,25 @@
         const by = new Array(size).fill(0);
 
         // Fill K matrix (n x n) - radial basis function values
+        let distanceSum = 0;
         for (let i = 0; i < n; i++) {
             for (let j = 0; j < n; j++) {
                 if (i !== j) {
                     const r = distance(srcPoints[i].x, srcPoints[i].y, srcPoints[j].x, srcPoints[j].y);
                     K[i][j] = tpsRadialBasis(r);
+                    distanceSum += r;
                 }
             }
         }
 
+        // Regularization on the diagonal
+        if (lambda > 0) {
+            const alpha = distanceSum / (n * (n - 1));
+            for (let i = 0; i < n; i++) {
+                K[i][i] = lambda * alpha * alpha;
+            }
+        }
+
         // Fill P matrix (n x 3) and P' matrix (3 x n)
         for (let i = 0; i < n; i++) {
             K[i][n] = 1;
@@ -150,9 +207,13 @@
 
         // Solve for x and y coefficients separately
         const wx = solveLU(K, bx);
-        const wy = solveLU(K, by);
+        const wy = wx && solveLU(K, by);
 
         if (!wx || !wy) {
+            if (lambda < FALLBACK_LAMBDA) {
+                console.warn(`TPS: Retrying with smoothing ${FALLBACK_LAMBDA}`);
+                return computeTPSCoefficients(srcPoints, dstPoints, FALLBACK_LAMBDA);
+            }
             console.warn("TPS: Failed to solve coefficient system");
             return null;
         }
@@ -164,7 +225,8 @@
             // Affine coefficients [a0, a1, a2] for f(x,y) = a0 + a1*x + a2*y
             ax: [wx[n], wx[n + 1], wx[n + 2]],
             ay: [wy[n], wy[n + 1], wy[n + 2]],
-            srcPoints: srcPoints
+            srcPoints: srcPoints,
+            lambda: lambda
         };
     }
 
@@ -195,23 +257,90 @@
      * Since TPS doesn't have analytic inverse, we compute TPS from dst to src
      * @param {Array} srcPoints - Source points
      * @param {Array} dstPoints - Destination points  
+     * @param {number} lambda - Regularization (see computeTPSCoefficients)
      * @returns {Object|null} Inverse TPS parameters
      */
-    function computeInverseTPSCoefficients(srcPoints, dstPoints) {
+    function computeInverseTPSCoefficients(srcPoints, dstPoints, lambda = 0) {
         // For inverse mapping, swap src and dst
-        return computeTPSCoefficients(dstPoints, srcPoints);
+        return computeTPSCoefficients(dstPoints, srcPoints, lambda);
     }
 
     /**
-     * Warp face using TPS with grid-based optimization
+     * Evaluate a destination -> source mapping at the vertices of a grid over the face region.
+     * Shared by the TPS and MLS warps; resampleGrid (CPU) or WebGLWarper.resampleGrid (GPU) draws it.
+     * @param {Object} boundingBox - Face bounding box {x, y, width, height} in destination coords
+     * @param {number} gridSize - Grid resolution (cells per side)
+     * @param {number} dstWidth - Destination canvas width
+     * @param {number} dstHeight - Destination canvas height
+     * @param {Function} mapPoint - (x, y) -> {x, y} source position of a destination point
+     * @returns {Object} {bbox, outWidth, outHeight, gridCols, gridRows, cellWidth, cellHeight,
+     *   grid: Float32Array of source (x, y) per vertex, row-major}
+     */
+    function createWarpGrid(boundingBox, gridSize, dstWidth, dstHeight, mapPoint) {
+        // Expand bounding box slightly for safety
+        const padding = 10;
+        const bbox = {
+            x: Math.max(0, boundingBox.x - padding),
+            y: Math.max(0, boundingBox.y - padding),
+            width: boundingBox.width + padding * 2,
+            height: boundingBox.height + padding * 2
+        };
+
+        // Output region, clipped to the destination canvas
+        const outWidth = Math.floor(Math.min(Math.ceil(bbox.width), dstWidth - bbox.x));
+        const outHeight = Math.floor(Math.min(Math.ceil(bbox.height), dstHeight - bbox.y));
+
+        // Precompute the mapping at grid vertices
+        const gridCols = gridSize + 1;
+        const gridRows = gridSize + 1;
+        const cellWidth = bbox.width / gridSize;
+        const cellHeight = bbox.height / gridSize;
+
+        const grid = new Float32Array(gridCols * gridRows * 2);
+        for (let gy = 0; gy < gridRows; gy++) {
+            for (let gx = 0; gx < gridCols; gx++) {
+                const p = mapPoint(bbox.x + gx * cellWidth, bbox.y + gy * cellHeight);
+                const idx = (gy * gridCols + gx) * 2;
+                grid[idx] = p.x;
+                grid[idx + 1] = p.y;
+            }
+        }
+
+        return { bbox, outWidth, outHeight, gridCols, gridRows, cellWidth, cellHeight, grid };
+    }
+
+    /**
+     * Compute the inverse TPS (destination -> source) at the vertices of a grid over the face region.
+     * @param {Array} srcLandmarks - Source landmarks in pixel coords [{x, y}, ...]
+     * @param {Array} dstLandmarks - Destination landmarks in pixel coords [{x, y}, ...]
+     * @param {Object} boundingBox - Face bounding box {x, y, width, height} in destination coords
+     * @param {number} gridSize - Grid resolution (cells per side)
+     * @param {number} dstWidth - Destination canvas width
+     * @param {number} dstHeight - Destination canvas height
+     * @param {Object} options - {lambda}: regularization (see computeTPSCoefficients)
+     * @returns {Object|null} Grid layout from createWarpGrid, or null if TPS failed
+     */
+    function computeInverseGrid(srcLandmarks, dstLandmarks, boundingBox, gridSize, dstWidth, dstHeight, options = {}) {
+        // Compute inverse TPS (maps destination coords to source coords)
+        const inverseTPS = computeInverseTPSCoefficients(srcLandmarks, dstLandmarks, options.lambda || 0);
+        if (!inverseTPS) {
+            return null;
+        }
+        return createWarpGrid(boundingBox, gridSize, dstWidth, dstHeight, (x, y) => transformPoint(x, y, inverseTPS));
+    }
+
+    /**
+     * Warp face using TPS with grid-based optimization.
+     * CPU reference implementation; WebGLWarper.warpFaceTPS does the per-pixel resampling on the GPU.
      * @param {CanvasRenderingContext2D} ctx - Destination canvas context
      * @param {HTMLImageElement|HTMLCanvasElement} srcImage - Source face image
      * @param {Array} srcLandmarks - Source landmarks in pixel coords [{x, y}, ...]
      * @param {Array} dstLandmarks - Destination landmarks in pixel coords [{x, y}, ...]
      * @param {Object} boundingBox - Face bounding box {x, y, width, height} in destination coords
      * @param {number} gridSize - Grid resolution (default 20)
+     * @param {Object} options - {lambda}: regularization (see computeTPSCoefficients)
      */
-    function warpFaceTPS(ctx, srcImage, srcLandmarks, dstLandmarks, boundingBox, gridSize = 20) {
+    function warpFaceTPS(ctx, srcImage, srcLandmarks, dstLandmarks, boundingBox, gridSize = 20, options = {}) {
         if (!srcImage || !srcLandmarks || !dstLandmarks) {
             console.warn("warpFaceTPS: Missing required parameters");
             return;
@@ -222,21 +351,26 @@
             return;
         }
 
-        // Compute inverse TPS (maps destination coords to source coords)
-        const inverseTPS = computeInverseTPSCoefficients(srcLandmarks, dstLandmarks);
-        if (!inverseTPS) {
+        const layout = computeInverseGrid(srcLandmarks, dstLandmarks, boundingBox, gridSize, ctx.canvas.width, ctx.canvas.height, options);
+        if (!layout) {
             console.warn("warpFaceTPS: Failed to compute TPS coefficients");
             return;
         }
+        resampleGrid(ctx, srcImage, layout);
+    }
 
-        // Expand bounding box slightly for safety
-        const padding = 10;
-        const bbox = {
-            x: Math.max(0, boundingBox.x - padding),
-            y: Math.max(0, boundingBox.y - padding),
-            width: boundingBox.width + padding * 2,
-            height: boundingBox.height + padding * 2
-        };
+    /**
+     * Draw the source image through a warp grid: per pixel, bilinearly interpolate the
+     * source position from the grid and bilinearly sample the source there.
+     * @param {CanvasRenderingContext2D} ctx - Destination canvas context
+     * @param {HTMLImageElement|HTMLCanvasElement} srcImage - Source face image
+     * @param {Object} layout - Grid layout from createWarpGrid
+     */
+    function resampleGrid(ctx, srcImage, layout) {
+        const { bbox, outWidth, outHeight, gridCols, gridRows, cellWidth, cellHeight, grid } = layout;
+        if (outWidth <= 0 || outHeight <= 0) {
+            return;
+        }
 
         // Create offscreen canvas for sampling source image
         const srcCanvas = document.createElement('canvas');
@@ -246,32 +380,9 @@
         srcCtx.drawImage(srcImage, 0, 0);
         const srcData = srcCtx.getImageData(0, 0, srcCanvas.width, srcCanvas.height);
 
-        // Get destination canvas dimensions
-        const dstWidth = ctx.canvas.width;
-        const dstHeight = ctx.canvas.height;
-
         // Create output image data for the bounding box region
-        const outWidth = Math.min(Math.ceil(bbox.width), dstWidth - bbox.x);
-        const outHeight = Math.min(Math.ceil(bbox.height), dstHeight - bbox.y);
         const outData = ctx.createImageData(outWidth, outHeight);
 
-        // Grid-based TPS: precompute TPS at grid vertices
-        const gridCols = gridSize + 1;
-        const gridRows = gridSize + 1;
-        const cellWidth = bbox.width / gridSize;
-        const cellHeight = bbox.height / gridSize;
-
-        // Precompute warped positions at grid vertices
-        const gridMap = new Array(gridRows);
-        for (let gy = 0; gy < gridRows; gy++) {
-            gridMap[gy] = new Array(gridCols);
-            for (let gx = 0; gx < gridCols; gx++) {
-                const dstX = bbox.x + gx * cellWidth;
-                const dstY = bbox.y + gy * cellHeight;
-                gridMap[gy][gx] = transformPoint(dstX, dstY, inverseTPS);
-            }
-        }
-
         // Bilinear interpolation helper
         function bilinearInterpolate(gx, gy, fx, fy) {
             const gx0 = Math.floor(gx);
@@ -279,17 +390,17 @@
             const gx1 = Math.min(gx0 + 1, gridCols - 1);
             const gy1 = Math.min(gy0 + 1, gridRows - 1);
 
-            const p00 = gridMap[gy0][gx0];
-            const p10 = gridMap[gy0][gx1];
-            const p01 = gridMap[gy1][gx0];
-            const p11 = gridMap[gy1][gx1];
+            const i00 = (gy0 * gridCols + gx0) * 2;
+            const i10 = (gy0 * gridCols + gx1) * 2;
+            const i01 = (gy1 * gridCols + gx0) * 2;
+            const i11 = (gy1 * gridCols + gx1) * 2;
 
             const tx = fx;
             const ty = fy;
 
             return {
-                x: (1 - tx) * (1 - ty) * p00.x + tx * (1 - ty) * p10.x + (1 - tx) * ty * p01.x + tx * ty * p11.x,
-                y: (1 - tx) * (1 - ty) * p00.y + tx * (1 - ty) * p10.y + (1 - tx) * ty * p01.y + tx * ty * p11.y
+                x: (1 - tx) * (1 - ty) * grid[i00] + tx * (1 - ty) * grid[i10] + (1 - tx) * ty * grid[i01] + tx * ty * grid[i11],
+                y: (1 - tx) * (1 - ty) * grid[i00 + 1] + tx * (1 - ty) * grid[i10 + 1] + (1 - tx) * ty * grid[i01 + 1] + tx * ty * grid[i11 + 1]
             };
         }
 
@@ -383,7 +494,11 @@
         warpFaceTPS: warpFaceTPS,
         computeTPSCoefficients: computeTPSCoefficients,
         transformPoint: transformPoint,
-        computeBoundingBoxFromLandmarks: computeBoundingBoxFromLandmarks
+        computeBoundingBoxFromLandmarks: computeBoundingBoxFromLandmarks,
+        computeInverseGrid: computeInverseGrid,
+        // Shared with MLSWarper and WebGLWarper
+        createWarpGrid: createWarpGrid,
+        resampleGrid: resampleGrid
     };
 
 })();
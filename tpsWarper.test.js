@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Create a mock window object if it doesn't exist
+if (typeof window === 'undefined') {
+    global.window = {};
+}
+
+// Import the module
+import './tpsWarper.js';
+
+// Irregular face-sized control points and a noisy, non-affine target
+const srcPoints = [
+    { x: 310, y: 220 }, { x: 420, y: 205 }, { x: 520, y: 230 }, { x: 300, y: 330 }, { x: 410, y: 340 },
+    { x: 530, y: 320 }, { x: 330, y: 450 }, { x: 415, y: 470 }, { x: 505, y: 445 }, { x: 360, y: 280 },
+    { x: 470, y: 390 }
+];
+const dstPoints = srcPoints.map((p, i) => ({
+    x: p.x * 1.1 + 5 + ((i * 7) % 5) - 2,
+    y: p.y * 0.95 - 3 + ((i * 3) % 4) - 1.5
+}));
+
+function maxResidual(tps, src, dst) {
+    return Math.max(...src.map((p, i) => {
+        const q = window.TPSWarper.transformPoint(p.x, p.y, tps);
+        return Math.hypot(q.x - dst[i].x, q.y - dst[i].y);
+    }));
+}
+
+describe('TPSWarper', () => {
+    let TPSWarper;
+
+    beforeEach(() => {
+        TPSWarper = window.TPSWarper;
+    });
+
+    it('should interpolate the control points exactly without smoothing', () => {
+        const tps = TPSWarper.computeTPSCoefficients(srcPoints, dstPoints);
+        expect(tps.lambda).toBe(0);
+        expect(maxResidual(tps, srcPoints, dstPoints)).toBeLessThan(1e-6);
+    });
+
+    it('should approximate the control points with a smoother spline as lambda grows', () => {
+        const exact = TPSWarper.computeTPSCoefficients(srcPoints, dstPoints, 0);
+        const smooth = TPSWarper.computeTPSCoefficients(srcPoints, dstPoints, 0.1);
+        const smoother = TPSWarper.computeTPSCoefficients(srcPoints, dstPoints, 1);
+
+        const bending = tps => Math.max(...tps.wx.map(Math.abs), ...tps.wy.map(Math.abs));
+        expect(maxResidual(smooth, srcPoints, dstPoints)).toBeGreaterThan(0.1);
+        expect(maxResidual(smooth, srcPoints, dstPoints)).toBeLessThan(5);
+        expect(bending(smooth)).toBeLessThan(bending(exact));
+        expect(bending(smoother)).toBeLessThan(bending(smooth));
+    });
+
+    it('should keep the identity with smoothing', () => {
+        const layout = TPSWarper.computeInverseGrid(srcPoints, srcPoints, { x: 300, y: 200, width: 240, height: 280 }, 4, 800, 600, { lambda: 0.5 });
+        for (let gy = 0; gy < layout.gridRows; gy++) {
+            for (let gx = 0; gx < layout.gridCols; gx++) {
+                const idx = (gy * layout.gridCols + gx) * 2;
+                expect(layout.grid[idx]).toBeCloseTo(layout.bbox.x + gx * layout.cellWidth, 2);
+                expect(layout.grid[idx + 1]).toBeCloseTo(layout.bbox.y + gy * layout.cellHeight, 2);
+            }
+        }
+    });
+
+    it('should retry ill-conditioned solves with smoothing instead of exploding', () => {
+        // Two source points 0.001px apart that must go to different places
+        const src = srcPoints.map(p => ({ ...p }));
+        src[9] = { x: src[4].x + 0.001, y: src[4].y };
+
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+        const tps = TPSWarper.computeTPSCoefficients(src, dstPoints);
+        expect(warn).toHaveBeenCalledWith(expect.stringMatching(/Ill-conditioned/));
+        warn.mockRestore();
+        expect(tps.lambda).toBeGreaterThan(0);
+
+        // The warp between the conflicting points stays within the face
+        const mid = TPSWarper.transformPoint(src[4].x + 20, src[4].y + 20, tps);
+        expect(mid.x).toBeGreaterThan(300);
+        expect(mid.x).toBeLessThan(650);
+        expect(mid.y).toBeGreaterThan(150);
+        expect(mid.y).toBeLessThan(500);
+    });
+
+    it('should fail cleanly for degenerate control points', () => {
+        const onLine = srcPoints.map(p => ({ x: p.x, y: 100 + (p.x - 300) * 0.5 }));
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+        expect(TPSWarper.computeTPSCoefficients(onLine, dstPoints)).toBeNull();
+        expect(TPSWarper.computeInverseGrid(dstPoints, onLine, { x: 0, y: 0, width: 100, height: 100 }, 4, 800, 600)).toBeNull();
+        warn.mockRestore();
+    });
+});
@@ -9,6 +9,15 @@ export default defineConfig({
                 {
                     src: ['*.js', '!vite.config.js'],
                     dest: '.'
+                },
+                // Self-hosted MediaPipe runtime (see ASSET_SOURCES in faceLandmarker.js)
+                {
+                    src: 'node_modules/@mediapipe/tasks-vision/vision_bundle.mjs',
+                    dest: 'vendor/tasks-vision'
+                },
+                {
+                    src: 'node_modules/@mediapipe/tasks-vision/wasm/*',
+                    dest: 'vendor/tasks-vision/wasm'
                 }
             ]
         })
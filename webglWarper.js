@@ -0,0 +1,506 @@
+/**
+ * WebGL Warper Module
+ * GPU piecewise-affine face warping: the source face is uploaded once as a texture
+ * and all triangles are drawn in a single call with per-vertex UVs.
+ * Takes the same inputs as FaceWarper.warpFace and falls back to it when WebGL
+ * is unavailable or the context is lost.
+ * Also resamples TPS warps on the GPU (WebGL2): the inverse TPS grid from
+ * TPSWarper.computeInverseGrid is uploaded as a float texture and looked up per pixel.
+ * Any other grid warp (MLS) can be resampled the same way via resampleGrid.
+ */
+
+(function () {
+    'use strict';
+
+    const VERTEX_SHADER = `
+        attribute vec2 a_position;
+        attribute vec2 a_texCoord;
+        varying vec2 v_texCoord;
+        void main() {
+            gl_Position = vec4(a_position, 0.0, 1.0);
+            v_texCoord = a_texCoord;
+        }
+    `;
+
+    const FRAGMENT_SHADER = `
+        precision highp float;
+        uniform sampler2D u_image;
+        varying vec2 v_texCoord;
+        void main() {
+            gl_FragColor = texture2D(u_image, v_texCoord);
+        }
+    `;
+
+    // Per-pixel TPS resampling: mirrors the CPU loop in TPSWarper.warpFaceTPS
+    const TPS_VERTEX_SHADER = `#version 300 es
+        in vec2 a_position;
+        void main() {
+            gl_Position = vec4(a_position, 0.0, 1.0);
+        }
+    `;
+
+    const TPS_FRAGMENT_SHADER = `#version 300 es
+        precision highp float;
+        uniform sampler2D u_image;
+        uniform highp sampler2D u_grid;
+        uniform vec2 u_cellSize;
+        uniform vec2 u_outSize;
+        uniform vec2 u_srcSize;
+        out vec4 outColor;
+
+        void main() {
+            // Output pixel (px, py) with y down, as in the ImageData loop
+            vec2 p = vec2(floor(gl_FragCoord.x), u_outSize.y - 1.0 - floor(gl_FragCoord.y));
+            vec2 g = p / u_cellSize;
+            ivec2 maxIndex = textureSize(u_grid, 0) - 1;
+            ivec2 g0 = min(ivec2(floor(g)), maxIndex);
+            ivec2 g1 = min(g0 + 1, maxIndex);
+            vec2 f = g - floor(g);
+
+            vec2 p00 = texelFetch(u_grid, g0, 0).xy;
+            vec2 p10 = texelFetch(u_grid, ivec2(g1.x, g0.y), 0).xy;
+            vec2 p01 = texelFetch(u_grid, ivec2(g0.x, g1.y), 0).xy;
+            vec2 p11 = texelFetch(u_grid, g1, 0).xy;
+            vec2 s = mix(mix(p00, p10, f.x), mix(p01, p11, f.x), f.y);
+
+            if (s.x < 0.0 || s.y < 0.0 || s.x >= u_srcSize.x - 1.0 || s.y >= u_srcSize.y - 1.0) {
+                outColor = vec4(0.0);
+                return;
+            }
+            // Pixel centres sit at half-texel offsets
+            outColor = texture(u_image, (s + 0.5) / u_srcSize);
+        }
+    `;
+
+    // Two triangles covering the whole viewport
+    const FULLSCREEN_QUAD = new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]);
+
+    // Same threshold as FaceWarper.isTriangleDegenerate (half a pixel)
+    const MIN_TRIANGLE_AREA = 0.5;
+
+    // Lazily created GL state, shared by every call
+    let state = null;
+    let unavailable = false;
+
+    /**
+     * Build vertex buffers for all non-degenerate triangles.
+     * Positions are in clip space (y up), UVs in normalized source texture space (v down).
+     * @param {Array} srcLandmarks - Source landmarks in pixel coordinates [{x, y}, ...].
+     * @param {Array} dstLandmarks - Destination landmarks in pixel coordinates [{x, y}, ...].
+     * @param {Array} triangles - Triangle indices [[i0, i1, i2], ...].
+     * @param {number} srcWidth - Source image width.
+     * @param {number} srcHeight - Source image height.
+     * @param {number} dstWidth - Destination canvas width.
+     * @param {number} dstHeight - Destination canvas height.
+     * @returns {Object} {positions: Float32Array, texCoords: Float32Array, vertexCount}
+     */
+    function buildTriangleBuffers(srcLandmarks, dstLandmarks, triangles, srcWidth, srcHeight, dstWidth, dstHeight) {
+        const positions = new Float32Array(triangles.length * 6);
+        const texCoords = new Float32Array(triangles.length * 6);
+        let vertexCount = 0;
+
+        for (const tri of triangles) {
+            const src = tri.map(i => srcLandmarks[i]);
+            const dst = tri.map(i => dstLandmarks[i]);
+            if (triangleArea(src) < MIN_TRIANGLE_AREA || triangleArea(dst) < MIN_TRIANGLE_AREA) {
+                continue;
+            }
+
+            for (let k = 0; k < 3; k++) {
+                const offset = vertexCount * 2;
+                positions[offset] = (dst[k].x / dstWidth) * 2 - 1;
+                positions[offset + 1] = 1 - (dst[k].y / dstHeight) * 2;
+                texCoords[offset] = src[k].x / srcWidth;
+                texCoords[offset + 1] = src[k].y / srcHeight;
+                vertexCount++;
+            }
+        }
+
+        return {
+            positions: positions.subarray(0, vertexCount * 2),
+            texCoords: texCoords.subarray(0, vertexCount * 2),
+            vertexCount
+        };
+    }
+
+    function triangleArea(tri) {
+        return Math.abs(
+            (tri[1].x - tri[0].x) * (tri[2].y - tri[0].y) -
+            (tri[2].x - tri[0].x) * (tri[1].y - tri[0].y)
+        ) / 2;
+    }
+
+    function compileShader(gl, type, source) {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            const log = gl.getShaderInfoLog(shader);
+            gl.deleteShader(shader);
+            throw new Error(`Shader compilation failed: ${log}`);
+        }
+        return shader;
+    }
+
+    /**
+     * Link a program from vertex and fragment shader sources.
+     * @param {WebGLRenderingContext} gl - GL context.
+     * @param {string} vertexSource - Vertex shader source.
+     * @param {string} fragmentSource - Fragment shader source.
+     * @returns {WebGLProgram} Linked program.
+     */
+    function createProgram(gl, vertexSource, fragmentSource) {
+        const program = gl.createProgram();
+        gl.attachShader(program, compileShader(gl, gl.VERTEX_SHADER, vertexSource));
+        gl.attachShader(program, compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`Program link failed: ${gl.getProgramInfoLog(program)}`);
+        }
+        return program;
+    }
+
+    /**
+     * Create the shared GL canvas, context and affine program on first use.
+     * @returns {Object|null} GL state, or null if WebGL is unavailable.
+     */
+    function getState() {
+        if (state || unavailable) {
+            return state;
+        }
+        if (typeof document === 'undefined') {
+            unavailable = true;
+            return null;
+        }
+
+        try {
+            const canvas = document.createElement('canvas');
+            const attributes = { alpha: true, premultipliedAlpha: true, antialias: false, preserveDrawingBuffer: false };
+            const gl = canvas.getContext('webgl2', attributes) || canvas.getContext('webgl', attributes);
+            if (!gl) {
+                throw new Error('WebGL is not supported');
+            }
+
+            const program = createProgram(gl, VERTEX_SHADER, FRAGMENT_SHADER);
+            state = {
+                canvas,
+                gl,
+                isWebGL2: typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext,
+                affine: {
+                    program,
+                    positionLocation: gl.getAttribLocation(program, 'a_position'),
+                    texCoordLocation: gl.getAttribLocation(program, 'a_texCoord'),
+                    imageLocation: gl.getUniformLocation(program, 'u_image')
+                },
+                tps: null,
+                positionBuffer: gl.createBuffer(),
+                texCoordBuffer: gl.createBuffer(),
+                texture: gl.createTexture(),
+                textureSource: null,
+                textureWidth: 0,
+                textureHeight: 0
+            };
+
+            canvas.addEventListener('webglcontextlost', (e) => {
+                e.preventDefault();
+                console.warn("WebGLWarper: Context lost, falling back to canvas warping");
+                state = null;
+            });
+        } catch (error) {
+            console.warn("WebGLWarper: WebGL unavailable, falling back to canvas warping:", error);
+            unavailable = true;
+            state = null;
+        }
+
+        return state;
+    }
+
+    /**
+     * Upload the source image unless it is already the bound texture.
+     */
+    function bindSourceTexture(glState, srcImage, width, height) {
+        const gl = glState.gl;
+        gl.bindTexture(gl.TEXTURE_2D, glState.texture);
+
+        if (glState.textureSource === srcImage && glState.textureWidth === width && glState.textureHeight === height) {
+            return;
+        }
+
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, srcImage);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+
+        glState.textureSource = srcImage;
+        glState.textureWidth = width;
+        glState.textureHeight = height;
+    }
+
+    /**
+     * Size the GL canvas to the destination and clear it to transparent.
+     */
+    function prepareTarget(glState, width, height) {
+        const { canvas, gl } = glState;
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        gl.viewport(0, 0, width, height);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+    }
+
+    function bindAttribute(gl, buffer, location, data) {
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data, gl.DYNAMIC_DRAW);
+        gl.enableVertexAttribArray(location);
+        gl.vertexAttribPointer(location, 2, gl.FLOAT, false, 0, 0);
+    }
+
+    /**
+     * Warp the source face onto target landmarks on the GPU.
+     * Same inputs as FaceWarper.warpFace; falls back to it when WebGL fails.
+     * @param {CanvasRenderingContext2D} ctx - Destination canvas context.
+     * @param {HTMLImageElement|HTMLCanvasElement} srcImage - Source face image.
+     * @param {Array} srcLandmarks - Source landmarks in pixel coordinates [{x, y}, ...].
+     * @param {Array} dstLandmarks - Destination landmarks in pixel coordinates [{x, y}, ...].
+     * @param {Array} triangles - Triangle indices [[i0, i1, i2], ...].
+     * @returns {boolean} True if the GPU path was used.
+     */
+    function warpFace(ctx, srcImage, srcLandmarks, dstLandmarks, triangles) {
+        if (!srcImage || !srcLandmarks || !dstLandmarks || !triangles) {
+            console.warn("WebGLWarper.warpFace: Missing required parameters");
+            return false;
+        }
+        if (srcLandmarks.length !== dstLandmarks.length) {
+            console.warn("WebGLWarper.warpFace: Landmark count mismatch", srcLandmarks.length, dstLandmarks.length);
+            return false;
+        }
+
+        const glState = getState();
+        if (!glState) {
+            window.FaceWarper.warpFace(ctx, srcImage, srcLandmarks, dstLandmarks, triangles);
+            return false;
+        }
+
+        try {
+            const gl = glState.gl;
+            const srcWidth = srcImage.naturalWidth || srcImage.width;
+            const srcHeight = srcImage.naturalHeight || srcImage.height;
+            const dstWidth = ctx.canvas.width;
+            const dstHeight = ctx.canvas.height;
+
+            const buffers = buildTriangleBuffers(srcLandmarks, dstLandmarks, triangles, srcWidth, srcHeight, dstWidth, dstHeight);
+            prepareTarget(glState, dstWidth, dstHeight);
+
+            const affine = glState.affine;
+            gl.useProgram(affine.program);
+            bindAttribute(gl, glState.positionBuffer, affine.positionLocation, buffers.positions);
+            bindAttribute(gl, glState.texCoordBuffer, affine.texCoordLocation, buffers.texCoords);
+
+            gl.activeTexture(gl.TEXTURE0);
+            bindSourceTexture(glState, srcImage, srcWidth, srcHeight);
+            gl.uniform1i(affine.imageLocation, 0);
+
+            gl.drawArrays(gl.TRIANGLES, 0, buffers.vertexCount);
+
+            // Composite in the same task, before the drawing buffer is cleared
+            ctx.drawImage(glState.canvas, 0, 0);
+            return true;
+        } catch (error) {
+            console.warn("WebGLWarper: Draw failed, falling back to canvas warping:", error);
+            window.FaceWarper.warpFace(ctx, srcImage, srcLandmarks, dstLandmarks, triangles);
+            return false;
+        }
+    }
+
+    /**
+     * Create the TPS program and grid texture on first use (WebGL2 only).
+     * @returns {Object|null} TPS program state, or null if unsupported.
+     */
+    function getTPSState(glState) {
+        if (glState.tps || !glState.isWebGL2) {
+            return glState.tps;
+        }
+
+        const gl = glState.gl;
+        const program = createProgram(gl, TPS_VERTEX_SHADER, TPS_FRAGMENT_SHADER);
+        glState.tps = {
+            program,
+            positionLocation: gl.getAttribLocation(program, 'a_position'),
+            imageLocation: gl.getUniformLocation(program, 'u_image'),
+            gridLocation: gl.getUniformLocation(program, 'u_grid'),
+            cellSizeLocation: gl.getUniformLocation(program, 'u_cellSize'),
+            outSizeLocation: gl.getUniformLocation(program, 'u_outSize'),
+            srcSizeLocation: gl.getUniformLocation(program, 'u_srcSize'),
+            gridTexture: gl.createTexture()
+        };
+        return glState.tps;
+    }
+
+    /**
+     * Upload the inverse TPS grid as an RG32F texture, one texel per grid vertex.
+     */
+    function uploadGridTexture(gl, texture, layout) {
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RG32F, layout.gridCols, layout.gridRows, 0, gl.RG, gl.FLOAT, layout.grid);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    }
+
+    /**
+     * Get the TPS program state, or null when the GPU cannot resample grids.
+     */
+    function getGridState() {
+        const glState = getState();
+        try {
+            return glState && getTPSState(glState) ? glState : null;
+        } catch (error) {
+            console.warn("WebGLWarper: TPS shader unavailable, falling back to CPU TPS:", error);
+            glState.isWebGL2 = false;
+            return null;
+        }
+    }
+
+    /**
+     * Render a warp grid into the shared canvas and composite it at the grid's bounding box.
+     * Throws on GL errors so callers can fall back to the CPU.
+     */
+    function drawGrid(glState, ctx, srcImage, layout) {
+        const gl = glState.gl;
+        const tps = glState.tps;
+        const srcWidth = srcImage.naturalWidth || srcImage.width;
+        const srcHeight = srcImage.naturalHeight || srcImage.height;
+
+        prepareTarget(glState, layout.outWidth, layout.outHeight);
+        gl.useProgram(tps.program);
+        // The affine texture coordinates are not used by this program
+        gl.disableVertexAttribArray(glState.affine.texCoordLocation);
+        bindAttribute(gl, glState.positionBuffer, tps.positionLocation, FULLSCREEN_QUAD);
+
+        gl.activeTexture(gl.TEXTURE1);
+        uploadGridTexture(gl, tps.gridTexture, layout);
+        gl.uniform1i(tps.gridLocation, 1);
+
+        gl.activeTexture(gl.TEXTURE0);
+        bindSourceTexture(glState, srcImage, srcWidth, srcHeight);
+        gl.uniform1i(tps.imageLocation, 0);
+
+        gl.uniform2f(tps.cellSizeLocation, layout.cellWidth, layout.cellHeight);
+        gl.uniform2f(tps.outSizeLocation, layout.outWidth, layout.outHeight);
+        gl.uniform2f(tps.srcSizeLocation, srcWidth, srcHeight);
+
+        gl.drawArrays(gl.TRIANGLES, 0, FULLSCREEN_QUAD.length / 2);
+
+        // Composite in the same task, before the drawing buffer is cleared
+        ctx.drawImage(glState.canvas, Math.floor(layout.bbox.x), Math.floor(layout.bbox.y));
+    }
+
+    /**
+     * Warp face using TPS, resampling every pixel on the GPU.
+     * Same inputs as TPSWarper.warpFaceTPS (the CPU reference); falls back to it without WebGL2.
+     * @param {CanvasRenderingContext2D} ctx - Destination canvas context.
+     * @param {HTMLImageElement|HTMLCanvasElement} srcImage - Source face image.
+     * @param {Array} srcLandmarks - Source landmarks in pixel coordinates [{x, y}, ...].
+     * @param {Array} dstLandmarks - Destination landmarks in pixel coordinates [{x, y}, ...].
+     * @param {Object} boundingBox - Face bounding box {x, y, width, height} in destination coords.
+     * @param {number} gridSize - Grid resolution (default 20).
+     * @param {Object} options - {lambda}: TPS regularization (see TPSWarper.computeTPSCoefficients).
+     * @returns {boolean} True if the GPU path was used.
+     */
+    function warpFaceTPS(ctx, srcImage, srcLandmarks, dstLandmarks, boundingBox, gridSize = 20, options = {}) {
+        if (!srcImage || !srcLandmarks || !dstLandmarks) {
+            console.warn("WebGLWarper.warpFaceTPS: Missing required parameters");
+            return false;
+        }
+        if (srcLandmarks.length !== dstLandmarks.length) {
+            console.warn("WebGLWarper.warpFaceTPS: Landmark count mismatch");
+            return false;
+        }
+
+        const glState = getGridState();
+        if (!glState) {
+            window.TPSWarper.warpFaceTPS(ctx, srcImage, srcLandmarks, dstLandmarks, boundingBox, gridSize, options);
+            return false;
+        }
+
+        const layout = window.TPSWarper.computeInverseGrid(
+            srcLandmarks, dstLandmarks, boundingBox, gridSize, ctx.canvas.width, ctx.canvas.height, options
+        );
+        if (!layout) {
+            console.warn("WebGLWarper.warpFaceTPS: Failed to compute TPS coefficients");
+            return false;
+        }
+        if (layout.outWidth <= 0 || layout.outHeight <= 0) {
+            return true;
+        }
+
+        try {
+            drawGrid(glState, ctx, srcImage, layout);
+            return true;
+        } catch (error) {
+            console.warn("WebGLWarper: TPS draw failed, falling back to CPU TPS:", error);
+            window.TPSWarper.warpFaceTPS(ctx, srcImage, srcLandmarks, dstLandmarks, boundingBox, gridSize, options);
+            return false;
+        }
+    }
+
+    /**
+     * Resample a precomputed warp grid (e.g. from MLSWarper.computeInverseGrid) on the GPU.
+     * Same inputs as TPSWarper.resampleGrid; falls back to it without WebGL2.
+     * @param {CanvasRenderingContext2D} ctx - Destination canvas context.
+     * @param {HTMLImageElement|HTMLCanvasElement} srcImage - Source face image.
+     * @param {Object} layout - Grid layout from TPSWarper.createWarpGrid.
+     * @returns {boolean} True if the GPU path was used.
+     */
+    function resampleGrid(ctx, srcImage, layout) {
+        if (layout.outWidth <= 0 || layout.outHeight <= 0) {
+            return true;
+        }
+        const glState = getGridState();
+        if (glState) {
+            try {
+                drawGrid(glState, ctx, srcImage, layout);
+                return true;
+            } catch (error) {
+                console.warn("WebGLWarper: Grid draw failed, falling back to CPU:", error);
+            }
+        }
+        window.TPSWarper.resampleGrid(ctx, srcImage, layout);
+        return false;
+    }
+
+    /**
+     * Check whether the GPU path can be used.
+     * @returns {boolean} True if a WebGL context could be created.
+     */
+    function isSupported() {
+        return getState() !== null;
+    }
+
+    /**
+     * Force the next call to re-upload the source texture (e.g. after drawing into a source canvas).
+     */
+    function invalidateTexture() {
+        if (state) {
+            state.textureSource = null;
+        }
+    }
+
+    // Export module
+    window.WebGLWarper = {
+        warpFace,
+        warpFaceTPS,
+        resampleGrid,
+        isSupported,
+        invalidateTexture,
+        buildTriangleBuffers
+    };
+
+})();
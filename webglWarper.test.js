@@ -0,0 +1,588 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Create a mock window object if it doesn't exist
+if (typeof window === 'undefined') {
+    global.window = {};
+}
+
+// Import the modules (the canvas and CPU warpers are the reference and the fallback)
+import './faceWarper.js';
+import './tpsWarper.js';
+import './webglWarper.js';
+
+/*
+ * jsdom has neither a 2D canvas nor WebGL, so both run on the software stand-ins below.
+ * The WebGL one is not a GPU: it executes JavaScript versions of the warper's shaders on
+ * the buffers, uniforms and textures the warper sets up, so these tests check that
+ * plumbing against the canvas/CPU warpers. What a real GPU driver outputs can only be
+ * compared in a browser.
+ */
+
+const SRC_SIZE = 64;
+const DST_WIDTH = 80;
+const DST_HEIGHT = 60;
+
+const srcLandmarks = [
+    { x: 8, y: 8 }, { x: 56, y: 8 }, { x: 56, y: 56 }, { x: 8, y: 56 }, { x: 30, y: 30 }
+];
+const dstLandmarks = [
+    { x: 10, y: 5 }, { x: 70, y: 10 }, { x: 65, y: 55 }, { x: 5, y: 50 }, { x: 40, y: 28 }
+];
+const triangles = [[0, 1, 4], [1, 2, 4], [2, 3, 4], [3, 0, 4]];
+
+// Point inside a triangle from barycentric weights
+function barycentricPoint(tri, w) {
+    return {
+        x: tri[0].x * w[0] + tri[1].x * w[1] + tri[2].x * w[2],
+        y: tri[0].y * w[0] + tri[1].y * w[1] + tri[2].y * w[2]
+    };
+}
+
+// Opaque source image with smooth, non-linear color changes in both directions
+function makeSourceImage() {
+    const data = new Uint8ClampedArray(SRC_SIZE * SRC_SIZE * 4);
+    for (let y = 0; y < SRC_SIZE; y++) {
+        for (let x = 0; x < SRC_SIZE; x++) {
+            const i = (y * SRC_SIZE + x) * 4;
+            data[i] = 40 + 3 * x;
+            data[i + 1] = 128 + 100 * Math.cos(y / 3);
+            data[i + 2] = 128 + 100 * Math.sin((x + 2 * y) / 4);
+            data[i + 3] = 255;
+        }
+    }
+    return { width: SRC_SIZE, height: SRC_SIZE, data };
+}
+
+// Canvas pixels of the stand-in contexts below (2D surfaces and GL framebuffers)
+const surfaces = new WeakMap();
+
+function getSurface(canvas) {
+    let surface = surfaces.get(canvas);
+    if (!surface || surface.width !== canvas.width || surface.height !== canvas.height) {
+        surface = { width: canvas.width, height: canvas.height, data: new Uint8ClampedArray(canvas.width * canvas.height * 4) };
+        surfaces.set(canvas, surface);
+    }
+    return surface;
+}
+
+// Pixels of anything drawImage accepts here: a stand-in canvas or a {width, height, data} image
+function readPixels(source) {
+    return source.data ? source : getSurface(source);
+}
+
+// Point-in-polygon (even-odd) for the pixel centres a clip path covers
+function insidePolygon(polygon, px, py) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i], b = polygon[j];
+        if ((a.y > py) !== (b.y > py) && px < (b.x - a.x) * (py - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Minimal 2D context over straight-alpha RGBA: save/restore, polygon clip paths,
+ * setTransform, drawImage(source, dx, dy) with bilinear smoothing and source-over,
+ * and the ImageData calls. Enough for FaceWarper.warpFace (clip + affine drawImage
+ * per triangle), the CPU TPS warper and compositing the GL canvas. Clip edges are not
+ * antialiased: a pixel is in when its centre is.
+ */
+function create2DContext(canvas) {
+    let state = { transform: [1, 0, 0, 1, 0, 0], clips: [] };
+    const stack = [];
+    let path = [];
+    const color = new Float64Array(4);
+
+    return {
+        canvas,
+        save() {
+            stack.push({ transform: [...state.transform], clips: [...state.clips] });
+        },
+        restore() {
+            if (stack.length > 0) state = stack.pop();
+        },
+        beginPath() {
+            path = [];
+        },
+        moveTo(x, y) {
+            path = [{ x, y }];
+        },
+        lineTo(x, y) {
+            path.push({ x, y });
+        },
+        closePath() { },
+        clip() {
+            // Path points are transformed when added in a real canvas; the warpers clip untransformed
+            state.clips.push(path);
+        },
+        setTransform(a, b, c, d, e, f) {
+            state.transform = [a, b, c, d, e, f];
+        },
+        drawImage(source, dx = 0, dy = 0) {
+            const src = readPixels(source);
+            const dst = getSurface(canvas);
+            const [a, b, c, d, e, f] = state.transform;
+            const det = a * d - b * c;
+            for (let y = 0; y < dst.height; y++) {
+                for (let x = 0; x < dst.width; x++) {
+                    const px = x + 0.5, py = y + 0.5;
+                    if (!state.clips.every(clip => insidePolygon(clip, px, py))) continue;
+                    // Destination pixel centre back into source pixels
+                    const u = (d * (px - e) - c * (py - f)) / det - dx;
+                    const v = (a * (py - f) - b * (px - e)) / det - dy;
+                    if (u < 0 || v < 0 || u >= src.width || v >= src.height) continue;
+                    sampleTexture(src, u, v, color);
+
+                    // Source-over in straight alpha
+                    const i = (y * dst.width + x) * 4;
+                    const alpha = color[3] / 255;
+                    const under = dst.data[i + 3] / 255 * (1 - alpha);
+                    const outAlpha = alpha + under;
+                    if (outAlpha === 0) continue;
+                    for (let k = 0; k < 3; k++) {
+                        dst.data[i + k] = Math.round((color[k] * alpha + dst.data[i + k] * under) / outAlpha);
+                    }
+                    dst.data[i + 3] = Math.round(outAlpha * 255);
+                }
+            }
+        },
+        getImageData(x0, y0, width, height) {
+            const src = getSurface(canvas);
+            const data = new Uint8ClampedArray(width * height * 4);
+            for (let y = 0; y < height; y++) {
+                const from = ((y0 + y) * src.width + x0) * 4;
+                data.set(src.data.subarray(from, from + width * 4), y * width * 4);
+            }
+            return { width, height, data };
+        },
+        createImageData(width, height) {
+            return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+        },
+        putImageData(imageData, x0, y0) {
+            const dst = getSurface(canvas);
+            for (let y = 0; y < imageData.height; y++) {
+                const row = imageData.data.subarray(y * imageData.width * 4, (y + 1) * imageData.width * 4);
+                dst.data.set(row, ((y0 + y) * dst.width + x0) * 4);
+            }
+        }
+    };
+}
+
+/**
+ * Bilinear texture lookup with CLAMP_TO_EDGE, as texture()/texture2D() does with LINEAR
+ * filtering. (tx, ty) are texel coordinates (texel centres at +0.5).
+ */
+function sampleTexture(texture, tx, ty, out) {
+    const { width, height, data } = texture;
+    const fx = tx - 0.5, fy = ty - 0.5;
+    const x0 = Math.floor(fx), y0 = Math.floor(fy);
+    const ax = fx - x0, ay = fy - y0;
+    const clampX = x => Math.min(Math.max(x, 0), width - 1);
+    const clampY = y => Math.min(Math.max(y, 0), height - 1);
+    const i00 = (clampY(y0) * width + clampX(x0)) * 4;
+    const i10 = (clampY(y0) * width + clampX(x0 + 1)) * 4;
+    const i01 = (clampY(y0 + 1) * width + clampX(x0)) * 4;
+    const i11 = (clampY(y0 + 1) * width + clampX(x0 + 1)) * 4;
+    for (let c = 0; c < 4; c++) {
+        out[c] = (1 - ax) * (1 - ay) * data[i00 + c] + ax * (1 - ay) * data[i10 + c] +
+            (1 - ax) * ay * data[i01 + c] + ax * ay * data[i11 + c];
+    }
+}
+
+// GLSL statements the JavaScript shader versions below mirror; a draw with a program
+// that no longer contains them throws, so the emulation cannot drift from the shaders
+const AFFINE_SHADER_LINES = [
+    'gl_Position = vec4(a_position, 0.0, 1.0);',
+    'v_texCoord = a_texCoord;',
+    'gl_FragColor = texture2D(u_image, v_texCoord);'
+];
+const TPS_SHADER_LINES = [
+    'vec2 p = vec2(floor(gl_FragCoord.x), u_outSize.y - 1.0 - floor(gl_FragCoord.y));',
+    'vec2 g = p / u_cellSize;',
+    'ivec2 g0 = min(ivec2(floor(g)), maxIndex);',
+    'ivec2 g1 = min(g0 + 1, maxIndex);',
+    'vec2 f = g - floor(g);',
+    'vec2 s = mix(mix(p00, p10, f.x), mix(p01, p11, f.x), f.y);',
+    'if (s.x < 0.0 || s.y < 0.0 || s.x >= u_srcSize.x - 1.0 || s.y >= u_srcSize.y - 1.0) {',
+    'outColor = texture(u_image, (s + 0.5) / u_srcSize);'
+];
+
+/**
+ * Software stand-in for the WebGL context used by webglWarper.js: records the state
+ * the warper sets up (buffers, textures, uniforms) and runs its draw calls through
+ * JavaScript versions of the two shader programs, writing into a bottom-up framebuffer.
+ */
+function createSoftwareGL(canvas) {
+    const gl = Object.create(globalThis.WebGL2RenderingContext.prototype);
+    const attribs = {};
+    const units = {};
+    let arrayBuffer = null;
+    let program = null;
+    let unit = 0;
+
+    Object.assign(gl, {
+        VERTEX_SHADER: 'vertex', FRAGMENT_SHADER: 'fragment', COMPILE_STATUS: 'compile', LINK_STATUS: 'link',
+        ARRAY_BUFFER: 'array', DYNAMIC_DRAW: 'dynamic', FLOAT: 'float', UNSIGNED_BYTE: 'ubyte',
+        TEXTURE_2D: 'tex2d', TEXTURE0: 0, TEXTURE1: 1, RGBA: 'rgba', RG: 'rg', RG32F: 'rg32f',
+        TEXTURE_WRAP_S: 'wrapS', TEXTURE_WRAP_T: 'wrapT', TEXTURE_MIN_FILTER: 'min', TEXTURE_MAG_FILTER: 'mag',
+        CLAMP_TO_EDGE: 'clamp', LINEAR: 'linear', NEAREST: 'nearest', TRIANGLES: 'triangles',
+        COLOR_BUFFER_BIT: 'color', UNPACK_PREMULTIPLY_ALPHA_WEBGL: 'premultiply', UNPACK_FLIP_Y_WEBGL: 'flipY',
+
+        createShader: type => ({ type }),
+        shaderSource: (shader, source) => { shader.source = source; },
+        compileShader: () => { },
+        getShaderParameter: () => true,
+        createProgram: () => ({ shaders: [], uniforms: {} }),
+        attachShader: (p, shader) => p.shaders.push(shader),
+        linkProgram: () => { },
+        getProgramParameter: () => true,
+        getAttribLocation: (p, name) => name,
+        getUniformLocation: (p, name) => name,
+        useProgram: p => { program = p; },
+        uniform1i: (name, value) => { program.uniforms[name] = value; },
+        uniform2f: (name, x, y) => { program.uniforms[name] = [x, y]; },
+
+        createBuffer: () => ({ data: null }),
+        bindBuffer: (target, buffer) => { arrayBuffer = buffer; },
+        bufferData: (target, data) => { arrayBuffer.data = Float32Array.from(data); },
+        enableVertexAttribArray: () => { },
+        disableVertexAttribArray: () => { },
+        vertexAttribPointer: location => { attribs[location] = arrayBuffer; },
+
+        createTexture: () => ({ image: null }),
+        activeTexture: u => { unit = u; },
+        bindTexture: (target, texture) => { units[unit] = texture; },
+        pixelStorei: () => { },
+        texParameteri: () => { },
+        texImage2D(...args) {
+            const texture = units[unit];
+            if (args.length === 6) {
+                // Image upload; the sources used here are opaque, so premultiplying changes nothing
+                const source = readPixels(args[5]);
+                texture.image = { width: source.width, height: source.height, data: Float32Array.from(source.data) };
+            } else {
+                const [, , , width, height, , , , data] = args;
+                texture.image = { width, height, data: Float32Array.from(data) };
+            }
+        },
+
+        viewport: () => { },
+        clearColor: () => { },
+        clear: () => { getSurface(canvas).data.fill(0); },
+
+        drawArrays(mode, first, count) {
+            const source = program.shaders.map(shader => shader.source).join('\n');
+            const isGrid = source.includes('u_grid');
+            for (const line of isGrid ? TPS_SHADER_LINES : AFFINE_SHADER_LINES) {
+                if (!source.includes(line)) {
+                    throw new Error(`Shader emulation out of date, missing: ${line}`);
+                }
+            }
+            if (isGrid) {
+                drawGrid();
+            } else {
+                drawTriangles(first, count);
+            }
+        }
+    });
+
+    // Framebuffer rows are bottom-up, as in GL; canvas readback flips them
+    function writeFragment(x, y, color) {
+        const surface = getSurface(canvas);
+        const row = surface.height - 1 - y;
+        surface.data.set(color.map(Math.round), (row * surface.width + x) * 4);
+    }
+
+    // Affine program: rasterise at pixel centres, interpolate v_texCoord, texture2D
+    function drawTriangles(first, count) {
+        const { width, height } = getSurface(canvas);
+        const positions = attribs.a_position.data;
+        const texCoords = attribs.a_texCoord.data;
+        const image = units[program.uniforms.u_image].image;
+        const color = new Float64Array(4);
+
+        for (let v = first; v < first + count; v += 3) {
+            const p = [0, 1, 2].map(k => ({
+                x: (positions[(v + k) * 2] + 1) / 2 * width,
+                y: (positions[(v + k) * 2 + 1] + 1) / 2 * height
+            }));
+            const area = (p[1].x - p[0].x) * (p[2].y - p[0].y) - (p[2].x - p[0].x) * (p[1].y - p[0].y);
+            const minX = Math.max(0, Math.floor(Math.min(p[0].x, p[1].x, p[2].x)));
+            const maxX = Math.min(width - 1, Math.ceil(Math.max(p[0].x, p[1].x, p[2].x)));
+            const minY = Math.max(0, Math.floor(Math.min(p[0].y, p[1].y, p[2].y)));
+            const maxY = Math.min(height - 1, Math.ceil(Math.max(p[0].y, p[1].y, p[2].y)));
+
+            for (let y = minY; y <= maxY; y++) {
+                for (let x = minX; x <= maxX; x++) {
+                    const cx = x + 0.5, cy = y + 0.5;
+                    const w0 = ((p[1].x - cx) * (p[2].y - cy) - (p[2].x - cx) * (p[1].y - cy)) / area;
+                    const w1 = ((p[2].x - cx) * (p[0].y - cy) - (p[0].x - cx) * (p[2].y - cy)) / area;
+                    const w2 = 1 - w0 - w1;
+                    if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+
+                    const u = w0 * texCoords[v * 2] + w1 * texCoords[(v + 1) * 2] + w2 * texCoords[(v + 2) * 2];
+                    const t = w0 * texCoords[v * 2 + 1] + w1 * texCoords[(v + 1) * 2 + 1] + w2 * texCoords[(v + 2) * 2 + 1];
+                    sampleTexture(image, u * image.width, t * image.height, color);
+                    writeFragment(x, y, Array.from(color));
+                }
+            }
+        }
+    }
+
+    // TPS program: TPS_SHADER_LINES for every fragment of the full-screen quad
+    function drawGrid() {
+        const { width, height } = getSurface(canvas);
+        const uniforms = program.uniforms;
+        const grid = units[uniforms.u_grid].image;
+        const image = units[uniforms.u_image].image;
+        const [cellWidth, cellHeight] = uniforms.u_cellSize;
+        const [, outHeight] = uniforms.u_outSize;
+        const [srcWidth, srcHeight] = uniforms.u_srcSize;
+        const fetch = (gx, gy) => [grid.data[(gy * grid.width + gx) * 2], grid.data[(gy * grid.width + gx) * 2 + 1]];
+        const mix = (a, b, t) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+        const color = new Float64Array(4);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const px = x, py = outHeight - 1 - y;
+                const gx = px / cellWidth, gy = py / cellHeight;
+                const g0x = Math.min(Math.floor(gx), grid.width - 1), g0y = Math.min(Math.floor(gy), grid.height - 1);
+                const g1x = Math.min(g0x + 1, grid.width - 1), g1y = Math.min(g0y + 1, grid.height - 1);
+                const fx = gx - Math.floor(gx), fy = gy - Math.floor(gy);
+                const s = mix(mix(fetch(g0x, g0y), fetch(g1x, g0y), fx), mix(fetch(g0x, g1y), fetch(g1x, g1y), fx), fy);
+
+                if (s[0] < 0 || s[1] < 0 || s[0] >= srcWidth - 1 || s[1] >= srcHeight - 1) {
+                    writeFragment(x, y, [0, 0, 0, 0]);
+                    continue;
+                }
+                sampleTexture(image, s[0] + 0.5, s[1] + 0.5, color);
+                writeFragment(x, y, Array.from(color));
+            }
+        }
+    }
+
+    return gl;
+}
+
+/**
+ * Compare two RGBA buffers on the pixels both cover fully; edge antialiasing and
+ * edge ownership differ between the paths.
+ * @returns {Object} {compared, maxDiff}
+ */
+function compareCovered(a, b) {
+    let compared = 0, maxDiff = 0;
+    for (let i = 0; i < a.length; i += 4) {
+        if (a[i + 3] < 255 || b[i + 3] < 255) continue;
+        for (let c = 0; c < 3; c++) {
+            maxDiff = Math.max(maxDiff, Math.abs(a[i + c] - b[i + c]));
+        }
+        compared++;
+    }
+    return { compared, maxDiff };
+}
+
+function createDestination() {
+    const canvas = document.createElement('canvas');
+    canvas.width = DST_WIDTH;
+    canvas.height = DST_HEIGHT;
+    return canvas.getContext('2d');
+}
+
+describe('WebGLWarper', () => {
+    let WebGLWarper;
+    let FaceWarper;
+    let TPSWarper;
+    let webglAvailable;
+
+    /**
+     * Load a fresh copy of the module (its GL state is created once per load).
+     * @param {boolean} withWebGL - Give canvases the software GL context, or none at all.
+     */
+    async function loadWarper(withWebGL) {
+        webglAvailable = withWebGL;
+        vi.resetModules();
+        await import('./webglWarper.js');
+        WebGLWarper = window.WebGLWarper;
+        return WebGLWarper;
+    }
+
+    beforeEach(() => {
+        WebGLWarper = window.WebGLWarper;
+        FaceWarper = window.FaceWarper;
+        TPSWarper = window.TPSWarper;
+        webglAvailable = false;
+        vi.stubGlobal('WebGL2RenderingContext', class WebGL2RenderingContext { });
+        vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(function (type) {
+            if (type === '2d') return create2DContext(this);
+            return webglAvailable ? createSoftwareGL(this) : null;
+        });
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        vi.unstubAllGlobals();
+    });
+
+    it('should emit clip-space positions and normalized UVs per vertex', () => {
+        const buffers = WebGLWarper.buildTriangleBuffers(srcLandmarks, dstLandmarks, [[0, 1, 4]], SRC_SIZE, SRC_SIZE, DST_WIDTH, DST_HEIGHT);
+        expect(buffers.vertexCount).toBe(3);
+        expect(buffers.positions[0]).toBeCloseTo(10 / DST_WIDTH * 2 - 1, 6);
+        expect(buffers.positions[1]).toBeCloseTo(1 - 5 / DST_HEIGHT * 2, 6);
+        expect(buffers.texCoords[0]).toBeCloseTo(8 / SRC_SIZE, 6);
+        expect(buffers.texCoords[5]).toBeCloseTo(30 / SRC_SIZE, 6);
+    });
+
+    it('should skip degenerate triangles like the canvas warper', () => {
+        const flat = [...srcLandmarks, { x: 20, y: 20 }, { x: 40, y: 40 }];
+        const dst = [...dstLandmarks, { x: 20, y: 20 }, { x: 40, y: 40 }];
+        const buffers = WebGLWarper.buildTriangleBuffers(flat, dst, [...triangles, [4, 5, 6]], SRC_SIZE, SRC_SIZE, DST_WIDTH, DST_HEIGHT);
+        expect(buffers.vertexCount).toBe(triangles.length * 3);
+    });
+
+    it('should interpolate UVs to the same mapping as the canvas affine transform', () => {
+        const buffers = WebGLWarper.buildTriangleBuffers(srcLandmarks, dstLandmarks, triangles, SRC_SIZE, SRC_SIZE, DST_WIDTH, DST_HEIGHT);
+        const weights = [[1 / 3, 1 / 3, 1 / 3], [0.7, 0.2, 0.1], [0.05, 0.15, 0.8]];
+
+        triangles.forEach((tri, t) => {
+            // Canvas warper maps source -> destination; invert it by mapping destination -> source
+            const inverse = FaceWarper.computeAffineMatrix(tri.map(i => dstLandmarks[i]), tri.map(i => srcLandmarks[i]));
+
+            for (const w of weights) {
+                const dst = barycentricPoint(tri.map(i => dstLandmarks[i]), w);
+                const expectedU = inverse.a * dst.x + inverse.c * dst.y + inverse.e;
+                const expectedV = inverse.b * dst.x + inverse.d * dst.y + inverse.f;
+
+                // WebGL varyings interpolate linearly in screen space with the same weights
+                let u = 0, v = 0;
+                for (let k = 0; k < 3; k++) {
+                    u += buffers.texCoords[(t * 3 + k) * 2] * w[k];
+                    v += buffers.texCoords[(t * 3 + k) * 2 + 1] * w[k];
+                }
+                expect(u * SRC_SIZE).toBeCloseTo(expectedU, 3);
+                expect(v * SRC_SIZE).toBeCloseTo(expectedV, 3);
+            }
+        });
+    });
+
+    it('should fall back to the canvas warper without WebGL', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+        await loadWarper(false);
+        const original = FaceWarper.warpFace;
+        FaceWarper.warpFace = vi.fn();
+        try {
+            const ctx = { canvas: { width: DST_WIDTH, height: DST_HEIGHT } };
+            const used = WebGLWarper.warpFace(ctx, { width: SRC_SIZE, height: SRC_SIZE }, srcLandmarks, dstLandmarks, triangles);
+            expect(used).toBe(false);
+            expect(WebGLWarper.isSupported()).toBe(false);
+            expect(FaceWarper.warpFace).toHaveBeenCalledWith(ctx, expect.anything(), srcLandmarks, dstLandmarks, triangles);
+            expect(warn).toHaveBeenCalledWith(expect.stringContaining('WebGL unavailable'), expect.anything());
+        } finally {
+            FaceWarper.warpFace = original;
+        }
+    });
+
+    // WebGL path on the software GL stand-in; FaceWarper.warpFace on the 2D stand-in is the reference
+    it('should match the canvas warper pixels within tolerance', async () => {
+        await loadWarper(true);
+        expect(WebGLWarper.isSupported()).toBe(true);
+        const source = makeSourceImage();
+
+        const glCtx = createDestination();
+        expect(WebGLWarper.warpFace(glCtx, source, srcLandmarks, dstLandmarks, triangles)).toBe(true);
+        const canvasCtx = createDestination();
+        FaceWarper.warpFace(canvasCtx, source, srcLandmarks, dstLandmarks, triangles);
+
+        const { compared, maxDiff } = compareCovered(
+            glCtx.getImageData(0, 0, DST_WIDTH, DST_HEIGHT).data,
+            canvasCtx.getImageData(0, 0, DST_WIDTH, DST_HEIGHT).data
+        );
+        expect(compared).toBeGreaterThan(DST_WIDTH * DST_HEIGHT / 3);
+        expect(maxDiff).toBeLessThanOrEqual(2);
+    });
+
+    it('should upload the source again after invalidateTexture', async () => {
+        await loadWarper(true);
+        const source = makeSourceImage();
+        const warp = () => {
+            const ctx = createDestination();
+            WebGLWarper.warpFace(ctx, source, srcLandmarks, dstLandmarks, triangles);
+            return ctx.getImageData(40, 28, 1, 1).data[0];
+        };
+
+        const before = warp();
+        source.data.fill(0, 0, source.data.length);
+        for (let i = 3; i < source.data.length; i += 4) source.data[i] = 255;
+        expect(warp()).toBe(before); // Same image object: texture reused
+        WebGLWarper.invalidateTexture();
+        expect(warp()).toBe(0);
+    });
+
+    it('should build a TPS grid that is the identity for unchanged landmarks', () => {
+        const layout = TPSWarper.computeInverseGrid(srcLandmarks, srcLandmarks, { x: 10, y: 10, width: 40, height: 40 }, 4, DST_WIDTH, DST_HEIGHT);
+        expect(layout.bbox).toEqual({ x: 0, y: 0, width: 60, height: 60 });
+        expect(layout.grid.length).toBe(5 * 5 * 2);
+        for (let gy = 0; gy < layout.gridRows; gy++) {
+            for (let gx = 0; gx < layout.gridCols; gx++) {
+                const idx = (gy * layout.gridCols + gx) * 2;
+                expect(layout.grid[idx]).toBeCloseTo(gx * layout.cellWidth, 3);
+                expect(layout.grid[idx + 1]).toBeCloseTo(gy * layout.cellHeight, 3);
+            }
+        }
+    });
+
+    it('should fall back to the CPU TPS warper without WebGL', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => { });
+        await loadWarper(false);
+        const original = TPSWarper.warpFaceTPS;
+        TPSWarper.warpFaceTPS = vi.fn();
+        try {
+            const ctx = { canvas: { width: DST_WIDTH, height: DST_HEIGHT } };
+            const bbox = { x: 5, y: 5, width: 65, height: 50 };
+            const used = WebGLWarper.warpFaceTPS(ctx, { width: SRC_SIZE, height: SRC_SIZE }, srcLandmarks, dstLandmarks, bbox, 10, { lambda: 0.1 });
+            expect(used).toBe(false);
+            expect(TPSWarper.warpFaceTPS).toHaveBeenCalledWith(ctx, expect.anything(), srcLandmarks, dstLandmarks, bbox, 10, { lambda: 0.1 });
+        } finally {
+            TPSWarper.warpFaceTPS = original;
+        }
+    });
+
+    // WebGL path on the software GL stand-in; TPSWarper.warpFaceTPS is the CPU reference
+    it('should match the CPU TPS pixels within tolerance', async () => {
+        await loadWarper(true);
+        const source = makeSourceImage();
+        const bbox = TPSWarper.computeBoundingBoxFromLandmarks(dstLandmarks, 0);
+
+        const glCtx = createDestination();
+        expect(WebGLWarper.warpFaceTPS(glCtx, source, srcLandmarks, dstLandmarks, bbox, 10)).toBe(true);
+        const cpuCtx = createDestination();
+        TPSWarper.warpFaceTPS(cpuCtx, source, srcLandmarks, dstLandmarks, bbox, 10);
+
+        const gl = glCtx.getImageData(0, 0, DST_WIDTH, DST_HEIGHT).data;
+        const cpu = cpuCtx.getImageData(0, 0, DST_WIDTH, DST_HEIGHT).data;
+        const { compared, maxDiff } = compareCovered(gl, cpu);
+        expect(compared).toBeGreaterThan(DST_WIDTH * DST_HEIGHT / 3);
+        expect(maxDiff).toBeLessThanOrEqual(2);
+    });
+
+    it('should resample MLS-style grids through the same WebGL path', async () => {
+        await loadWarper(true);
+        const source = makeSourceImage();
+        // Shift by (+3, -2): destination (x, y) samples source (x - 3, y + 2)
+        const layout = TPSWarper.createWarpGrid({ x: 20, y: 15, width: 30, height: 25 }, 6, DST_WIDTH, DST_HEIGHT,
+            (x, y) => ({ x: x - 3, y: y + 2 }));
+
+        const glCtx = createDestination();
+        expect(WebGLWarper.resampleGrid(glCtx, source, layout)).toBe(true);
+        const cpuCtx = createDestination();
+        TPSWarper.resampleGrid(cpuCtx, source, layout);
+
+        const { compared, maxDiff } = compareCovered(
+            glCtx.getImageData(0, 0, DST_WIDTH, DST_HEIGHT).data,
+            cpuCtx.getImageData(0, 0, DST_WIDTH, DST_HEIGHT).data
+        );
+        expect(compared).toBeGreaterThan(layout.outWidth * layout.outHeight * 0.8);
+        expect(maxDiff).toBeLessThanOrEqual(1);
+    });
+});